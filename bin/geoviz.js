@@ -0,0 +1,550 @@
+#!/usr/bin/env node
+// geoviz - Command line entry point for the data processing pipeline
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { processFireFile } = require('../preprocessor');
+const {
+  getDefaultWorkerCount,
+  runWithConcurrency,
+  createProgressReporter,
+  processFileInWorker
+} = require('../lib/parallel');
+const { createSupplement } = require('../create-supplement');
+const { processTemperatureData } = require('../monthly-temperature-processor');
+const { processTemperatureCorrelation } = require('../temperature-csv-processor');
+const { processDailyWeather, getDailyWeatherFile, getDailyFireFiles } = require('../daily-weather-processor');
+const { runIncremental } = require('../lib/manifest');
+const { getShapefileParts } = require('../lib/shapefile-source');
+const { loadProfile, findProfileName, listProfiles } = require('../lib/field-profiles');
+const { dedupeFireFiles, getDuplicateReportFile, getDedupedDatasetId, getDuplicateFireNumbers } = require('../lib/dedup');
+const { readValidatedJSON } = require('../lib/schemas');
+const { getPerimeterDir, processPerimeterFile } = require('../lib/perimeters');
+const { OVERLAP_POLICIES, DEFAULT_OVERLAP_POLICY } = require('../lib/merge-stats');
+const { getYearCoverage, registerDataset } = require('../lib/datasets');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_OUT_DIR = path.join(ROOT_DIR, 'processed_stats');
+const DEFAULT_FIRE_DATASET = 'firep23_1';
+
+// Source code each step depends on; any change to these makes the manifest rebuild the step
+const LIB_FILES = fs.readdirSync(path.join(ROOT_DIR, 'lib')).map(file => path.join('lib', file));
+const SCHEMA_FILES = fs.readdirSync(path.join(ROOT_DIR, 'schemas')).map(file => path.join('schemas', file));
+const OUTPUT_CODE = ['lib/output.js', 'lib/schemas.js', ...SCHEMA_FILES];
+const PROCESSOR_CODE = {
+  fires: ['preprocessor.js', 'data/ca-counties.geojson', 'data/cause-schemes.json', ...LIB_FILES, ...SCHEMA_FILES],
+  temperature: ['monthly-temperature-processor.js', ...OUTPUT_CODE],
+  correlation: ['temperature-csv-processor.js', ...OUTPUT_CODE],
+  weather: ['daily-weather-processor.js', 'lib/dates.js', 'lib/datasets.js', ...OUTPUT_CODE],
+  dedup: ['preprocessor.js', ...LIB_FILES, ...SCHEMA_FILES],
+  perimeters: ['preprocessor.js', ...LIB_FILES, ...SCHEMA_FILES],
+  supplement: ['create-supplement.js', 'lib/points.js', 'lib/perimeters.js', 'lib/causes.js', 'lib/merge-stats.js', 'lib/datasets.js', 'lib/snapshots.js', 'lib/dedup.js', 'data/cause-schemes.json', 'lib/size-classes.js', 'lib/agencies.js', ...OUTPUT_CODE]
+};
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: geoviz <command> [options]
+
+Commands:
+  process fires <file...>      Build <dataset>-stats.json from a .geojson, .shp or zipped Shapefile;
+                               several files are processed at the same time in worker threads
+  process perimeters <file>    Write simplified per-year TopoJSON perimeters to perimeters/<dataset>/
+  process temperature <csv>    Build monthly temperature stats and the temperature-fire correlation
+  process weather <csv>        Join daily fire starts and acres with a daily weather CSV on DATE
+                               and write <dataset>-daily-weather.json
+  dedup <base-file> <source-file>
+                               Find the fires of the source file that are already in the base file
+                               and write <base>-<source>-duplicates.json
+  supplement                   Copy a year range from one dataset's stats into a supplement for another
+
+Options:
+  --dataset <id>     process fires, process perimeters: dataset id for the output (default:
+                     input file name, only allowed with a single file)
+                     process temperature, process weather: fire dataset to correlate against or
+                     join with (default: firep23_1)
+  --years <a-b>      supplement: year range to copy, e.g. 2024-2025 (required)
+  --source <id>      supplement: dataset to copy from (default: CA_Perimeters_CAL_FIRE)
+                     dedup: dataset id of the source file (default: its file name)
+  --base <id>        supplement: dataset the supplement is merged into (default: firep23_1)
+                     dedup: dataset id of the base file (default: its file name)
+  --max-days <n>     dedup: alarm dates further apart than this are different fires (default: 3)
+  --min-overlap <fraction>
+                     dedup: share of the smaller perimeter the other has to cover (default: 0.5)
+  --overlap <policy> supplement: how the server combines years the base also has: sum,
+                     prefer-base, prefer-supplement or max (default: sum)
+  --exclude-duplicates-of <id>
+                     process fires: leave out the fires <id>-<dataset>-duplicates.json lists
+                     and write the result as <dataset>-without-<id>, which can be merged
+                     into <id> without counting them twice
+  --out <dir>        Statistics directory to read from and write to (default: processed_stats)
+  --stream           process fires, process perimeters, dedup: always use the streaming parser,
+                     whatever the file size
+  --area-tolerance <fraction>
+                     process fires: report perimeters whose area differs from the reported
+                     acres by more than this fraction (default: 0.1)
+  --use-computed-area
+                     process fires: use the perimeter area when reported acres are missing or zero
+  --workers <n>      process fires: worker threads to use. With several files, how many are
+                     processed at once; with one file, how many threads process its
+                     features (default: number of CPUs; one file under 500 MB: 1)
+  --profile <name|file>
+                     process fires, process perimeters: field mapping profile, a name from profiles/ or a .json
+                     file (default: the profile listing the dataset, otherwise frap)
+                     dedup: field mapping profile for the source file
+  --base-profile <name|file>
+                     dedup: field mapping profile for the base file (default: the profile
+                     <base>-stats.json was processed with, otherwise as for --profile)
+  --replace          supplement: remove the base's other supplements with fires in the same
+                     years instead of refusing to build an overlapping one
+  --keep-snapshots <n>
+                     process fires, supplement: snapshots of the dataset to keep in
+                     snapshots/<dataset>/, older ones are deleted (default: 10)
+  --force            Rebuild even when the manifest shows inputs and code are unchanged
+  --dry-run          Process inputs but do not write any files
+  -h, --help         Show this help
+
+Exit codes: 0 success, 1 processing failed, 2 invalid usage`;
+
+const OPTIONS = {
+  dataset: { type: 'string' },
+  years: { type: 'string' },
+  source: { type: 'string' },
+  base: { type: 'string' },
+  out: { type: 'string' },
+  stream: { type: 'boolean' },
+  'area-tolerance': { type: 'string' },
+  'use-computed-area': { type: 'boolean', default: false },
+  workers: { type: 'string' },
+  profile: { type: 'string' },
+  'base-profile': { type: 'string' },
+  'max-days': { type: 'string' },
+  'min-overlap': { type: 'string' },
+  'exclude-duplicates-of': { type: 'string' },
+  overlap: { type: 'string' },
+  'keep-snapshots': { type: 'string' },
+  replace: { type: 'boolean', default: false },
+  force: { type: 'boolean', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Thrown for bad arguments so main() can print usage and exit with EXIT_USAGE
+class UsageError extends Error {}
+
+// Parse "2024-2025" (or a single year "2024") into [start, end]
+function parseYearRange(value) {
+  const match = /^(\d{4})(?:-(\d{4}))?$/.exec(value || '');
+  if (!match) {
+    throw new UsageError(`Invalid --years value "${value}", expected e.g. 2024-2025`);
+  }
+
+  const start = parseInt(match[1]);
+  const end = match[2] ? parseInt(match[2]) : start;
+  if (end < start) {
+    throw new UsageError(`Invalid --years value "${value}", end year is before start year`);
+  }
+
+  return [start, end];
+}
+
+// Parse a non-negative fraction such as "0.1"
+function parseTolerance(value) {
+  if (value === undefined) return undefined;
+
+  const tolerance = Number(value);
+  if (value.trim() === '' || isNaN(tolerance) || tolerance < 0) {
+    throw new UsageError(`Invalid --area-tolerance value "${value}", expected a fraction such as 0.1`);
+  }
+  return tolerance;
+}
+
+// Parse a non-negative number such as "3" or "0.5", at most `max`
+function parseNumber(value, option, max = Infinity) {
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+  if (value.trim() === '' || isNaN(number) || number < 0 || number > max) {
+    throw new UsageError(`Invalid --${option} value "${value}", expected a number from 0${isFinite(max) ? ` to ${max}` : ''}`);
+  }
+  return number;
+}
+
+// Parse a positive integer such as "4"
+function parseCount(value, option) {
+  if (value === undefined) return undefined;
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new UsageError(`Invalid --${option} value "${value}", expected a positive whole number`);
+  }
+  return count;
+}
+
+// Load the --profile given on the command line, naming the available ones when it is unknown
+function parseProfile(value, option = 'profile') {
+  if (value === undefined) return undefined;
+
+  if (!/\.json$/i.test(value) && !listProfiles().includes(value)) {
+    throw new UsageError(`Unknown --${option} "${value}", expected a .json file or one of: ${listProfiles().join(', ')}`);
+  }
+  return loadProfile(value);
+}
+
+// File a profile was loaded from (the --profile file, or profiles/<name>.json),
+// so edits to it count as a changed input
+function getProfileFile(name, option) {
+  return /\.json$/i.test(option || '')
+    ? path.resolve(option)
+    : path.join(ROOT_DIR, 'profiles', `${name}.json`);
+}
+
+// Field mapping profile for the dedup base: --base-profile, otherwise the one
+// recorded in the metadata of <base>-stats.json, so the base file is read the
+// way it was processed, otherwise the profile listing the dataset
+function findBaseProfile(outDir, base, option) {
+  const override = parseProfile(option, 'base-profile');
+  if (override) return override;
+
+  const statsFile = path.join(outDir, `${base}-stats.json`);
+  const recorded = fs.existsSync(statsFile) ? readValidatedJSON(statsFile, 'fire-stats').metadata.fieldProfile : undefined;
+  if (!recorded) return loadProfile(findProfileName(base));
+
+  if (!listProfiles().includes(recorded)) {
+    throw new UsageError(`${base}-stats.json was processed with the field mapping profile "${recorded}", which is not in profiles/. Pass its file with --base-profile`);
+  }
+  return loadProfile(recorded);
+}
+
+// Every file a fire source consists of: a Shapefile is the .shp plus its sidecars
+function getSourceFiles(filePath) {
+  return /\.shp$/i.test(filePath) ? getShapefileParts(filePath) : [filePath];
+}
+
+function requireFile(file, command) {
+  if (!file) {
+    throw new UsageError(`Missing input file for "${command}"`);
+  }
+  return path.resolve(file);
+}
+
+const commands = {
+  'process fires': async (files, options) => {
+    const filePaths = (files.length > 0 ? files : [undefined]).map(file => requireFile(file, 'process fires'));
+    if (options.dataset && filePaths.length > 1) {
+      throw new UsageError('--dataset can only be used with a single input file');
+    }
+
+    const workers = parseCount(options.workers, 'workers');
+    const keepSnapshots = parseCount(options.keepSnapshots, 'keep-snapshots');
+    const profile = parseProfile(options.profile);
+    const fireOptions = {
+      areaTolerance: parseTolerance(options.areaTolerance),
+      useComputedArea: options.useComputedArea
+    };
+
+    // One file runs here, splitting its features between worker threads;
+    // several files get a worker thread each
+    const parallel = filePaths.length > 1;
+    const progress = parallel ? createProgressReporter() : null;
+
+    const processFile = async filePath => {
+      const sourceId = options.dataset || path.basename(filePath, path.extname(filePath));
+      // Leaving out duplicates writes a dataset of its own, so the full one is kept
+      const datasetId = options.excludeDuplicatesOf
+        ? getDedupedDatasetId(sourceId, options.excludeDuplicatesOf)
+        : sourceId;
+      const fieldProfile = profile || loadProfile(findProfileName(sourceId));
+      const profileFile = getProfileFile(fieldProfile.name, options.profile);
+      const duplicateReportFile = options.excludeDuplicatesOf
+        ? getDuplicateReportFile(options.outDir, options.excludeDuplicatesOf, sourceId)
+        : null;
+      if (duplicateReportFile && !fs.existsSync(duplicateReportFile)) {
+        throw new Error(`No duplicate report at ${duplicateReportFile}, run "geoviz dedup" first`);
+      }
+      const processOptions = {
+        ...fireOptions,
+        profile: fieldProfile,
+        duplicates: duplicateReportFile
+          ? getDuplicateFireNumbers(readValidatedJSON(duplicateReportFile, 'duplicate-report'))
+          : undefined,
+        datasetId,
+        outDir: options.outDir,
+        dryRun: options.dryRun,
+        streaming: options.stream,
+        workers: parallel ? 1 : workers,
+        keepSnapshots
+      };
+
+      await runIncremental(`fires:${datasetId}`, {
+        ...incrementalSettings(options),
+        inputs: [...getSourceFiles(filePath), profileFile, ...(duplicateReportFile ? [duplicateReportFile] : [])],
+        codeFiles: PROCESSOR_CODE.fires,
+        options: { ...fireOptions, profile: fieldProfile.name, excludeDuplicatesOf: options.excludeDuplicatesOf }
+      }, async () => {
+        const result = parallel
+          ? await processFileInWorker(filePath, processOptions, progress)
+          : await processFireFile(filePath, processOptions);
+        registerDataset(options.outDir, datasetId, {
+          description: `Fire perimeters from ${path.basename(filePath)}${options.excludeDuplicatesOf ? ` without the fires ${options.excludeDuplicatesOf} already has` : ''}, read with the ${fieldProfile.name} field profile.`,
+          sourceFiles: getSourceFiles(filePath).map(file => path.basename(file)),
+          years: getYearCoverage(result.statistics ? result.statistics.years : result.years)
+        }, { dryRun: options.dryRun });
+        return [
+          result.outputFile,
+          result.snapshotFile,
+          result.fireIndexFile,
+          result.pointsFile,
+          result.pointLinesFile,
+          result.areaReportFile,
+          result.qualityReportFile
+        ];
+      });
+    };
+
+    if (!parallel) {
+      await processFile(filePaths[0]);
+      return;
+    }
+
+    // Keep going when one file fails and report every failure at the end
+    const failures = (await runWithConcurrency(filePaths, workers || getDefaultWorkerCount(), filePath =>
+      processFile(filePath).then(() => null, err => `${path.basename(filePath)}: ${err.message}`)
+    )).filter(Boolean);
+    progress.stop();
+
+    if (failures.length > 0) {
+      throw new Error(`${failures.length} of ${filePaths.length} files failed\n  ${failures.join('\n  ')}`);
+    }
+  },
+
+  'process perimeters': async ([file], options) => {
+    const filePath = requireFile(file, 'process perimeters');
+    const datasetId = options.dataset || path.basename(filePath, path.extname(filePath));
+    const profile = parseProfile(options.profile) || loadProfile(findProfileName(datasetId));
+    const profileFile = getProfileFile(profile.name, options.profile);
+
+    await runIncremental(`perimeters:${datasetId}`, {
+      ...incrementalSettings(options),
+      inputs: [...getSourceFiles(filePath), profileFile],
+      codeFiles: PROCESSOR_CODE.perimeters,
+      options: { profile: profile.name }
+    }, () => processPerimeterFile(filePath, {
+      datasetId,
+      profile,
+      outDir: options.outDir,
+      dryRun: options.dryRun,
+      streaming: options.stream
+    }));
+  },
+
+  'process temperature': async ([file], options) => {
+    const csvPath = requireFile(file, 'process temperature');
+    const common = { outDir: options.outDir, dryRun: options.dryRun };
+    const fireDataset = options.dataset || DEFAULT_FIRE_DATASET;
+    const fireStatsFile = path.join(options.outDir, `${fireDataset}-stats.json`);
+
+    await runIncremental('temperature', {
+      ...incrementalSettings(options),
+      inputs: [csvPath],
+      codeFiles: PROCESSOR_CODE.temperature
+    }, async () => {
+      await processTemperatureData(csvPath, common);
+      return [path.join(options.outDir, 'monthly-temperature-stats.json')];
+    });
+
+    // The correlation also depends on the fire statistics it reads
+    await runIncremental(`correlation:${fireDataset}`, {
+      ...incrementalSettings(options),
+      inputs: fs.existsSync(fireStatsFile) ? [csvPath, fireStatsFile] : [csvPath],
+      codeFiles: PROCESSOR_CODE.correlation
+    }, async () => {
+      await processTemperatureCorrelation(csvPath, { ...common, fireDataset });
+      return [path.join(options.outDir, 'temperature-fire-correlation.json')];
+    });
+  },
+
+  'process weather': async ([file], options) => {
+    const csvPath = requireFile(file, 'process weather');
+    const fireDataset = options.dataset || DEFAULT_FIRE_DATASET;
+    const { statsPath, supplementFiles } = getDailyFireFiles(options.outDir, fireDataset);
+
+    await runIncremental(`weather:${fireDataset}`, {
+      ...incrementalSettings(options),
+      inputs: [csvPath, ...(fs.existsSync(statsPath) ? [statsPath] : []), ...supplementFiles],
+      codeFiles: PROCESSOR_CODE.weather
+    }, async () => {
+      await processDailyWeather(csvPath, { fireDataset, outDir: options.outDir, dryRun: options.dryRun });
+      return [getDailyWeatherFile(options.outDir, fireDataset)];
+    });
+  },
+
+  dedup: async ([baseArg, sourceArg], options) => {
+    const baseFile = requireFile(baseArg, 'dedup');
+    const sourceFile = requireFile(sourceArg, 'dedup');
+    const base = options.base || path.basename(baseFile, path.extname(baseFile));
+    const source = options.source || path.basename(sourceFile, path.extname(sourceFile));
+    const baseProfile = findBaseProfile(options.outDir, base, options.baseProfile);
+    const sourceProfile = parseProfile(options.profile) || loadProfile(findProfileName(source));
+    const matchOptions = {
+      maxDays: parseNumber(options.maxDays, 'max-days'),
+      minOverlap: parseNumber(options.minOverlap, 'min-overlap', 1)
+    };
+
+    await runIncremental(`dedup:${base}-${source}`, {
+      ...incrementalSettings(options),
+      inputs: [
+        ...getSourceFiles(baseFile),
+        ...getSourceFiles(sourceFile),
+        getProfileFile(baseProfile.name, options.baseProfile),
+        getProfileFile(sourceProfile.name, options.profile)
+      ],
+      codeFiles: PROCESSOR_CODE.dedup,
+      options: { ...matchOptions, baseProfile: baseProfile.name, profile: sourceProfile.name }
+    }, async () => {
+      const { outputFile } = await dedupeFireFiles(baseFile, sourceFile, {
+        ...matchOptions,
+        base,
+        source,
+        baseProfile,
+        sourceProfile,
+        outDir: options.outDir,
+        dryRun: options.dryRun,
+        streaming: options.stream
+      });
+      return [outputFile];
+    });
+  },
+
+  supplement: async (args, options) => {
+    if (!options.years) {
+      throw new UsageError('Missing required option --years');
+    }
+
+    const years = parseYearRange(options.years);
+    const overlap = options.overlap || DEFAULT_OVERLAP_POLICY;
+    if (!OVERLAP_POLICIES.includes(overlap)) {
+      throw new UsageError(`--overlap must be one of: ${OVERLAP_POLICIES.join(', ')}`);
+    }
+    const keepSnapshots = parseCount(options.keepSnapshots, 'keep-snapshots');
+    const source = options.source || 'CA_Perimeters_CAL_FIRE';
+    const base = options.base || DEFAULT_FIRE_DATASET;
+    const sourceFiles = [`${source}-stats.json`, `${source}-fires.json`, `${source}-points.ndjson`]
+      .map(file => path.join(options.outDir, file))
+      .concat(getDuplicateReportFile(options.outDir, base, source))
+      .filter(file => fs.existsSync(file));
+
+    // Perimeter files are named <year>-<detail>.json
+    const perimeterDir = getPerimeterDir(options.outDir, source);
+    if (fs.existsSync(perimeterDir)) {
+      fs.readdirSync(perimeterDir)
+        .filter(file => parseInt(file) >= years[0] && parseInt(file) <= years[1])
+        .forEach(file => sourceFiles.push(path.join(perimeterDir, file)));
+    }
+
+    await runIncremental(`supplement:${base}-${years.join('-')}`, {
+      ...incrementalSettings(options),
+      inputs: sourceFiles,
+      codeFiles: PROCESSOR_CODE.supplement,
+      options: { source, overlap }
+    }, async () => {
+      const result = createSupplement({
+        source,
+        base,
+        years,
+        overlap,
+        keepSnapshots,
+        replace: options.replace,
+        outDir: options.outDir,
+        dryRun: options.dryRun
+      });
+      return [result.outputFile, result.snapshotFile, result.firesFile, result.pointsFile, result.pointLinesFile, ...result.perimeterFiles]
+        .filter(Boolean);
+    });
+  }
+};
+
+// Manifest settings shared by every command
+function incrementalSettings(options) {
+  return {
+    outDir: options.outDir,
+    force: options.force,
+    dryRun: options.dryRun
+  };
+}
+
+// Match the longest command name ("process fires") against the positionals
+function resolveCommand(positionals) {
+  for (const length of [2, 1]) {
+    const name = positionals.slice(0, length).join(' ');
+    if (commands[name]) {
+      return { name, args: positionals.slice(length) };
+    }
+  }
+  return null;
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    return values.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  const command = resolveCommand(positionals);
+  if (!command) {
+    console.error(`Unknown command: ${positionals.join(' ')}`);
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  const options = {
+    dataset: values.dataset,
+    years: values.years,
+    source: values.source,
+    base: values.base,
+    stream: values.stream,
+    areaTolerance: values['area-tolerance'],
+    useComputedArea: values['use-computed-area'],
+    workers: values.workers,
+    profile: values.profile,
+    baseProfile: values['base-profile'],
+    maxDays: values['max-days'],
+    minOverlap: values['min-overlap'],
+    excludeDuplicatesOf: values['exclude-duplicates-of'],
+    overlap: values.overlap,
+    keepSnapshots: values['keep-snapshots'],
+    replace: values.replace,
+    force: values.force,
+    outDir: path.resolve(values.out || DEFAULT_OUT_DIR),
+    dryRun: values['dry-run']
+  };
+
+  try {
+    await commands[command.name](command.args, options);
+    return EXIT_OK;
+  } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(err.message);
+      console.error(USAGE);
+      return EXIT_USAGE;
+    }
+    console.error(`geoviz ${command.name} failed:`, err.message);
+    return EXIT_FAILURE;
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
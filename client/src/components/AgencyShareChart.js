@@ -0,0 +1,245 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as d3 from 'd3';
+
+// Agencies beyond this many are drawn together as "Other agencies"
+const MAX_AGENCIES = 6;
+
+// Share of fires or acres by responsible agency (CAL FIRE, US Forest Service, ...)
+// per year, with the administrative units of the selected year below it
+export const AgencyShareChart = ({ selectedYear, selectedMetric = 'acres', dataset = 'firep23_1' }) => {
+  const [agencyData, setAgencyData] = useState(null);
+  const [error, setError] = useState(null);
+
+  const chartRef = useRef(null);
+
+  useEffect(() => {
+    const fetchAgencies = async () => {
+      setError(null);
+
+      try {
+        const yearParam = selectedYear ? `&year=${selectedYear}` : '';
+        const response = await fetch(`/api/stats/agencies?dataset=${dataset}${yearParam}`);
+
+        if (!response.ok) {
+          if (response.status === 404) {
+            setError("Agency statistics not found. Re-run the preprocessor to add them.");
+          } else {
+            throw new Error(`Failed to fetch agency data: ${response.statusText}`);
+          }
+          setAgencyData(null);
+          return;
+        }
+
+        setAgencyData(await response.json());
+      } catch (err) {
+        console.error("Error loading agency data:", err);
+        setError("Failed to load agency statistics. Please check your server connection.");
+      }
+    };
+
+    fetchAgencies();
+  }, [selectedYear, dataset]);
+
+  useEffect(() => {
+    if (agencyData) {
+      createShareChart();
+    }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [agencyData, selectedMetric]);
+
+  // 100% stacked area of each agency's share per year
+  const createShareChart = () => {
+    if (!chartRef.current) return;
+
+    d3.select(chartRef.current).selectAll('*').remove();
+    if (agencyData.yearlyShares.length === 0) return;
+
+    const shareKey = selectedMetric === 'fires' ? 'firesShare' : 'acresShare';
+
+    // Largest agencies overall keep their own band
+    const mainAgencies = agencyData.agencies
+      .slice()
+      .sort((a, b) => b[selectedMetric] - a[selectedMetric])
+      .slice(0, MAX_AGENCIES)
+      .map(agency => agency.agency);
+    const names = {};
+    agencyData.agencies.forEach(agency => {
+      names[agency.agency] = agency.agencyName;
+    });
+
+    const hasOther = agencyData.agencies.length > mainAgencies.length;
+    const keys = hasOther ? [...mainAgencies, 'OTHER_AGENCIES'] : mainAgencies;
+    names.OTHER_AGENCIES = 'Other agencies';
+
+    const data = agencyData.yearlyShares.map(({ year, agencies }) => {
+      const row = { year };
+      keys.forEach(key => {
+        row[key] = 0;
+      });
+      agencies.forEach(agency => {
+        const key = mainAgencies.includes(agency.agency) ? agency.agency : 'OTHER_AGENCIES';
+        row[key] += agency[shareKey];
+      });
+      return row;
+    });
+
+    const margin = { top: 40, right: 180, bottom: 60, left: 60 };
+    const width = chartRef.current.clientWidth || 800;
+    const height = 400;
+    const chartWidth = width - margin.left - margin.right;
+    const chartHeight = height - margin.top - margin.bottom;
+
+    const svg = d3.select(chartRef.current)
+      .attr('width', width)
+      .attr('height', height)
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const series = d3.stack().keys(keys)(data);
+
+    const xScale = d3.scalePoint()
+      .domain(data.map(d => d.year))
+      .range([0, chartWidth]);
+
+    const yScale = d3.scaleLinear()
+      .domain([0, 100])
+      .range([chartHeight, 0]);
+
+    const colorScale = d3.scaleOrdinal()
+      .domain(keys)
+      .range(d3.schemeTableau10);
+
+    // Only label every few years when there are many
+    const tickEvery = Math.ceil(data.length / 20);
+
+    svg.append('g')
+      .attr('transform', `translate(0,${chartHeight})`)
+      .call(d3.axisBottom(xScale).tickValues(data.map(d => d.year).filter((year, i) => i % tickEvery === 0)))
+      .selectAll('text')
+      .attr('transform', 'rotate(-45)')
+      .style('text-anchor', 'end')
+      .attr('dx', '-.8em')
+      .attr('dy', '.15em');
+
+    svg.append('g')
+      .call(d3.axisLeft(yScale).tickFormat(d => `${d}%`));
+
+    const tooltip = d3.select('body')
+      .selectAll('.tooltip')
+      .data([null])
+      .join('div')
+      .attr('class', 'tooltip')
+      .style('opacity', 0);
+
+    svg.selectAll('.agency-layer')
+      .data(series)
+      .enter()
+      .append('path')
+      .attr('class', 'agency-layer')
+      .attr('fill', layer => colorScale(layer.key))
+      .attr('d', d3.area()
+        .x(d => xScale(d.data.year))
+        .y0(d => yScale(d[0]))
+        .y1(d => yScale(d[1])))
+      .on('mousemove', function (event, layer) {
+        // Find the year closest to the pointer
+        const [x] = d3.pointer(event, svg.node());
+        const index = Math.max(0, Math.min(data.length - 1, Math.round(x / (xScale.step() || 1))));
+        const row = data[index];
+
+        d3.select(this).attr('opacity', 0.8);
+
+        tooltip.style('opacity', 0.9)
+          .html(`
+            <strong>${row.year} - ${names[layer.key]}</strong><br/>
+            Share of ${selectedMetric === 'fires' ? 'fires' : 'acres burned'}: ${Math.round(row[layer.key] * 10) / 10}%
+          `)
+          .style('left', (event.pageX + 10) + 'px')
+          .style('top', (event.pageY - 28) + 'px');
+      })
+      .on('mouseout', function () {
+        d3.select(this).attr('opacity', 1);
+
+        tooltip.transition()
+          .duration(500)
+          .style('opacity', 0);
+      });
+
+    const legend = svg.append('g')
+      .attr('class', 'legend')
+      .attr('transform', `translate(${chartWidth + 20}, 0)`);
+
+    keys.slice().reverse().forEach((key, i) => {
+      legend.append('rect')
+        .attr('x', 0)
+        .attr('y', i * 20)
+        .attr('width', 12)
+        .attr('height', 12)
+        .attr('fill', colorScale(key));
+
+      legend.append('text')
+        .attr('x', 18)
+        .attr('y', i * 20 + 10)
+        .text(names[key])
+        .style('font-size', '11px');
+    });
+
+    svg.append('text')
+      .attr('x', chartWidth / 2)
+      .attr('y', -10)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '16px')
+      .style('font-weight', 'bold')
+      .text(`Share of ${selectedMetric === 'fires' ? 'Fires' : 'Acres Burned'} by Agency`);
+  };
+
+  const units = agencyData ? agencyData.units.slice(0, 10) : [];
+
+  return (
+    <div className="chart-container">
+      <h3 className="section-title">
+        <svg xmlns="http://www.w3.org/2000/svg" className="section-icon" viewBox="0 0 20 20" fill="currentColor">
+          <path d="M10.394 2.08a1 1 0 00-.788 0l-7 3a1 1 0 000 1.84L5.25 8.051a.999.999 0 01.356-.257l4-1.714a1 1 0 11.788 1.838L7.667 9.088l1.94.831a1 1 0 00.787 0l7-3a1 1 0 000-1.838l-7-3zM3.31 9.397L5 10.12v4.102a8.969 8.969 0 00-1.05-.174 1 1 0 01-.89-.89 11.115 11.115 0 01.25-3.762zM9.3 16.573A9.026 9.026 0 007 14.935v-3.957l1.818.78a3 3 0 002.364 0l5.508-2.361a11.026 11.026 0 01.25 3.762 1 1 0 01-.89.89 8.968 8.968 0 00-5.35 2.524 1 1 0 01-1.4 0z" />
+        </svg>
+        Responsibility by Agency
+      </h3>
+      <div className="chart-description">
+        Each responsible agency's share of fires or acres burned per year, based on the AGENCY recorded for every
+        perimeter. Follows the fires/acres toggle above.
+      </div>
+      {error ? (
+        <div className="chart-description">{error}</div>
+      ) : (
+        <>
+          <div className="chart-canvas">
+            <svg ref={chartRef} width="100%" height="400"></svg>
+          </div>
+          {units.length > 0 && (
+            <div className="data-table">
+              <table className="monthly-table">
+                <thead>
+                  <tr>
+                    <th>Unit ({selectedYear})</th>
+                    <th>Agency</th>
+                    <th>Fires</th>
+                    <th>Acres Burned</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {units.map(unit => (
+                    <tr key={unit.unitId}>
+                      <td>{unit.unitId}</td>
+                      <td>{agencyData.agencyDefinitions[unit.agency] || unit.agency}</td>
+                      <td>{unit.fires.toLocaleString()}</td>
+                      <td>{unit.acres.toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
@@ -5,6 +5,10 @@ export const FireCauseAnalysisDashboard = ({
     causesData,
     topCauses,
     causeDefinitions,
+    causeScheme,
+    causeSchemes = [],
+    causeSchemesError = null,
+    onCauseSchemeChange,
     selectedYear='2023',
     availableYears,
     onYearChange,
@@ -16,6 +20,15 @@ export const FireCauseAnalysisDashboard = ({
     const [selectedCause, setSelectedCause] = useState(null);
     const [showAllCauses, setShowAllCauses] = useState(false);
 
+    // Categories of the selected scheme, with the descriptions the reference table shows
+    const currentScheme = causeSchemes.find(scheme => scheme.id === causeScheme) || null;
+    const isGroupedScheme = currentScheme !== null && currentScheme.fallback !== null;
+
+    // A cause id means something else under another scheme
+    useEffect(() => {
+        setSelectedCause(null);
+    }, [causeScheme]);
+
     useEffect(() => {
         if (topCauses && topCauses.length > 0) {
             createTopCausesChart();
@@ -682,7 +695,10 @@ export const FireCauseAnalysisDashboard = ({
                     Fire Cause Reference Guide
                 </h3>
                 <div className="chart-description">
-                    Reference of fire cause codes and their definitions as per CAL FIRE classification.
+                    {currentScheme
+                        ? `${currentScheme.name}: ${currentScheme.description}`
+                        : 'Reference of fire cause codes and their definitions as per CAL FIRE classification.'}
+                    {causeSchemesError && ` Cause descriptions could not be loaded (${causeSchemesError}).`}
                 </div>
                 <div className="data-table">
                     <table className="monthly-table">
@@ -691,6 +707,7 @@ export const FireCauseAnalysisDashboard = ({
                                 <th>Code</th>
                                 <th>Cause Name</th>
                                 <th>Description</th>
+                                {isGroupedScheme && <th>CAL FIRE Codes</th>}
                             </tr>
                         </thead>
                         <tbody>
@@ -699,6 +716,7 @@ export const FireCauseAnalysisDashboard = ({
                                     <td>{code}</td>
                                     <td>{name}</td>
                                     <td>{getCauseDescription(parseInt(code))}</td>
+                                    {isGroupedScheme && <td>{getCategory(parseInt(code))?.codes.join(', ')}</td>}
                                 </tr>
                             ))}
                         </tbody>
@@ -708,30 +726,15 @@ export const FireCauseAnalysisDashboard = ({
         );
     };
 
-    // Helper function to provide descriptions for fire causes
+    // Descriptions come from the scheme definitions served by /api/causes/schemes
+    const getCategory = (causeId) => {
+        return currentScheme ? currentScheme.categories.find(category => category.id === causeId) : null;
+    };
+
     const getCauseDescription = (causeId) => {
-        switch (causeId) {
-            case 1: return "Fires caused by natural lightning strikes.";
-            case 2: return "Fires caused by equipment use, such as chainsaws, tractors, or other machinery.";
-            case 3: return "Fires caused by improperly discarded cigarettes, cigars, or other smoking materials.";
-            case 4: return "Fires that escape from recreational or warming campfires.";
-            case 5: return "Fires from burning of yard waste or other debris that escape control.";
-            case 6: return "Fires caused by railroad operations, such as sparks from train wheels or maintenance.";
-            case 7: return "Fires intentionally set by individuals with malicious intent.";
-            case 8: return "Fires caused by children or others playing with matches, lighters, or fire.";
-            case 9: return "Fires that don't fall into other specific categories.";
-            case 10: return "Fires caused by vehicles, including exhaust systems, catalytic converters, or accidents.";
-            case 11: return "Fires caused by electrical power lines or related equipment.";
-            case 12: return "Fires that occur during official firefighter training exercises.";
-            case 13: return "Fires that occur during non-firefighter training exercises or activities.";
-            case 14: return "Fires where the cause could not be determined after investigation.";
-            case 15: return "Fires that start from structures and spread to wildland areas.";
-            case 16: return "Fires caused by aircraft crashes or related incidents.";
-            case 17: return "Fires caused by volcanic activity.";
-            case 18: return "Controlled burns that escape their intended boundaries.";
-            case 19: return "Fires specifically linked to campfires made by undocumented immigrants.";
-            default: return "No description available.";
-        }
+        const category = getCategory(causeId);
+        if (category) return category.description;
+        return causeSchemesError ? "Description could not be loaded." : "No description available.";
     };
 
     return (
@@ -777,6 +780,24 @@ export const FireCauseAnalysisDashboard = ({
                     </select>
                 </div>
 
+                {causeSchemes.length > 0 && (
+                    <div className="year-selector">
+                        <label htmlFor="cause-scheme-select" className="year-selector-label">Classify Causes By:</label>
+                        <select
+                            id="cause-scheme-select"
+                            className="year-selector-dropdown"
+                            value={causeScheme || ''}
+                            onChange={(e) => onCauseSchemeChange(e.target.value)}
+                        >
+                            {causeSchemes.map(scheme => (
+                                <option key={scheme.id} value={scheme.id}>
+                                    {scheme.name}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
                 <div className="year-summary">
                     <div className="year-summary-item">
                         <div className="summary-label">Selected Year:</div>
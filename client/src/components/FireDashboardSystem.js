@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { MainDashboard } from './MainDashboard';
+import { SnapshotChangesPanel } from './SnapshotChangesPanel';
 import { EnhancedYearlyAnalysisDashboard } from './YearlyAnalysisDashboard';
 import { FireCauseAnalysisDashboard } from './FireCauseAnalysisDashboard';
 import { TemperatureFireCorrelation } from './TemperatureFireCorrelation';
@@ -8,15 +9,26 @@ import WeatherBoxplotDashboard from './WeatherDashboard';
 import './FireDashboard.css';
 import './TableauDashboard.css';
 
+// Dataset the server serves when none is named, used when the registry cannot be loaded
+const DEFAULT_DATASET = 'firep23_1';
+
 const FireDashboardSystem = ({ containerId }) => {
   const [, setContainer] = useState(null);
   const [activeTab, setActiveTab] = useState('main');
+  const [dataset, setDataset] = useState(null);
+  const [datasets, setDatasets] = useState([]);
   const [yearlyData, setYearlyData] = useState([]);
   const [monthlyData, setMonthlyData] = useState([]);
   const [monthlyDataByYear, setMonthlyDataByYear] = useState({});
   const [causesData, setCausesData] = useState({});
   const [topCauses, setTopCauses] = useState([]);
   const [causeDefinitions, setCauseDefinitions] = useState({});
+  const [provenance, setProvenance] = useState({});
+  const [causeScheme, setCauseScheme] = useState(null);
+  const [causeSchemes, setCauseSchemes] = useState([]);
+  const [causeSchemesError, setCauseSchemesError] = useState(null);
+  const [sizeClassesByYear, setSizeClassesByYear] = useState({});
+  const [sizeClassDefinitions, setSizeClassDefinitions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedYear, setSelectedYear] = useState('2023');
@@ -40,22 +52,51 @@ const FireDashboardSystem = ({ containerId }) => {
 
   useEffect(() => {
     setContainer(document.getElementById(containerId));
+    fetchCauseSchemes();
+    fetchDatasets();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [containerId]);
+
+  // Load the statistics whenever another dataset is chosen
+  useEffect(() => {
+    if (!dataset) return;
     fetchYearlyData();
     setSelectedYear('2023');
     fetchMonthlyData('2023');
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [containerId]);
+  }, [dataset]);
 
   const handleTabChange = (tabName) => {
     setActiveTab(tabName);
   };
 
+  // Registered datasets, from processed_stats/datasets.json, starting with the
+  // default one. Falls back to DEFAULT_DATASET when /api/datasets fails.
+  const fetchDatasets = async () => {
+    try {
+      const response = await fetch(`${backendBaseUrl}/api/datasets`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch datasets: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      setDatasets(data.datasets);
+      setDataset(data.defaultDataset);
+    } catch (err) {
+      // The statistics can still be shown without the registry, just without
+      // the dataset selector
+      console.warn("Error fetching datasets, showing the default dataset:", err);
+      setDatasets([]);
+      setDataset(DEFAULT_DATASET);
+    }
+  };
+
   const fetchYearlyData = async () => {
     setLoading(true);
     setError(null);
 
     try {
-      const response = await fetch(`${backendBaseUrl}/api/stats/yearly?dataset=firep23_1`);
+      const response = await fetch(`${backendBaseUrl}/api/stats/yearly?dataset=${encodeURIComponent(dataset)}${causeScheme ? `&causeScheme=${encodeURIComponent(causeScheme)}` : ''}`);
 
       if (!response.ok) {
         // If we get a 404, it means the statistics file isn't available
@@ -71,6 +112,7 @@ const FireDashboardSystem = ({ containerId }) => {
 
       setYearlyData(data.yearlyData);
       setAvailableYears(data.years);
+      setProvenance(data.provenance || {});
 
       // Set fire cause data if available
       if (data.causesDataByYear) {
@@ -85,6 +127,15 @@ const FireDashboardSystem = ({ containerId }) => {
         setCauseDefinitions(data.causeDefinitions);
       }
 
+      if (data.causeScheme) {
+        setCauseScheme(data.causeScheme);
+      }
+
+      if (data.sizeClassesByYear) {
+        setSizeClassesByYear(data.sizeClassesByYear);
+        setSizeClassDefinitions(data.sizeClassDefinitions || []);
+      }
+
       // Calculate additional statistics
       const sortedYears = [...data.yearlyData].sort((a, b) => parseInt(b.year) - parseInt(a.year));
       const recentYearData = sortedYears.length > 0 ? sortedYears[0] : null;
@@ -126,6 +177,42 @@ const FireDashboardSystem = ({ containerId }) => {
     }
   };
 
+  // Cause classification schemes and their category descriptions
+  const fetchCauseSchemes = async () => {
+    try {
+      const response = await fetch(`${backendBaseUrl}/api/causes/schemes`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch cause schemes: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      setCauseSchemes(data.schemes);
+      setCauseSchemesError(null);
+    } catch (err) {
+      // The cause reference table says why it has no descriptions
+      console.warn("Error fetching cause schemes:", err);
+      setCauseSchemesError(err.message);
+    }
+  };
+
+  // Reload only the cause statistics, grouped by another scheme
+  const handleCauseSchemeChange = async (scheme) => {
+    try {
+      const response = await fetch(`${backendBaseUrl}/api/stats/yearly?dataset=${encodeURIComponent(dataset)}&causeScheme=${encodeURIComponent(scheme)}`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch cause data: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      setCausesData(data.causesDataByYear || {});
+      setTopCauses(data.topCauses || []);
+      setCauseDefinitions(data.causeDefinitions || {});
+      setCauseScheme(data.causeScheme);
+    } catch (err) {
+      console.error(`Error fetching cause data for scheme ${scheme}:`, err);
+    }
+  };
+
   // NEW: Function to fetch monthly data for all years
   const fetchAllMonthlyData = async (years) => {
     if (!years || years.length === 0) return;
@@ -135,7 +222,7 @@ const FireDashboardSystem = ({ containerId }) => {
     // Fetch data for each year
     for (const year of years) {
       try {
-        const response = await fetch(`${backendBaseUrl}/api/stats/monthly?dataset=firep23_1&year=${year}`);
+        const response = await fetch(`${backendBaseUrl}/api/stats/monthly?dataset=${encodeURIComponent(dataset)}&year=${year}`);
 
         if (response.ok) {
           const data = await response.json();
@@ -165,7 +252,7 @@ const FireDashboardSystem = ({ containerId }) => {
         setLoading(true);
       }
 
-      const response = await fetch(`${backendBaseUrl}/api/stats/monthly?dataset=firep23_1&year=${year}`);
+      const response = await fetch(`${backendBaseUrl}/api/stats/monthly?dataset=${encodeURIComponent(dataset)}&year=${year}`);
       if (!response.ok) {
         if (response.status === 404) {
           console.warn("Monthly statistics not found");
@@ -212,6 +299,7 @@ const FireDashboardSystem = ({ containerId }) => {
     setSelectedYear(null);
     setCausesData({});
     setTopCauses([]);
+    setSizeClassesByYear({});
     setError(errorMessage || "Failed to load fire data. Please run the preprocessor script first.");
     setLoading(false);
   };
@@ -225,6 +313,10 @@ const FireDashboardSystem = ({ containerId }) => {
     }));
   };
 
+  // Datasets that can be shown on their own; supplements are merged into their base
+  const baseDatasets = datasets.filter(entry => !entry.supplementFor);
+  const datasetInfo = datasets.find(entry => entry.id === dataset) || null;
+
   // Render loading state
   if (loading) {
     return (
@@ -287,6 +379,23 @@ const FireDashboardSystem = ({ containerId }) => {
 
   return (
     <div className="dashboard-system-container">
+      {baseDatasets.length > 1 && (
+        <div className="year-selector dataset-selector">
+          <label htmlFor="dataset-select" className="year-selector-label">Dataset:</label>
+          <select
+            id="dataset-select"
+            className="year-selector-dropdown"
+            value={dataset || ''}
+            onChange={(e) => setDataset(e.target.value)}
+          >
+            {baseDatasets.map(entry => (
+              <option key={entry.id} value={entry.id}>
+                {entry.title}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
       <div className="dashboard-tabs">
         <button
           className={`dashboard-tab ${activeTab === 'main' ? 'active' : ''}`}
@@ -346,10 +455,15 @@ const FireDashboardSystem = ({ containerId }) => {
 
       <div className="dashboard-content">
         <div id="main-dashboard" className={`dashboard-tab-content ${activeTab === 'main' ? 'active' : ''}`}>
+          {activeTab === 'main' && (
+            <SnapshotChangesPanel dataset={dataset} />
+          )}
           {activeTab === 'main' && (
             <MainDashboard
               summaryStats={summaryStats}
               yearlyData={yearlyData}
+              datasetInfo={datasetInfo}
+              provenance={provenance}
               onRefresh={fetchYearlyData}
             />
           )}
@@ -360,6 +474,10 @@ const FireDashboardSystem = ({ containerId }) => {
               causesData={causesData}
               topCauses={topCauses}
               causeDefinitions={causeDefinitions}
+              causeScheme={causeScheme}
+              causeSchemes={causeSchemes}
+              causeSchemesError={causeSchemesError}
+              onCauseSchemeChange={handleCauseSchemeChange}
               selectedYear={selectedYear || '2023'}
               availableYears={availableYears}
               onYearChange={handleYearChange}
@@ -373,9 +491,13 @@ const FireDashboardSystem = ({ containerId }) => {
               yearlyData={yearlyData}
               monthlyData={monthlyData}
               monthlyDataByYear={monthlyDataByYear}
+              sizeClassesByYear={sizeClassesByYear}
+              sizeClassDefinitions={sizeClassDefinitions}
               selectedYear={selectedYear || '2023'}
               availableYears={availableYears}
               summaryStats={summaryStats}
+              dataset={dataset}
+              provenance={provenance}
               onYearChange={handleYearChange}
               onRefresh={fetchYearlyData}
             />
@@ -0,0 +1,312 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as d3 from 'd3';
+
+// Days from alarm to containment: median/p90 trend across years and a
+// histogram of durations for the selected year
+export const FireDurationAnalysis = ({ selectedYear, dataset = 'firep23_1' }) => {
+  const [durationData, setDurationData] = useState(null);
+  const [error, setError] = useState(null);
+
+  const trendChartRef = useRef(null);
+  const histogramRef = useRef(null);
+
+  useEffect(() => {
+    if (!selectedYear) return;
+
+    const fetchDurations = async () => {
+      setError(null);
+
+      try {
+        const response = await fetch(`/api/stats/duration?dataset=${dataset}&year=${selectedYear}`);
+
+        if (!response.ok) {
+          if (response.status === 404) {
+            setError("Duration data not found. Re-run the preprocessor to include containment dates.");
+          } else {
+            throw new Error(`Failed to fetch duration data: ${response.statusText}`);
+          }
+          setDurationData(null);
+          return;
+        }
+
+        setDurationData(await response.json());
+      } catch (err) {
+        console.error("Error loading duration data:", err);
+        setError("Failed to load fire duration data. Please check your server connection.");
+      }
+    };
+
+    fetchDurations();
+  }, [selectedYear, dataset]);
+
+  useEffect(() => {
+    if (durationData) {
+      createTrendChart();
+      createHistogram();
+    }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [durationData]);
+
+  const getTooltip = () => d3.select('body')
+    .selectAll('.tooltip')
+    .data([null])
+    .join('div')
+    .attr('class', 'tooltip')
+    .style('opacity', 0);
+
+  // Median and 90th percentile duration per year
+  const createTrendChart = () => {
+    if (!trendChartRef.current) return;
+
+    const data = durationData.yearlyDurations.filter(d => d.medianDays !== null);
+    d3.select(trendChartRef.current).selectAll('*').remove();
+    if (data.length === 0) return;
+
+    const margin = { top: 40, right: 120, bottom: 60, left: 60 };
+    const width = trendChartRef.current.clientWidth || 800;
+    const height = 350;
+    const chartWidth = width - margin.left - margin.right;
+    const chartHeight = height - margin.top - margin.bottom;
+
+    const svg = d3.select(trendChartRef.current)
+      .attr('width', width)
+      .attr('height', height)
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const xScale = d3.scalePoint()
+      .domain(data.map(d => d.year))
+      .range([0, chartWidth]);
+
+    const yScale = d3.scaleLinear()
+      .domain([0, d3.max(data, d => d.p90Days) * 1.1 || 1])
+      .range([chartHeight, 0]);
+
+    // Only label every few years when there are many
+    const tickEvery = Math.ceil(data.length / 20);
+
+    svg.append('g')
+      .attr('transform', `translate(0,${chartHeight})`)
+      .call(d3.axisBottom(xScale).tickValues(data.map(d => d.year).filter((year, i) => i % tickEvery === 0)))
+      .selectAll('text')
+      .attr('transform', 'rotate(-45)')
+      .style('text-anchor', 'end')
+      .attr('dx', '-.8em')
+      .attr('dy', '.15em');
+
+    svg.append('g')
+      .call(d3.axisLeft(yScale));
+
+    svg.append('text')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -chartHeight / 2)
+      .attr('y', -45)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '12px')
+      .text('Days to containment');
+
+    const lines = [
+      { key: 'medianDays', label: 'Median', color: '#f97316' },
+      { key: 'p90Days', label: '90th percentile', color: '#b91c1c' }
+    ];
+
+    lines.forEach(({ key, color }) => {
+      svg.append('path')
+        .datum(data)
+        .attr('fill', 'none')
+        .attr('stroke', color)
+        .attr('stroke-width', 2)
+        .attr('d', d3.line()
+          .x(d => xScale(d.year))
+          .y(d => yScale(d[key])));
+    });
+
+    // Highlight the selected year
+    const selected = data.find(d => d.year === selectedYear);
+    if (selected) {
+      svg.append('line')
+        .attr('x1', xScale(selected.year))
+        .attr('x2', xScale(selected.year))
+        .attr('y1', 0)
+        .attr('y2', chartHeight)
+        .attr('stroke', '#6b7280')
+        .attr('stroke-dasharray', '3,3');
+    }
+
+    const tooltip = getTooltip();
+
+    svg.selectAll('.duration-point')
+      .data(data)
+      .enter()
+      .append('circle')
+      .attr('class', 'duration-point')
+      .attr('cx', d => xScale(d.year))
+      .attr('cy', d => yScale(d.medianDays))
+      .attr('r', 4)
+      .attr('fill', '#f97316')
+      .on('mouseover', (event, d) => {
+        tooltip.transition()
+          .duration(200)
+          .style('opacity', 0.9);
+
+        tooltip.html(`
+          <strong>${d.year}</strong><br/>
+          Fires with containment date: ${d.fires.toLocaleString()}<br/>
+          Median: ${d.medianDays} days<br/>
+          90th percentile: ${d.p90Days} days<br/>
+          Mean: ${d.meanDays} days
+        `)
+          .style('left', (event.pageX + 10) + 'px')
+          .style('top', (event.pageY - 28) + 'px');
+      })
+      .on('mouseout', () => {
+        tooltip.transition()
+          .duration(500)
+          .style('opacity', 0);
+      });
+
+    const legend = svg.append('g')
+      .attr('class', 'legend')
+      .attr('transform', `translate(${chartWidth + 20}, 0)`);
+
+    lines.forEach(({ label, color }, i) => {
+      legend.append('rect')
+        .attr('x', 0)
+        .attr('y', i * 20)
+        .attr('width', 12)
+        .attr('height', 12)
+        .attr('fill', color);
+
+      legend.append('text')
+        .attr('x', 18)
+        .attr('y', i * 20 + 10)
+        .text(label)
+        .style('font-size', '11px');
+    });
+
+    svg.append('text')
+      .attr('x', chartWidth / 2)
+      .attr('y', -10)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '16px')
+      .style('font-weight', 'bold')
+      .text('Days from Alarm to Containment');
+  };
+
+  // Number of fires per duration bin for the selected year
+  const createHistogram = () => {
+    if (!histogramRef.current) return;
+
+    const data = durationData.histogram;
+    d3.select(histogramRef.current).selectAll('*').remove();
+    if (!data || durationData.summary.fires === 0) return;
+
+    const margin = { top: 40, right: 30, bottom: 60, left: 60 };
+    const width = histogramRef.current.clientWidth || 800;
+    const height = 350;
+    const chartWidth = width - margin.left - margin.right;
+    const chartHeight = height - margin.top - margin.bottom;
+
+    const svg = d3.select(histogramRef.current)
+      .attr('width', width)
+      .attr('height', height)
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const xScale = d3.scaleBand()
+      .domain(data.map(d => d.label))
+      .range([0, chartWidth])
+      .padding(0.2);
+
+    const yScale = d3.scaleLinear()
+      .domain([0, d3.max(data, d => d.fires) * 1.1 || 1])
+      .range([chartHeight, 0]);
+
+    svg.append('g')
+      .attr('transform', `translate(0,${chartHeight})`)
+      .call(d3.axisBottom(xScale))
+      .selectAll('text')
+      .attr('transform', 'rotate(-30)')
+      .style('text-anchor', 'end');
+
+    svg.append('g')
+      .call(d3.axisLeft(yScale));
+
+    const tooltip = getTooltip();
+    const totalFires = durationData.summary.fires;
+
+    svg.selectAll('.duration-bar')
+      .data(data)
+      .enter()
+      .append('rect')
+      .attr('class', 'duration-bar')
+      .attr('x', d => xScale(d.label))
+      .attr('y', d => yScale(d.fires))
+      .attr('width', xScale.bandwidth())
+      .attr('height', d => chartHeight - yScale(d.fires))
+      .attr('fill', '#f97316')
+      .on('mouseover', function (event, d) {
+        d3.select(this)
+          .transition()
+          .duration(200)
+          .attr('opacity', 0.8);
+
+        tooltip.transition()
+          .duration(200)
+          .style('opacity', 0.9);
+
+        tooltip.html(`
+          <strong>${d.label}</strong><br/>
+          Fires: ${d.fires.toLocaleString()}<br/>
+          Share: ${Math.round((d.fires / totalFires) * 1000) / 10}%
+        `)
+          .style('left', (event.pageX + 10) + 'px')
+          .style('top', (event.pageY - 28) + 'px');
+      })
+      .on('mouseout', function () {
+        d3.select(this)
+          .transition()
+          .duration(200)
+          .attr('opacity', 1);
+
+        tooltip.transition()
+          .duration(500)
+          .style('opacity', 0);
+      });
+
+    svg.append('text')
+      .attr('x', chartWidth / 2)
+      .attr('y', -10)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '16px')
+      .style('font-weight', 'bold')
+      .text(`Fire Durations in ${selectedYear}`);
+  };
+
+  return (
+    <div className="chart-container">
+      <h3 className="section-title">
+        <svg xmlns="http://www.w3.org/2000/svg" className="section-icon" viewBox="0 0 20 20" fill="currentColor">
+          <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z" clipRule="evenodd" />
+        </svg>
+        Fire Duration
+      </h3>
+      <div className="chart-description">
+        Days from alarm to containment for fires with both dates recorded. The trend shows the median and
+        90th percentile per year; the histogram breaks down {selectedYear} by duration.
+        {durationData && durationData.summary.fires > 0 && (
+          <> In {selectedYear}, half of {durationData.summary.fires.toLocaleString()} fires were contained
+          within {durationData.summary.medianDays} days.</>
+        )}
+      </div>
+      {error ? (
+        <div className="chart-description">{error}</div>
+      ) : (
+        <div className="chart-canvas">
+          <svg ref={trendChartRef} width="100%" height="350"></svg>
+          <svg ref={histogramRef} width="100%" height="350"></svg>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -1,7 +1,8 @@
 import React, { useEffect, useRef } from 'react';
 import * as d3 from 'd3';
+import { formatSources } from './provenance';
 
-export const MainDashboard = ({ summaryStats, yearlyData, onRefresh }) => {
+export const MainDashboard = ({ summaryStats, yearlyData, datasetInfo, provenance = {}, onRefresh }) => {
   const recentYearsChartRef = useRef(null);
   const fireIntensityChartRef = useRef(null);
   const topYearsChartRef = useRef(null);
@@ -54,12 +55,19 @@ export const MainDashboard = ({ summaryStats, yearlyData, onRefresh }) => {
         name: year.year,
         value: Math.round(year.acres / year.fires),
         acres: year.acres,
-        fires: year.fires
+        fires: year.fires,
+        sources: year.sources
       }));
 
     return sortedByAcres;
   };
 
+  // Tooltip line naming the datasets a record came from
+  const getSourceLine = (sources) => {
+    const text = formatSources(sources, provenance);
+    return text ? `<br/>${text}` : '';
+  };
+
   const createRecentYearsChart = () => {
     const data = getRecentYearsData();
     if (data.length === 0 || !recentYearsChartRef.current) return;
@@ -220,7 +228,7 @@ export const MainDashboard = ({ summaryStats, yearlyData, onRefresh }) => {
 
         tooltip.html(`
           <strong>Year: ${d.year}</strong><br/>
-          ${label}: ${isFireDot ? value : value.toLocaleString()}
+          ${label}: ${isFireDot ? value : value.toLocaleString()}${getSourceLine(d.sources)}
         `)
           .style('left', (event.pageX + 10) + 'px')
           .style('top', (event.pageY - 28) + 'px');
@@ -336,7 +344,7 @@ export const MainDashboard = ({ summaryStats, yearlyData, onRefresh }) => {
           <strong>Year: ${d.data.name}</strong><br/>
           ${d.data.value.toLocaleString()} acres per fire<br/>
           Total Acres: ${d.data.acres.toLocaleString()}<br/>
-          Total Fires: ${d.data.fires.toLocaleString()}
+          Total Fires: ${d.data.fires.toLocaleString()}${getSourceLine(d.data.sources)}
         `)
           .style('left', (event.pageX + 10) + 'px')
           .style('top', (event.pageY - 28) + 'px');
@@ -446,7 +454,7 @@ export const MainDashboard = ({ summaryStats, yearlyData, onRefresh }) => {
           <strong>Year: ${d.name}</strong><br/>
           Acres Burned: ${d.acres.toLocaleString()}<br/>
           Fires: ${d.fires.toLocaleString()}<br/>
-          Acres per Fire: ${d.value.toLocaleString()}
+          Acres per Fire: ${d.value.toLocaleString()}${getSourceLine(d.sources)}
         `)
           .style('left', (event.pageX + 10) + 'px')
           .style('top', (event.pageY - 28) + 'px');
@@ -585,9 +593,14 @@ export const MainDashboard = ({ summaryStats, yearlyData, onRefresh }) => {
         </h3>
         <div className="data-source-content">
           <p>
-            This visualization uses data from the firep23_1.geojson file, which contains California wildfire records.
+            This visualization uses data from {datasetInfo
+              ? `${datasetInfo.title} (${datasetInfo.sourceFiles.join(', ')})`
+              : 'the processed fire perimeter files'}, which contains California wildfire records.
             The dashboard presents an overview with focus on recent trends, key statistics, and most notable fire years.
           </p>
+          {datasetInfo && datasetInfo.license && (
+            <p className="data-source-note">License: {datasetInfo.license}</p>
+          )}
           <p className="data-source-note">
             Switch to the "Yearly Analysis" tab to explore data for specific years and view monthly breakdowns.
           </p>
@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from 'react';
+
+// Years and causes listed in each table; the description counts all of them
+const MAX_ROWS = 8;
+
+const formatDelta = (value) => `${value > 0 ? '+' : ''}${value.toLocaleString()}`;
+
+const deltaClassName = (value) => (value > 0 ? 'delta-up' : value < 0 ? 'delta-down' : '');
+
+// What the latest processing run changed compared with the one before it,
+// from the snapshots /api/datasets/:id/diff compares. Hidden until a dataset
+// has been processed twice. Covers the dataset's own runs, not its supplements'.
+export const SnapshotChangesPanel = ({ dataset }) => {
+  const [diff, setDiff] = useState(null);
+
+  useEffect(() => {
+    if (!dataset) return;
+
+    const fetchDiff = async () => {
+      try {
+        const response = await fetch(`/api/datasets/${encodeURIComponent(dataset)}/diff`);
+
+        // 404 until there are two snapshots to compare
+        if (!response.ok) {
+          if (response.status !== 404) {
+            throw new Error(`Failed to fetch snapshot diff: ${response.statusText}`);
+          }
+          setDiff(null);
+          return;
+        }
+
+        setDiff(await response.json());
+      } catch (err) {
+        console.warn("Error loading snapshot diff:", err);
+        setDiff(null);
+      }
+    };
+
+    fetchDiff();
+  }, [dataset]);
+
+  if (!diff) return null;
+
+  const byAcres = (a, b) => Math.abs(b.acres.delta) - Math.abs(a.acres.delta);
+  const years = [...diff.years].sort(byAcres).slice(0, MAX_ROWS);
+  const causes = diff.causes.slice(0, MAX_ROWS);
+  const unchanged = diff.years.length === 0 && diff.months.length === 0 && diff.causes.length === 0 &&
+    (diff.causesByYear || []).length === 0;
+
+  return (
+    <div className="chart-container snapshot-changes">
+      <h3 className="section-title">
+        <svg xmlns="http://www.w3.org/2000/svg" className="section-icon" viewBox="0 0 20 20" fill="currentColor">
+          <path fillRule="evenodd" d="M4 2a1 1 0 011 1v2.101a7.002 7.002 0 0111.601 2.566 1 1 0 11-1.885.666A5.002 5.002 0 005.999 7H9a1 1 0 010 2H4a1 1 0 01-1-1V3a1 1 0 011-1zm.008 9.057a1 1 0 011.276.61A5.002 5.002 0 0014.001 13H11a1 1 0 110-2h5a1 1 0 011 1v5a1 1 0 11-2 0v-2.101a7.002 7.002 0 01-11.601-2.566 1 1 0 01.61-1.276z" clipRule="evenodd" />
+        </svg>
+        Changes Since the Last Refresh
+      </h3>
+      <div className="chart-description">
+        Processing run of {new Date(diff.to.processedAt).toLocaleString()} compared with {new Date(diff.from.processedAt).toLocaleString()}.
+        {unchanged ? (
+          <> No yearly, monthly or cause totals changed.</>
+        ) : (
+          <> Total fires changed by <span className={deltaClassName(diff.summary.fires.delta)}>{formatDelta(diff.summary.fires.delta)}</span> and
+          total acres by <span className={deltaClassName(diff.summary.acres.delta)}>{formatDelta(diff.summary.acres.delta)}</span>,
+          across {diff.years.length} years, {diff.months.length} months and {diff.causes.length} causes.</>
+        )}
+        {diff.supplements && diff.supplements.length > 0 && (
+          <> Changes to the supplementary data merged into this dataset are not included.</>
+        )}
+      </div>
+      {!unchanged && (
+        <div className="snapshot-changes-tables">
+          {years.length > 0 && (
+            <table className="monthly-table">
+              <thead>
+                <tr>
+                  <th>Year</th>
+                  <th>Fires</th>
+                  <th>Acres</th>
+                </tr>
+              </thead>
+              <tbody>
+                {years.map(entry => (
+                  <tr key={entry.year}>
+                    <td>{entry.year}</td>
+                    <td className={deltaClassName(entry.fires.delta)}>{formatDelta(entry.fires.delta)}</td>
+                    <td className={deltaClassName(entry.acres.delta)}>{formatDelta(entry.acres.delta)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {causes.length > 0 && (
+            <table className="monthly-table">
+              <thead>
+                <tr>
+                  <th>Cause</th>
+                  <th>Fires</th>
+                  <th>Acres</th>
+                </tr>
+              </thead>
+              <tbody>
+                {causes.map(entry => (
+                  <tr key={entry.causeId}>
+                    <td>{entry.causeName}</td>
+                    <td className={deltaClassName(entry.fires.delta)}>{formatDelta(entry.fires.delta)}</td>
+                    <td className={deltaClassName(entry.acres.delta)}>{formatDelta(entry.acres.delta)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
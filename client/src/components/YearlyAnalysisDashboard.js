@@ -2,21 +2,36 @@ import React, { useEffect, useRef, useState } from 'react';
 import * as d3 from 'd3';
 import { RadialBarChart } from './RadialBarChart';
 import { MonthlyTemperatureBoxplot } from './MonthlyTemperatureBoxPlot';
+import { FireDurationAnalysis } from './FireDurationAnalysis';
+import { AgencyShareChart } from './AgencyShareChart';
+import { formatSources } from './provenance';
 
 export const EnhancedYearlyAnalysisDashboard = ({
   yearlyData,
   monthlyData,
   monthlyDataByYear,
+  sizeClassesByYear = {},
+  sizeClassDefinitions = [],
   selectedYear='2023',
   availableYears,
   summaryStats,
+  dataset,
+  provenance = {},
   onYearChange,
   onRefresh
 }) => {
   const monthlyAcresChartRef = useRef(null);
   const monthlyFiresChartRef = useRef(null);
+  const sizeClassChartRef = useRef(null);
   const [selectedMetric, setSelectedMetric] = useState('fires'); // 'fires' or 'acres'
 
+  useEffect(() => {
+    if (Object.keys(sizeClassesByYear).length > 0) {
+      createSizeClassChart();
+    }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sizeClassesByYear, selectedMetric]);
+
   useEffect(() => {
     if (monthlyData.length > 0) {
       createCharts();
@@ -57,13 +72,20 @@ export const EnhancedYearlyAnalysisDashboard = ({
       data.push({
         month,
         acres: monthData ? monthData.acres : 0,
-        fires: monthData ? monthData.fires : 0
+        fires: monthData ? monthData.fires : 0,
+        sources: monthData ? monthData.sources : undefined
       });
     });
 
     return data;
   };
 
+  // Tooltip line naming the datasets a record came from
+  const getSourceLine = (sources) => {
+    const text = formatSources(sources, provenance);
+    return text ? `<br/>${text}` : '';
+  };
+
   function getResponsiveWidth(svgElement) {
     // Get the width of the container, not the SVG element itself
     const containerWidth = svgElement.parentNode.clientWidth ||
@@ -195,7 +217,7 @@ export const EnhancedYearlyAnalysisDashboard = ({
           <strong>${d.month} ${selectedYear}</strong><br/>
           Acres Burned: ${d.acres.toLocaleString()}<br/>
           Fires: ${d.fires.toLocaleString()}<br/>
-          ${d.fires > 0 ? `Acres per Fire: ${Math.round(d.acres / d.fires).toLocaleString()}` : ''}
+          ${d.fires > 0 ? `Acres per Fire: ${Math.round(d.acres / d.fires).toLocaleString()}` : ''}${getSourceLine(d.sources)}
         `)
           .style('left', (event.pageX + 10) + 'px')
           .style('top', (event.pageY - 28) + 'px');
@@ -326,7 +348,7 @@ export const EnhancedYearlyAnalysisDashboard = ({
           <strong>${d.month} ${selectedYear}</strong><br/>
           Fires: ${d.fires.toLocaleString()}<br/>
           Acres Burned: ${d.acres.toLocaleString()}<br/>
-          ${d.fires > 0 ? `Acres per Fire: ${Math.round(d.acres / d.fires).toLocaleString()}` : ''}
+          ${d.fires > 0 ? `Acres per Fire: ${Math.round(d.acres / d.fires).toLocaleString()}` : ''}${getSourceLine(d.sources)}
         `)
           .style('left', (event.pageX + 10) + 'px')
           .style('top', (event.pageY - 28) + 'px');
@@ -343,6 +365,163 @@ export const EnhancedYearlyAnalysisDashboard = ({
       });
   };
 
+  // Stacked bars of NWCG size classes (A-G) for the most recent 30 years
+  const createSizeClassChart = () => {
+    if (!sizeClassChartRef.current) return;
+
+    const classKeys = sizeClassDefinitions.map(d => d.sizeClass);
+    const classLabels = {};
+    sizeClassDefinitions.forEach(d => {
+      classLabels[d.sizeClass] = d.label;
+    });
+
+    const data = Object.keys(sizeClassesByYear)
+      .sort((a, b) => parseInt(a) - parseInt(b))
+      .slice(-30)
+      .map(year => {
+        const row = { year };
+        sizeClassesByYear[year].forEach(entry => {
+          row[entry.sizeClass] = entry[selectedMetric];
+          row[`${entry.sizeClass}_fires`] = entry.fires;
+          row[`${entry.sizeClass}_acres`] = entry.acres;
+        });
+        return row;
+      });
+
+    if (data.length === 0 || classKeys.length === 0) return;
+
+    const margin = { top: 40, right: 120, bottom: 60, left: 60 };
+    const svgElement = sizeClassChartRef.current;
+    const width = getResponsiveWidth(svgElement);
+    const height = 400;
+    const chartWidth = width - margin.left - margin.right;
+    const chartHeight = height - margin.top - margin.bottom;
+
+    // Clear any existing SVG
+    d3.select(svgElement).selectAll('*').remove();
+
+    // Create SVG
+    const svg = d3.select(svgElement)
+      .attr('width', width)
+      .attr('height', height)
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const series = d3.stack().keys(classKeys)(data);
+
+    // Define scales
+    const xScale = d3.scaleBand()
+      .domain(data.map(d => d.year))
+      .range([0, chartWidth])
+      .padding(0.2);
+
+    const yScale = d3.scaleLinear()
+      .domain([0, d3.max(series, layer => d3.max(layer, d => d[1])) * 1.1 || 1])
+      .range([chartHeight, 0]);
+
+    // Small fires in pale yellow, megafires in dark red
+    const colorScale = d3.scaleOrdinal()
+      .domain(classKeys)
+      .range(d3.schemeYlOrRd[Math.max(3, Math.min(9, classKeys.length))]);
+
+    // Create axes
+    svg.append('g')
+      .attr('transform', `translate(0,${chartHeight})`)
+      .call(d3.axisBottom(xScale))
+      .selectAll('text')
+      .attr('transform', 'rotate(-45)')
+      .style('text-anchor', 'end')
+      .attr('dx', '-.8em')
+      .attr('dy', '.15em');
+
+    svg.append('g')
+      .call(d3.axisLeft(yScale).tickFormat(d => formatLargeNumber(d)));
+
+    // Add stacked bars
+    svg.selectAll('.size-class-layer')
+      .data(series)
+      .enter()
+      .append('g')
+      .attr('class', 'size-class-layer')
+      .attr('fill', layer => colorScale(layer.key))
+      .selectAll('rect')
+      .data(layer => layer.map(d => ({ ...d, sizeClass: layer.key })))
+      .enter()
+      .append('rect')
+      .attr('x', d => xScale(d.data.year))
+      .attr('y', d => yScale(d[1]))
+      .attr('width', xScale.bandwidth())
+      .attr('height', d => yScale(d[0]) - yScale(d[1]));
+
+    // Add legend
+    const legend = svg.append('g')
+      .attr('class', 'legend')
+      .attr('transform', `translate(${chartWidth + 20}, 0)`);
+
+    classKeys.slice().reverse().forEach((key, i) => {
+      legend.append('rect')
+        .attr('x', 0)
+        .attr('y', i * 20)
+        .attr('width', 12)
+        .attr('height', 12)
+        .attr('fill', colorScale(key));
+
+      legend.append('text')
+        .attr('x', 18)
+        .attr('y', i * 20 + 10)
+        .text(`${key}: ${classLabels[key]}`)
+        .style('font-size', '11px');
+    });
+
+    // Add title
+    svg.append('text')
+      .attr('x', chartWidth / 2)
+      .attr('y', -10)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '16px')
+      .style('font-weight', 'bold')
+      .text(`${selectedMetric === 'fires' ? 'Fires' : 'Acres Burned'} by Size Class`);
+
+    // Create tooltip
+    const tooltip = d3.select('body')
+      .selectAll('.tooltip')
+      .data([null])
+      .join('div')
+      .attr('class', 'tooltip')
+      .style('opacity', 0);
+
+    // Add hover effects
+    svg.selectAll('.size-class-layer rect')
+      .on('mouseover', function (event, d) {
+        d3.select(this)
+          .transition()
+          .duration(200)
+          .attr('opacity', 0.8);
+
+        tooltip.transition()
+          .duration(200)
+          .style('opacity', 0.9);
+
+        tooltip.html(`
+          <strong>${d.data.year} - Class ${d.sizeClass} (${classLabels[d.sizeClass]})</strong><br/>
+          Fires: ${d.data[`${d.sizeClass}_fires`].toLocaleString()}<br/>
+          Acres Burned: ${d.data[`${d.sizeClass}_acres`].toLocaleString()}
+        `)
+          .style('left', (event.pageX + 10) + 'px')
+          .style('top', (event.pageY - 28) + 'px');
+      })
+      .on('mouseout', function () {
+        d3.select(this)
+          .transition()
+          .duration(200)
+          .attr('opacity', 1);
+
+        tooltip.transition()
+          .duration(500)
+          .style('opacity', 0);
+      });
+  };
+
   const selectedYearData = getSelectedYearData();
 
   return (
@@ -429,6 +608,27 @@ export const EnhancedYearlyAnalysisDashboard = ({
           />
         </div>
       </div>
+      {/* Size class distribution, follows the metric toggle above */}
+      {Object.keys(sizeClassesByYear).length > 0 && (
+        <div className="chart-section">
+          <div className="chart-container">
+            <h3 className="section-title">
+              <svg xmlns="http://www.w3.org/2000/svg" className="section-icon" viewBox="0 0 20 20" fill="currentColor">
+                <path fillRule="evenodd" d="M5 3a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2V5a2 2 0 00-2-2H5zm9 4a1 1 0 10-2 0v6a1 1 0 102 0V7zm-3 2a1 1 0 10-2 0v4a1 1 0 102 0V9zm-3 3a1 1 0 10-2 0v1a1 1 0 102 0v-1z" clipRule="evenodd" />
+              </svg>
+              Fire Size Classes by Year
+            </h3>
+            <div className="chart-description">
+              NWCG size classes from A (under 0.25 acres) to G (5,000 acres or more) for the most recent 30 years,
+              showing whether a year's total comes from many small fires or a few very large ones.
+            </div>
+            <div className="chart-canvas">
+              <svg ref={sizeClassChartRef} width="100%" height="400"></svg>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* NEW: Monthly Temperature Boxplot */}
       <div className="chart-section">
         <MonthlyTemperatureBoxplot>
@@ -508,6 +708,16 @@ export const EnhancedYearlyAnalysisDashboard = ({
         </div>
       </div>
 
+      {/* Alarm to containment durations */}
+      <div className="chart-section">
+        <FireDurationAnalysis selectedYear={selectedYear || '2023'} dataset={dataset} />
+      </div>
+
+      {/* Agency and unit responsibility */}
+      <div className="chart-section">
+        <AgencyShareChart selectedYear={selectedYear || '2023'} selectedMetric={selectedMetric} dataset={dataset} />
+      </div>
+
       {/* Monthly data table */}
       <div className="monthly-data-table-container">
         <h3 className="section-title">
@@ -1,7 +1,10 @@
 export { default as FireDashboardSystem } from './FireDashboardSystem';
 export { MainDashboard } from './MainDashboard';
+export { SnapshotChangesPanel } from './SnapshotChangesPanel';
 export { EnhancedYearlyAnalysisDashboard } from './YearlyAnalysisDashboard';
 export { FireCauseAnalysisDashboard } from './FireCauseAnalysisDashboard';
 export { TemperatureFireCorrelation } from './TemperatureFireCorrelation';
+export { FireDurationAnalysis } from './FireDurationAnalysis';
+export { AgencyShareChart } from './AgencyShareChart';
 export { default as TableauDashboard } from './TableauDashboard'; 
 export { WeatherBoxplotDashboard } from './WeatherDashboard';
\ No newline at end of file
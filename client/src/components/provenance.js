@@ -0,0 +1,14 @@
+// "Source: CAL FIRE perimeters (supplement)" for a record's `sources`, named
+// with the `provenance` map the statistics endpoints return. Empty when the
+// record lists no sources.
+export const formatSources = (sources, provenance = {}) => {
+  if (!sources || sources.length === 0) return '';
+
+  const names = sources.map(id => {
+    const source = provenance[id];
+    if (!source) return id;
+    return source.role === 'supplement' ? `${source.title} (supplement)` : source.title;
+  });
+
+  return `Source: ${names.join(', ')}`;
+};
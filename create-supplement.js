@@ -1,79 +1,297 @@
+// create-supplement.js - Build a supplement stats file from another dataset's statistics
 const fs = require('fs');
 const path = require('path');
+const { writeJSON, writeText } = require('./lib/output');
+const { toPointCollection, toPointLines } = require('./lib/points');
+const { getPerimeterDir } = require('./lib/perimeters');
+const { SCHEMA_VERSIONS, validateOutput, readValidatedJSON } = require('./lib/schemas');
+const { getCauseNames } = require('./lib/causes');
+const { SIZE_CLASSES } = require('./lib/size-classes');
+const { AGENCY_NAMES } = require('./lib/agencies');
+const { OVERLAP_POLICIES, DEFAULT_OVERLAP_POLICY, sumTopCauses } = require('./lib/merge-stats');
+const { readDatasetRegistry, getSupplementIds, getYearCoverage, registerDataset, unregisterDataset } = require('./lib/datasets');
+const { saveSnapshot } = require('./lib/snapshots');
+const { getDuplicateReportFile, getDedupedDatasetId, countDuplicatesByYear } = require('./lib/dedup');
 
-// Configuration
+// Defaults, used when this script is run directly
 const STATS_DIR = path.join(__dirname, 'processed_stats');
-const SOURCE_FILE = path.join(STATS_DIR, 'CA_Perimeters_CAL_FIRE-stats.json');
-const TARGET_FILE = path.join(STATS_DIR, 'firep23_1-supplement-2024-2025-stats.json');
+const DEFAULT_SOURCE = 'CA_Perimeters_CAL_FIRE';
+const DEFAULT_BASE = 'firep23_1';
+const DEFAULT_YEARS = [2024, 2025];
 
-console.log('Creating supplementary statistics file...');
+// Per-year sections of the stats structure, copied for the years in range
+const PER_YEAR_SECTIONS = [
+  'monthlyDataByYear',
+  'weeklyDataByYear',
+  'dayOfYearDataByYear',
+  'causesDataByYear',
+  'countyDataByYear',
+  'sizeClassDataByYear',
+  'durationDataByYear',
+  'agencyDataByYear',
+  'unitDataByYear'
+];
 
-// Ensure stats directory exists
-if (!fs.existsSync(STATS_DIR)) {
-  fs.mkdirSync(STATS_DIR, { recursive: true });
-  console.log('Created statistics directory:', STATS_DIR);
+// Other supplements of `base` with fires in any year `inRange` accepts. The
+// server merges every supplement of a dataset, so those years would be added twice.
+function findOverlappingSupplements(outDir, base, supplementId, inRange) {
+  return getSupplementIds(outDir, base)
+    .filter(id => id !== supplementId)
+    .filter(id => {
+      const file = path.join(outDir, `${id}-stats.json`);
+      return fs.existsSync(file) && readValidatedJSON(file, 'fire-supplement').years.some(inRange);
+    });
 }
 
-// Check if source file exists
-if (!fs.existsSync(SOURCE_FILE)) {
-  console.error(`Source file not found: ${SOURCE_FILE}`);
-  process.exit(1);
+// Delete a supplement's files and its registry entry. Its snapshots are kept.
+function removeSupplement(outDir, id, { dryRun = false } = {}) {
+  const files = ['-stats.json', '-fires.json', '-points.geojson', '-points.ndjson']
+    .map(suffix => path.join(outDir, `${id}${suffix}`))
+    .filter(file => fs.existsSync(file));
+  const perimeterDir = getPerimeterDir(outDir, id);
+
+  if (dryRun) {
+    console.log(`[dry-run] Would remove supplement ${id}`);
+    return;
+  }
+
+  files.forEach(file => fs.unlinkSync(file));
+  fs.rmSync(perimeterDir, { recursive: true, force: true });
+  unregisterDataset(outDir, id);
+  console.log(`Removed supplement ${id}`);
 }
 
-try {
+// Copy the given year range out of <source>-stats.json (or the `statistics`
+// passed in) into <base>-supplement-<start>-<end>-stats.json, which the server
+// merges into <base>. Every section of the stats is carried over: the per-year
+// sections for the years in range, cause totals recomputed over those years and
+// the cause, size class and agency definitions.
+// The fires, fire points and perimeters for those years are copied from
+// <source>-fires.json, <source>-points.ndjson and perimeters/<source>/ the same way.
+// `overlap` is recorded for the server, which merges years the base also has by it.
+// Summing is refused when a duplicate report lists fires of <source> in <base>
+// for the years copied. So is a range another supplement of <base> has fires in,
+// unless `replace` is set, which removes those supplements first.
+// The supplement is registered in datasets.json as a supplement for <base>, and
+// a snapshot of it is kept like for any processed dataset (see lib/snapshots.js).
+function createSupplement(options = {}) {
+  const {
+    source = DEFAULT_SOURCE,
+    base = DEFAULT_BASE,
+    years = DEFAULT_YEARS,
+    outDir = STATS_DIR,
+    dryRun = false,
+    overlap = DEFAULT_OVERLAP_POLICY,
+    keepSnapshots,
+    replace = false,
+    statistics
+  } = options;
+  const [startYear, endYear] = years;
+  const yearRange = `${startYear}-${endYear}`;
+
+  if (startYear > endYear) {
+    throw new Error(`Invalid year range: ${yearRange}`);
+  }
+
+  if (!OVERLAP_POLICIES.includes(overlap)) {
+    throw new Error(`Unknown overlap policy "${overlap}" (expected one of: ${OVERLAP_POLICIES.join(', ')})`);
+  }
+
+  if (source === base) {
+    throw new Error(`A dataset cannot be a supplement for itself: ${source}`);
+  }
+
+  const sourceFile = path.join(outDir, `${source}-stats.json`);
+  const supplementId = `${base}-supplement-${yearRange}`;
+  const targetFile = path.join(outDir, `${supplementId}-stats.json`);
+
+  console.log('Creating supplementary statistics file...');
+
+  // Check if source file exists
+  if (!statistics && !fs.existsSync(sourceFile)) {
+    throw new Error(`Source file not found: ${sourceFile}`);
+  }
+
   // Read the source statistics
-  const sourceData = JSON.parse(fs.readFileSync(SOURCE_FILE, 'utf8'));
-  
-  // Filter only 2024-2025 data (or whatever new years you have)
-  const filteredYearlyData = sourceData.yearlyData.filter(yearData => 
-    yearData.year === "2024" || yearData.year === "2025"
-  );
-  
-  const filteredYears = sourceData.years.filter(year => 
-    year === "2024" || year === "2025"
-  );
-  
-  // Only keep monthly data for the filtered years
-  const filteredMonthlyDataByYear = {};
-  filteredYears.forEach(year => {
-    if (sourceData.monthlyDataByYear[year]) {
-      filteredMonthlyDataByYear[year] = sourceData.monthlyDataByYear[year];
+  const sourceData = statistics || readValidatedJSON(sourceFile, 'fire-stats');
+
+  const inRange = year => parseInt(year) >= startYear && parseInt(year) <= endYear;
+
+  // Summing the years both datasets have would count the fires `geoviz dedup`
+  // found in both twice
+  const duplicateReportFile = getDuplicateReportFile(outDir, base, source);
+  if (overlap === 'sum' && fs.existsSync(duplicateReportFile)) {
+    const duplicatesByYear = countDuplicatesByYear(readValidatedJSON(duplicateReportFile, 'duplicate-report'));
+    const duplicates = Object.keys(duplicatesByYear)
+      .filter(inRange)
+      .reduce((sum, year) => sum + duplicatesByYear[year], 0);
+
+    if (duplicates > 0) {
+      throw new Error(
+        `${duplicates} fires of ${source} in ${yearRange} are already in ${base} (see ${path.basename(duplicateReportFile)}). ` +
+        `Build the supplement from ${getDedupedDatasetId(source, base)} ("geoviz process fires <file> --exclude-duplicates-of ${base}") ` +
+        'or choose an overlap policy other than sum'
+      );
     }
-  });
-  
+  }
+
+  const overlapping = findOverlappingSupplements(outDir, base, supplementId, inRange);
+  if (overlapping.length > 0 && !replace) {
+    throw new Error(
+      `${overlapping.join(', ')} already has fires in ${yearRange} for ${base}, which would be merged in twice. ` +
+      'Pass --replace to remove it first'
+    );
+  }
+  overlapping.forEach(id => removeSupplement(outDir, id, { dryRun }));
+
+  // Filter only the requested years
+  const filteredYearlyData = sourceData.yearlyData.filter(yearData => inRange(yearData.year));
+
+  const filteredYears = sourceData.years.filter(inRange);
+
+  // Keep the per-year sections for the filtered years; sections the source
+  // predates are left empty
+  const pickYears = section => {
+    const picked = {};
+    filteredYears.forEach(year => {
+      if (section && section[year]) {
+        picked[year] = section[year];
+      }
+    });
+    return picked;
+  };
+
+  const totalFires = filteredYearlyData.reduce((sum, year) => sum + year.fires, 0);
+  const worst = filteredYearlyData.length > 0
+    ? filteredYearlyData.reduce((max, year) => (year.acres > max.acres ? year : max))
+    : null;
+  const perYearSections = Object.fromEntries(
+    PER_YEAR_SECTIONS.map(section => [section, pickYears(sourceData[section])])
+  );
+
   // Create the supplement statistics
   const supplementData = {
     yearlyData: filteredYearlyData,
     years: filteredYears,
-    monthlyDataByYear: filteredMonthlyDataByYear,
+    ...perYearSections,
+    topCauses: sumTopCauses(perYearSections.causesDataByYear, totalFires),
+    causeDefinitions: sourceData.causeDefinitions || getCauseNames(),
+    sizeClassDefinitions: sourceData.sizeClassDefinitions || SIZE_CLASSES,
+    agencyDefinitions: sourceData.agencyDefinitions || AGENCY_NAMES,
     summary: {
-      totalFires: filteredYearlyData.reduce((sum, year) => sum + year.fires, 0),
+      totalFires,
       totalAcres: filteredYearlyData.reduce((sum, year) => sum + year.acres, 0),
-      worstYear: filteredYearlyData.length > 0 ? 
-        filteredYearlyData.reduce((worst, year) => 
-          year.acres > worst.acres ? year : worst
-        ).year : null,
-      worstYearAcres: filteredYearlyData.length > 0 ? 
-        filteredYearlyData.reduce((worst, year) => 
-          year.acres > worst.acres ? year : worst
-        ).acres : 0
+      worstYear: worst ? worst.year : null,
+      worstYearAcres: worst ? worst.acres : 0
     },
     metadata: {
-      sourceFile: 'CA_Perimeters_CAL_FIRE.geojson',
+      schemaVersion: SCHEMA_VERSIONS['fire-supplement'],
+      sourceDataset: source,
+      sourceFile: sourceData.metadata?.sourceFile || `${source}.geojson`,
       processedAt: new Date().toISOString(),
-      supplementFor: 'firep23_1',
-      yearRange: '2024-2025'
+      supplementFor: base,
+      yearRange,
+      overlapPolicy: overlap
     }
   };
-  
+
   // Save the supplement statistics file
-  fs.writeFileSync(TARGET_FILE, JSON.stringify(supplementData, null, 2));
-  
-  console.log(`Successfully created supplement file: ${TARGET_FILE}`);
+  validateOutput('fire-supplement', supplementData);
+  writeJSON(targetFile, supplementData, { dryRun });
+  const snapshotFile = saveSnapshot(outDir, `${base}-supplement-${yearRange}`, supplementData, { dryRun, keep: keepSnapshots });
+
+  // Carry the matching fires over from the source's per-fire index, when it has one
+  const sourceFiresFile = path.join(outDir, `${source}-fires.json`);
+  let firesFile = null;
+
+  if (fs.existsSync(sourceFiresFile)) {
+    const sourceIndex = JSON.parse(fs.readFileSync(sourceFiresFile, 'utf8'));
+    const fires = sourceIndex.fires.filter(fire => inRange(fire.year));
+
+    firesFile = writeJSON(path.join(outDir, `${base}-supplement-${yearRange}-fires.json`), {
+      fires,
+      metadata: {
+        ...sourceIndex.metadata,
+        processedAt: new Date().toISOString(),
+        fireCount: fires.length,
+        supplementFor: base,
+        yearRange
+      }
+    }, { dryRun, compact: true });
+  }
+
+  // ...and their points
+  const sourcePointsFile = path.join(outDir, `${source}-points.ndjson`);
+  let pointsFile = null;
+  let pointLinesFile = null;
+
+  if (fs.existsSync(sourcePointsFile)) {
+    const points = fs.readFileSync(sourcePointsFile, 'utf8')
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => JSON.parse(line))
+      .filter(point => inRange(point.year));
+    const prefix = path.join(outDir, `${base}-supplement-${yearRange}-points`);
+
+    pointsFile = writeJSON(`${prefix}.geojson`, toPointCollection(points, {
+      datasetId: source,
+      processedAt: new Date().toISOString(),
+      pointCount: points.length,
+      supplementFor: base,
+      yearRange
+    }), { dryRun, compact: true });
+    pointLinesFile = writeText(`${prefix}.ndjson`, toPointLines(points), { dryRun });
+  }
+
+  // ...and their simplified perimeters, one file per year and detail level
+  const sourcePerimeterDir = getPerimeterDir(outDir, source);
+  const perimeterFiles = [];
+
+  if (fs.existsSync(sourcePerimeterDir)) {
+    const targetPerimeterDir = getPerimeterDir(outDir, `${base}-supplement-${yearRange}`);
+
+    fs.readdirSync(sourcePerimeterDir)
+      .filter(file => inRange(file.split('-')[0]))
+      .forEach(file => {
+        const perimeters = JSON.parse(fs.readFileSync(path.join(sourcePerimeterDir, file), 'utf8'));
+        perimeterFiles.push(writeJSON(path.join(targetPerimeterDir, file), perimeters, { dryRun, compact: true }));
+      });
+  }
+
+  const sourceEntry = readDatasetRegistry(outDir).datasets[source];
+  const registryFile = registerDataset(outDir, `${base}-supplement-${yearRange}`, {
+    title: `${sourceEntry ? sourceEntry.title : source} ${yearRange}`,
+    description: `Fires from ${yearRange} in ${source}, merged into ${base}.`,
+    license: sourceEntry ? sourceEntry.license : null,
+    sourceFiles: [supplementData.metadata.sourceFile],
+    supplementFor: base,
+    sourceDataset: source,
+    years: getYearCoverage(filteredYears)
+  }, { dryRun });
+
+  console.log(`Successfully created supplement file: ${targetFile}`);
   console.log(`Added data for years: ${filteredYears.join(', ')}`);
   console.log(`Total fires in supplement: ${supplementData.summary.totalFires}`);
   console.log(`Total acres in supplement: ${Math.round(supplementData.summary.totalAcres).toLocaleString()}`);
-  
-} catch (err) {
-  console.error('Error creating supplement file:', err);
-}
\ No newline at end of file
+
+  return { statistics: supplementData, outputFile: targetFile, snapshotFile, firesFile, pointsFile, pointLinesFile, perimeterFiles, registryFile };
+}
+
+// node create-supplement.js [<start>-<end>] [<source>] [<base>]; `geoviz supplement` takes the same as options
+if (require.main === module) {
+  try {
+    const [range, source, base] = process.argv.slice(2);
+    const years = range ? range.split('-').map(year => parseInt(year)) : DEFAULT_YEARS;
+    if (years.length !== 2 || years.some(isNaN)) {
+      throw new Error(`Year range must look like 2024-2025, got "${range}"`);
+    }
+    createSupplement({ years, source, base });
+  } catch (err) {
+    console.error('Error creating supplement file:', err);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  createSupplement
+};
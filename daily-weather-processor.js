@@ -0,0 +1,195 @@
+// daily-weather-processor.js - Join daily fire starts from the perimeter data with a daily weather CSV
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { writeJSON } = require('./lib/output');
+const { getDateParts } = require('./lib/dates');
+const { SCHEMA_VERSIONS, validateOutput, readValidatedJSON } = require('./lib/schemas');
+const { getSupplementIds } = require('./lib/datasets');
+
+// Defaults, used when this script is run directly
+const STATS_DIR = path.join(__dirname, 'processed_stats');
+const WEATHER_FILE = path.join(STATS_DIR, 'CA_Weather_Fire_Dataset_1984-2025.csv');
+const FIRE_DATASET = 'firep23_1';
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Weather columns copied into the joined records
+const WEATHER_COLUMNS = {
+  precipitation: 'PRECIPITATION',
+  maxTemp: 'MAX_TEMP',
+  minTemp: 'MIN_TEMP',
+  avgWindSpeed: 'AVG_WIND_SPEED'
+};
+
+const readNumber = value => (value === undefined || value === null || value.trim() === '' || isNaN(parseFloat(value)) ? null : parseFloat(value));
+
+const readBoolean = value => {
+  const text = String(value || '').trim().toLowerCase();
+  if (text === 'true' || text === '1') return true;
+  if (text === 'false' || text === '0') return false;
+  return null;
+};
+
+// Output file for a fire dataset
+function getDailyWeatherFile(outDir, fireDataset) {
+  return path.join(outDir, `${fireDataset}-daily-weather.json`);
+}
+
+// The dataset's stats file and its supplements' stats files, the inputs of the join
+function getDailyFireFiles(outDir, fireDataset) {
+  const statsPath = path.join(outDir, `${fireDataset}-stats.json`);
+  const supplementFiles = getSupplementIds(outDir, fireDataset)
+    .map(id => path.join(outDir, `${id}-stats.json`))
+    .filter(file => fs.existsSync(file));
+
+  return { statsPath, supplementFiles };
+}
+
+// Fire starts and acres per day, { year: { fires: [], acres: [] } }, from the
+// dataset's day-of-year totals plus those of its supplements
+function loadDailyFires(outDir, fireDataset) {
+  const { statsPath, supplementFiles } = getDailyFireFiles(outDir, fireDataset);
+  if (!fs.existsSync(statsPath)) {
+    throw new Error(`Fire stats file not found: ${statsPath}. Please run the fire data processor first`);
+  }
+
+  const stats = readValidatedJSON(statsPath, 'fire-stats');
+  if (!stats.dayOfYearDataByYear) {
+    throw new Error(`${path.basename(statsPath)} has no day-of-year totals. Re-run "geoviz process fires" to add them`);
+  }
+
+  const dailyFires = {};
+  [stats, ...supplementFiles.map(file => readValidatedJSON(file, 'fire-supplement'))].forEach(data => {
+    Object.entries(data.dayOfYearDataByYear || {}).forEach(([year, { fires, acres }]) => {
+      if (!dailyFires[year]) {
+        dailyFires[year] = { fires: new Array(fires.length).fill(0), acres: new Array(acres.length).fill(0) };
+      }
+      fires.forEach((count, index) => { dailyFires[year].fires[index] += count; });
+      acres.forEach((value, index) => {
+        dailyFires[year].acres[index] = Math.round((dailyFires[year].acres[index] + value) * 100) / 100;
+      });
+    });
+  });
+
+  return dailyFires;
+}
+
+// Join the weather CSV with <fireDataset>-stats.json on DATE and write
+// <fireDataset>-daily-weather.json. Days in years without dated fires have
+// null fire counts. Resolves with the joined dataset.
+function processDailyWeather(weatherFilePath, options = {}) {
+  const {
+    fireDataset = FIRE_DATASET,
+    outDir = STATS_DIR,
+    dryRun = false
+  } = options;
+
+  if (!fs.existsSync(weatherFilePath)) {
+    return Promise.reject(new Error(`Weather data file not found: ${weatherFilePath}`));
+  }
+
+  let dailyFires;
+  try {
+    dailyFires = loadDailyFires(outDir, fireDataset);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+
+  console.log('Joining daily fire starts with the weather data...');
+
+  const days = [];
+  let skippedRows = 0;
+
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(weatherFilePath)
+      .pipe(csv())
+      .on('data', (row) => {
+        const match = DATE_PATTERN.exec((row.DATE || '').trim());
+        if (!match) {
+          skippedRows++;
+          return;
+        }
+
+        const date = new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])));
+        const { year, dayOfYear } = getDateParts(date);
+        const fireDays = dailyFires[year];
+
+        const day = {
+          date: match[0],
+          fires: fireDays ? fireDays.fires[dayOfYear - 1] : null,
+          acres: fireDays ? fireDays.acres[dayOfYear - 1] : null
+        };
+        Object.entries(WEATHER_COLUMNS).forEach(([key, column]) => {
+          day[key] = readNumber(row[column]);
+        });
+        day.weatherFireStartDay = readBoolean(row.FIRE_START_DAY);
+
+        days.push(day);
+      })
+      .on('end', () => {
+        try {
+          days.sort((a, b) => a.date.localeCompare(b.date));
+
+          // How our fire starts line up with the CSV's own FIRE_START_DAY flag
+          const agreement = { both: 0, perimeterOnly: 0, weatherOnly: 0, neither: 0 };
+          days.forEach(day => {
+            if (day.fires === null || day.weatherFireStartDay === null) return;
+
+            const ours = day.fires > 0;
+            if (ours && day.weatherFireStartDay) agreement.both++;
+            else if (ours) agreement.perimeterOnly++;
+            else if (day.weatherFireStartDay) agreement.weatherOnly++;
+            else agreement.neither++;
+          });
+
+          const covered = days.filter(day => day.fires !== null);
+          const dailyWeather = {
+            days,
+            summary: {
+              days: days.length,
+              daysWithFireData: covered.length,
+              fireStartDays: covered.filter(day => day.fires > 0).length,
+              totalFires: covered.reduce((sum, day) => sum + day.fires, 0),
+              totalAcres: Math.round(covered.reduce((sum, day) => sum + day.acres, 0) * 100) / 100,
+              firstDate: days.length > 0 ? days[0].date : null,
+              lastDate: days.length > 0 ? days[days.length - 1].date : null,
+              fireStartDayAgreement: agreement
+            },
+            metadata: {
+              schemaVersion: SCHEMA_VERSIONS['daily-weather'],
+              fireDataset,
+              weatherFile: path.basename(weatherFilePath),
+              processedAt: new Date().toISOString(),
+              skippedRows
+            }
+          };
+
+          validateOutput('daily-weather', dailyWeather);
+          const outputFile = writeJSON(getDailyWeatherFile(outDir, fireDataset), dailyWeather, { dryRun, compact: true });
+
+          console.log(`Joined ${days.length} days, ${covered.length} of them with fire data`);
+          console.log(`Daily weather data saved to: ${outputFile}`);
+          resolve(dailyWeather);
+        } catch (err) {
+          reject(err);
+        }
+      })
+      .on('error', reject);
+  });
+}
+
+// Run the processor when executed directly
+if (require.main === module) {
+  processDailyWeather(WEATHER_FILE).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  getDailyWeatherFile,
+  getDailyFireFiles,
+  loadDailyFires,
+  processDailyWeather
+};
@@ -0,0 +1,36 @@
+// lib/agencies.js - Responsible agency codes used in the FRAP fire perimeter AGENCY field
+
+const AGENCY_NAMES = {
+  CDF: 'CAL FIRE',
+  CCO: 'Contract County',
+  LRA: 'Local Responsibility Area',
+  USF: 'US Forest Service',
+  BLM: 'Bureau of Land Management',
+  NPS: 'National Park Service',
+  BIA: 'Bureau of Indian Affairs',
+  FWS: 'US Fish and Wildlife Service',
+  DOD: 'Department of Defense',
+  OTH: 'Other'
+};
+
+// Fires without an AGENCY (or UNIT_ID) are grouped under this code
+const UNKNOWN_AGENCY = 'UNK';
+
+// Upper-cased agency or unit code, or UNKNOWN_AGENCY when it is missing
+function normalizeAgencyCode(value) {
+  if (value === undefined || value === null) return UNKNOWN_AGENCY;
+  const code = String(value).trim().toUpperCase();
+  return code || UNKNOWN_AGENCY;
+}
+
+function getAgencyName(code) {
+  if (code === UNKNOWN_AGENCY) return 'Unknown';
+  return AGENCY_NAMES[code] || code;
+}
+
+module.exports = {
+  AGENCY_NAMES,
+  UNKNOWN_AGENCY,
+  normalizeAgencyCode,
+  getAgencyName
+};
@@ -0,0 +1,135 @@
+// lib/area-reconciliation.js - Compare reported acreage with the area of the fire perimeter
+const turf = require('@turf/turf');
+
+const SQUARE_METERS_PER_ACRE = 4046.8564224;
+
+// Relative difference between reported and computed acres that counts as a discrepancy
+const DEFAULT_AREA_TOLERANCE = 0.1;
+
+// Differences smaller than this are ignored, so tiny fires do not flood the report
+const MIN_DISCREPANCY_ACRES = 1;
+
+// Area of a (Multi)Polygon perimeter in acres, or null when there is no usable
+// geometry. Coordinates outside lon/lat range mean a projected CRS, which turf cannot measure.
+function computeAcres(feature) {
+  const geometry = feature && feature.geometry;
+  if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) return null;
+
+  try {
+    const [minX, minY, maxX, maxY] = turf.bbox(feature);
+    if (minX < -180 || maxX > 180 || minY < -90 || maxY > 90) return null;
+
+    return turf.area(feature) / SQUARE_METERS_PER_ACRE;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Running totals for one preprocessing run
+function createAreaReconciliation({ tolerance = DEFAULT_AREA_TOLERANCE, useComputedArea = false } = {}) {
+  return {
+    tolerance,
+    useComputedArea,
+    checked: 0,
+    withinTolerance: 0,
+    noGeometry: 0,
+    missingReported: 0,
+    filledFromGeometry: 0,
+    reportedAcres: 0,
+    computedAcres: 0,
+    discrepancies: []
+  };
+}
+
+// Record one fire and return the acres the pipeline should use for it. `fire`
+// identifies the record in the report ({ fireNumber, name, year, incidentNumber }).
+function reconcileAcres(state, { reportedAcres, computedAcres, fire }) {
+  const hasReported = reportedAcres > 0;
+
+  if (computedAcres === null) {
+    state.noGeometry++;
+    if (!hasReported) state.missingReported++;
+    return reportedAcres;
+  }
+
+  if (!hasReported) {
+    state.missingReported++;
+    if (!state.useComputedArea) return reportedAcres;
+
+    state.filledFromGeometry++;
+    return Math.round(computedAcres * 100) / 100;
+  }
+
+  state.checked++;
+  state.reportedAcres += reportedAcres;
+  state.computedAcres += computedAcres;
+
+  const difference = computedAcres - reportedAcres;
+  const relativeDifference = difference / reportedAcres;
+
+  if (Math.abs(relativeDifference) <= state.tolerance || Math.abs(difference) < MIN_DISCREPANCY_ACRES) {
+    state.withinTolerance++;
+  } else {
+    state.discrepancies.push({
+      ...fire,
+      reportedAcres: Math.round(reportedAcres * 100) / 100,
+      computedAcres: Math.round(computedAcres * 100) / 100,
+      difference: Math.round(difference * 100) / 100,
+      relativeDifference: Math.round(relativeDifference * 1000) / 1000
+    });
+  }
+
+  return reportedAcres;
+}
+
+// Fold a partial state, e.g. from a worker thread, into `state`
+function mergeAreaReconciliation(state, partial) {
+  ['checked', 'withinTolerance', 'noGeometry', 'missingReported', 'filledFromGeometry', 'reportedAcres', 'computedAcres']
+    .forEach(key => {
+      state[key] += partial[key];
+    });
+  partial.discrepancies.forEach(discrepancy => state.discrepancies.push(discrepancy));
+}
+
+// Totals for the stats metadata
+function summarizeAreaReconciliation(state) {
+  return {
+    tolerance: state.tolerance,
+    useComputedArea: state.useComputedArea,
+    checked: state.checked,
+    withinTolerance: state.withinTolerance,
+    discrepancies: state.discrepancies.length,
+    noGeometry: state.noGeometry,
+    missingReported: state.missingReported,
+    filledFromGeometry: state.filledFromGeometry,
+    reportedAcres: Math.round(state.reportedAcres * 100) / 100,
+    computedAcres: Math.round(state.computedAcres * 100) / 100
+  };
+}
+
+// The full report: summary plus every discrepancy, largest absolute difference first.
+// Fire numbers become the same ids the -fires.json index uses.
+function buildAreaReport(state, { datasetId, sourceFile }) {
+  return {
+    summary: summarizeAreaReconciliation(state),
+    discrepancies: state.discrepancies
+      .slice()
+      .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference) || a.fireNumber - b.fireNumber)
+      .map(({ fireNumber, ...discrepancy }) => ({ id: `${datasetId}-${fireNumber}`, ...discrepancy })),
+    metadata: {
+      datasetId,
+      sourceFile,
+      processedAt: new Date().toISOString()
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_AREA_TOLERANCE,
+  computeAcres,
+  createAreaReconciliation,
+  reconcileAcres,
+  mergeAreaReconciliation,
+  summarizeAreaReconciliation,
+  buildAreaReport
+};
@@ -0,0 +1,139 @@
+// lib/causes.js - Fire cause codes and the schemes that group them, from data/cause-schemes.json
+// Statistics are always kept per raw cause code; a scheme regroups them into its
+// categories. A scheme without categories (calfire) uses the codes themselves.
+// Codes a grouped scheme does not list fall into its `fallback` category.
+const fs = require('fs');
+const path = require('path');
+const { validateOutput } = require('./schemas');
+
+const CAUSE_SCHEMES_FILE = path.join(__dirname, '..', 'data', 'cause-schemes.json');
+
+// Read and checked on first use
+let causeSchemes;
+function loadCauseSchemes() {
+  if (!causeSchemes) {
+    const data = validateOutput('cause-schemes', JSON.parse(fs.readFileSync(CAUSE_SCHEMES_FILE, 'utf8')), { file: CAUSE_SCHEMES_FILE });
+
+    Object.entries(data.schemes).forEach(([id, scheme]) => {
+      if (!scheme.categories) return;
+
+      const seen = new Set();
+      scheme.categories.forEach(category => category.codes.forEach(code => {
+        if (seen.has(code)) {
+          throw new Error(`${path.basename(CAUSE_SCHEMES_FILE)}: cause code ${code} is in more than one ${id} category`);
+        }
+        seen.add(code);
+      }));
+
+      if (!scheme.categories.some(category => category.id === scheme.fallback)) {
+        throw new Error(`${path.basename(CAUSE_SCHEMES_FILE)}: ${id} has no fallback category ${scheme.fallback}`);
+      }
+    });
+
+    if (!data.schemes[data.defaultScheme]) {
+      throw new Error(`${path.basename(CAUSE_SCHEMES_FILE)}: default scheme ${data.defaultScheme} is not defined`);
+    }
+
+    causeSchemes = data;
+  }
+  return causeSchemes;
+}
+
+// { code: name } for the raw cause codes, as written to causeDefinitions
+function getCauseNames() {
+  return Object.fromEntries(Object.entries(loadCauseSchemes().codes).map(([code, { name }]) => [code, name]));
+}
+
+function getDefaultCauseScheme() {
+  return loadCauseSchemes().defaultScheme;
+}
+
+// { id, name, description, categories: [{ id, name, description, codes }] }, or
+// null when there is no such scheme
+function getCauseScheme(id) {
+  const { codes, schemes } = loadCauseSchemes();
+  const scheme = schemes[id];
+  if (!scheme) return null;
+
+  const categories = scheme.categories || Object.entries(codes).map(([code, { name, description }]) => ({
+    id: parseInt(code),
+    name,
+    description,
+    codes: [parseInt(code)]
+  }));
+
+  return {
+    id,
+    name: scheme.name,
+    description: scheme.description,
+    fallback: scheme.categories ? scheme.fallback : null,
+    categories
+  };
+}
+
+function listCauseSchemes() {
+  return Object.keys(loadCauseSchemes().schemes).map(getCauseScheme);
+}
+
+// Category id a raw cause code falls into under `scheme`
+function getCauseCategory(scheme, causeId) {
+  const code = parseInt(causeId);
+  if (scheme.fallback === null) return code;
+
+  const category = scheme.categories.find(entry => entry.codes.includes(code));
+  return category ? category.id : scheme.fallback;
+}
+
+// { categoryId: name } under `scheme`, in the shape of causeDefinitions
+function getCategoryNames(scheme) {
+  return Object.fromEntries(scheme.categories.map(category => [category.id, category.name]));
+}
+
+// Sum a list of { causeId, causeName, fires, acres } into the scheme's
+// categories, most fires first. Other fields of the entries are dropped, except
+// the `sources` they came from (see lib/merge-stats.js), which are combined.
+function regroupCauseList(causes = [], scheme) {
+  const names = getCategoryNames(scheme);
+  const totals = new Map();
+
+  causes.forEach(cause => {
+    const categoryId = getCauseCategory(scheme, cause.causeId);
+    const total = totals.get(categoryId) || { causeId: categoryId, causeName: names[categoryId], fires: 0, acres: 0 };
+    total.fires += cause.fires;
+    total.acres += cause.acres;
+    if (cause.sources) {
+      total.sources = Array.from(new Set([...(total.sources || []), ...cause.sources]));
+    }
+    totals.set(categoryId, total);
+  });
+
+  return Array.from(totals.values())
+    .map(total => ({ ...total, acres: Math.round(total.acres * 100) / 100 }))
+    .sort((a, b) => b.fires - a.fires);
+}
+
+// Combine a { causeId: value } breakdown into { categoryId: value }, joining the
+// values of codes in the same category with merge(a, b)
+function regroupCauseBreakdown(breakdown = {}, scheme, merge) {
+  const regrouped = {};
+
+  Object.entries(breakdown).forEach(([causeId, value]) => {
+    const categoryId = getCauseCategory(scheme, causeId);
+    regrouped[categoryId] = regrouped[categoryId] ? merge(regrouped[categoryId], value) : value;
+  });
+
+  return regrouped;
+}
+
+module.exports = {
+  CAUSE_SCHEMES_FILE,
+  loadCauseSchemes,
+  getCauseNames,
+  getDefaultCauseScheme,
+  getCauseScheme,
+  listCauseSchemes,
+  getCauseCategory,
+  getCategoryNames,
+  regroupCauseList,
+  regroupCauseBreakdown
+};
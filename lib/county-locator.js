@@ -0,0 +1,51 @@
+// lib/county-locator.js - Assign fire perimeters to California counties
+const fs = require('fs');
+const path = require('path');
+const turf = require('@turf/turf');
+
+// Bundled county boundaries (US Census cartographic boundaries via us-atlas, WGS84)
+const COUNTIES_FILE = path.join(__dirname, '..', 'data', 'ca-counties.geojson');
+
+// Fires whose perimeter falls outside every county (or has no usable geometry)
+const UNASSIGNED = { fips: null, name: 'Unassigned' };
+
+// Build a locator over the given county FeatureCollection. locate(feature)
+// returns { fips, name } for the county containing a point on the perimeter.
+function createCountyLocator(counties = JSON.parse(fs.readFileSync(COUNTIES_FILE, 'utf8'))) {
+  const index = counties.features.map(county => ({
+    fips: county.properties.fips,
+    name: county.properties.name,
+    bbox: turf.bbox(county),
+    county
+  }));
+
+  const locate = feature => {
+    if (!feature || !feature.geometry) return UNASSIGNED;
+
+    let point;
+    try {
+      // pointOnFeature always lands inside the perimeter, unlike the centroid
+      point = turf.pointOnFeature(feature);
+    } catch (err) {
+      return UNASSIGNED;
+    }
+
+    const [x, y] = point.geometry.coordinates;
+    const match = index.find(({ bbox, county }) =>
+      x >= bbox[0] && x <= bbox[2] && y >= bbox[1] && y <= bbox[3] &&
+      turf.booleanPointInPolygon(point, county)
+    );
+
+    return match ? { fips: match.fips, name: match.name } : UNASSIGNED;
+  };
+
+  return {
+    locate,
+    counties: index.map(({ fips, name }) => ({ fips, name }))
+  };
+}
+
+module.exports = {
+  createCountyLocator,
+  UNASSIGNED
+};
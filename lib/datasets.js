@@ -0,0 +1,131 @@
+// lib/datasets.js - The dataset registry, processed_stats/datasets.json
+// Lists every processed fire dataset with its title, description, source files,
+// the years it covers, its license and when it was last processed. A supplement
+// names the dataset it is merged into in supplementFor. Processing a dataset
+// registers it; titles, descriptions and licenses are kept as edited.
+const fs = require('fs');
+const path = require('path');
+const { writeJSON } = require('./output');
+const { validateOutput } = require('./schemas');
+
+const DATASETS_FILE = 'datasets.json';
+
+// Default dataset until the first one is registered
+const DEFAULT_DATASET = 'firep23_1';
+
+function readDatasetRegistry(outDir) {
+  const registryPath = path.join(outDir, DATASETS_FILE);
+  if (!fs.existsSync(registryPath)) {
+    return { defaultDataset: DEFAULT_DATASET, datasets: {} };
+  }
+  return validateOutput('dataset-registry', JSON.parse(fs.readFileSync(registryPath, 'utf8')), { file: registryPath });
+}
+
+// The registry entry for `id` with its id and the ids of its supplements, or
+// null when the dataset is not registered
+function getDataset(registry, id) {
+  const entry = registry.datasets[id];
+  if (!entry) return null;
+
+  return {
+    id,
+    ...entry,
+    supplements: Object.keys(registry.datasets)
+      .filter(other => registry.datasets[other].supplementFor === id)
+      .sort()
+  };
+}
+
+function listDatasets(registry) {
+  return Object.keys(registry.datasets).map(id => getDataset(registry, id));
+}
+
+// Ids of the supplements merged into `datasetId`. A registered dataset has the
+// ones the registry lists; for any other every <datasetId>-supplement-*-stats.json counts.
+function getSupplementIds(outDir, datasetId) {
+  const registry = readDatasetRegistry(outDir);
+  if (registry.datasets[datasetId]) {
+    return getDataset(registry, datasetId).supplements;
+  }
+
+  if (!fs.existsSync(outDir)) return [];
+  return fs.readdirSync(outDir)
+    .filter(file => file.startsWith(`${datasetId}-supplement-`) && file.endsWith('-stats.json'))
+    .map(file => file.slice(0, -'-stats.json'.length))
+    .sort();
+}
+
+// { id: { title, role } } naming each of the dataset ids records list in their
+// `sources`. A supplement is named after the dataset it was copied from, with
+// role 'supplement'. An unregistered dataset is named by its id, and is a
+// supplement when its id follows the <base>-supplement-<years> pattern.
+function describeSources(registry, ids) {
+  return Object.fromEntries(ids.map(id => {
+    const entry = registry.datasets[id];
+    if (!entry) return [id, { title: id, role: id.includes('-supplement-') ? 'supplement' : 'base' }];
+
+    const sourceEntry = entry.sourceDataset && registry.datasets[entry.sourceDataset];
+    return [id, {
+      title: entry.supplementFor && sourceEntry ? sourceEntry.title : entry.title,
+      role: entry.supplementFor ? 'supplement' : 'base'
+    }];
+  }));
+}
+
+// { start, end } of a stats file's years, or null when it has none
+function getYearCoverage(years = []) {
+  const numbers = years.map(year => parseInt(year)).filter(year => !isNaN(year));
+  return numbers.length > 0 ? { start: Math.min(...numbers), end: Math.max(...numbers) } : null;
+}
+
+// Add a dataset to the registry, or update it after it was processed again.
+// sourceFiles, years, supplementFor and sourceDataset are replaced; title,
+// description and license are only used for a dataset that is not registered yet.
+// Returns the registry file.
+function registerDataset(outDir, id, fields, { dryRun = false } = {}) {
+  const { title, description, license, sourceFiles, years, supplementFor, sourceDataset } = fields;
+  const registry = readDatasetRegistry(outDir);
+  const existing = registry.datasets[id];
+
+  registry.datasets[id] = {
+    title: existing ? existing.title : title || id,
+    description: existing ? existing.description : description || '',
+    sourceFiles,
+    ...(supplementFor ? { supplementFor } : {}),
+    ...(sourceDataset ? { sourceDataset } : {}),
+    years,
+    license: existing ? existing.license : license || null,
+    processedAt: new Date().toISOString()
+  };
+
+  // The first dataset registered becomes the default, unless it is a supplement
+  if (!registry.datasets[registry.defaultDataset] && !supplementFor) {
+    registry.defaultDataset = id;
+  }
+
+  validateOutput('dataset-registry', registry);
+  return writeJSON(path.join(outDir, DATASETS_FILE), registry, { dryRun });
+}
+
+// Remove a dataset from the registry. Returns the registry file, or null when
+// the dataset was not registered.
+function unregisterDataset(outDir, id, { dryRun = false } = {}) {
+  const registry = readDatasetRegistry(outDir);
+  if (!registry.datasets[id]) return null;
+
+  delete registry.datasets[id];
+  validateOutput('dataset-registry', registry);
+  return writeJSON(path.join(outDir, DATASETS_FILE), registry, { dryRun });
+}
+
+module.exports = {
+  DATASETS_FILE,
+  readDatasetRegistry,
+  getDataset,
+  listDatasets,
+  getSupplementIds,
+  describeSources,
+  getYearCoverage,
+  registerDataset,
+  unregisterDataset
+};
@@ -0,0 +1,190 @@
+// lib/dates.js - Timezone-independent parsing of fire dates
+// Every date is read and bucketed in UTC, so results do not depend on the
+// server's locale or timezone.
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD or YYYY/MM/DD, optionally followed by a time and a UTC offset
+const ISO_DATE = /^(\d{4})[-/](\d{2})[-/](\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?)?$/i;
+
+// MM/DD/YYYY, as spreadsheet and Access exports write dates, optionally followed
+// by a 24-hour or AM/PM time and a UTC offset
+const US_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?(?:\s*(AM|PM))?\s*(Z|UTC|GMT|[+-]\d{2}(?::?\d{2})?)?)?$/i;
+
+// RFC 2822, as Date#toUTCString and mail-style exports write dates, e.g.
+// "Tue, 01 Jul 2020 00:00:00 GMT". Named zones other than UT/GMT are not accepted.
+const RFC_2822_DATE = /^(?:[a-z]{3},?\s+)?(\d{1,2})\s+([a-z]{3})\s+(\d{4})(?:\s+(\d{2}):(\d{2})(?::(\d{2}))?)?(?:\s*(Z|UT|UTC|GMT|[+-]\d{4}))?$/i;
+
+// Epoch milliseconds, as ArcGIS exports write date fields
+const EPOCH_MILLIS = /^-?\d{9,}$/;
+
+// Minutes east of UTC for "Z", "GMT", "+07", "-0700" or "+07:00"
+function parseOffset(offset) {
+  if (!offset || /^(Z|UT|UTC|GMT)$/i.test(offset)) return 0;
+
+  const sign = offset[0] === '-' ? -1 : 1;
+  const digits = offset.slice(1).replace(':', '');
+  return sign * (parseInt(digits.slice(0, 2)) * 60 + parseInt(digits.slice(2) || '0'));
+}
+
+// Date from the parts of a matched date, or null when they are out of range or
+// the date rolled over, e.g. 2020-02-31
+function toUTCDate({ year, month, day, hours = 0, minutes = 0, seconds = 0, millis = 0, offset }) {
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+
+  const time = Date.UTC(year, month - 1, day, hours, minutes, seconds, millis);
+  const check = new Date(time);
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+
+  return new Date(time - parseOffset(offset) * 60 * 1000);
+}
+
+const toMillis = (fraction = '0') => Math.round(parseFloat(`0.${fraction}`) * 1000);
+
+// Hours of a 12-hour clock time, or NaN (rejected by toUTCDate) when an AM/PM hour is not 1-12
+function to24Hours(hours, meridiem) {
+  if (!meridiem) return hours;
+  if (hours < 1 || hours > 12) return NaN;
+  return (hours % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+}
+
+// Parse an alarm/containment date into a Date, or null when it cannot be read.
+// Accepts epoch milliseconds (number or numeric string), ISO dates, MM/DD/YYYY
+// and RFC 2822 dates; dates and times without an offset are taken to be UTC.
+function parseFireDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+
+  if (typeof value === 'number') {
+    return isFinite(value) ? new Date(value) : null;
+  }
+
+  const text = String(value).trim();
+
+  if (EPOCH_MILLIS.test(text)) {
+    return new Date(parseInt(text));
+  }
+
+  let match = ISO_DATE.exec(text);
+  if (match) {
+    const [, year, month, day, hours = '0', minutes = '0', seconds = '0', fraction, offset] = match;
+    return toUTCDate({
+      year: parseInt(year),
+      month: parseInt(month),
+      day: parseInt(day),
+      hours: parseInt(hours),
+      minutes: parseInt(minutes),
+      seconds: parseInt(seconds),
+      millis: toMillis(fraction),
+      offset
+    });
+  }
+
+  match = US_DATE.exec(text);
+  if (match) {
+    const [, month, day, year, hours = '0', minutes = '0', seconds = '0', fraction, meridiem, offset] = match;
+    return toUTCDate({
+      year: parseInt(year),
+      month: parseInt(month),
+      day: parseInt(day),
+      hours: to24Hours(parseInt(hours), meridiem),
+      minutes: parseInt(minutes),
+      seconds: parseInt(seconds),
+      millis: toMillis(fraction),
+      offset
+    });
+  }
+
+  match = RFC_2822_DATE.exec(text);
+  if (match) {
+    const [, day, monthName, year, hours = '0', minutes = '0', seconds = '0', offset] = match;
+    const month = MONTH_NAMES.findIndex(name => name.slice(0, 3).toLowerCase() === monthName.toLowerCase()) + 1;
+    if (month === 0) return null;
+
+    return toUTCDate({
+      year: parseInt(year),
+      month,
+      day: parseInt(day),
+      hours: parseInt(hours),
+      minutes: parseInt(minutes),
+      seconds: parseInt(seconds),
+      offset
+    });
+  }
+
+  return null;
+}
+
+// Shape of a date value parseFireDate rejected, for the quality report: digits
+// become 9 and letters a, so "15.08.2020" is reported as "99.99.9999".
+// Values that are not strings are reported by type.
+function describeDateFormat(value) {
+  if (typeof value !== 'string') {
+    return value instanceof Date ? 'Invalid Date' : typeof value;
+  }
+
+  return value.trim().replace(/\d/g, '9').replace(/[a-z]/gi, 'a').slice(0, 40);
+}
+
+// ISO 8601 week: weeks start on Monday and week 1 contains the year's first Thursday.
+// Early January can belong to the last week of the previous year, hence weekYear.
+function getISOWeek(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+
+  const weekYear = day.getUTCFullYear();
+  const week = Math.ceil(((day.getTime() - Date.UTC(weekYear, 0, 1)) / MS_PER_DAY + 1) / 7);
+
+  return { week, weekYear };
+}
+
+// Number of ISO weeks (52 or 53) in an ISO week-year
+function getISOWeeksInYear(weekYear) {
+  return getISOWeek(new Date(Date.UTC(weekYear, 11, 28))).week;
+}
+
+function getDaysInYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 366 : 365;
+}
+
+// Calendar buckets for a parsed date, all in UTC
+function getDateParts(date) {
+  const year = date.getUTCFullYear();
+  const { week, weekYear } = getISOWeek(date);
+
+  return {
+    year,
+    month: MONTH_NAMES[date.getUTCMonth()],
+    dayOfYear: Math.floor((Date.UTC(year, date.getUTCMonth(), date.getUTCDate()) - Date.UTC(year, 0, 1)) / MS_PER_DAY) + 1,
+    week,
+    weekYear
+  };
+}
+
+// YYYY-MM-DD in UTC
+function toISODate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  MONTH_NAMES,
+  MS_PER_DAY,
+  parseFireDate,
+  describeDateFormat,
+  getISOWeek,
+  getISOWeeksInYear,
+  getDaysInYear,
+  getDateParts,
+  toISODate
+};
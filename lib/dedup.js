@@ -0,0 +1,361 @@
+// lib/dedup.js - Find fires that appear in two overlapping datasets
+// Fires are matched in stages: the IRWIN incident id, the year/unit/incident
+// number triple, the same name with nearby alarm dates and finally perimeters
+// that overlap. Each fire is matched at most once, by the first stage that finds it.
+const path = require('path');
+const turf = require('@turf/turf');
+const { writeJSON } = require('./output');
+const { loadProfile, findProfileName, createFieldMapper, getFireDate } = require('./field-profiles');
+const { MS_PER_DAY, toISODate } = require('./dates');
+const { SCHEMA_VERSIONS, validateOutput } = require('./schemas');
+const { readFireFeatures } = require('../preprocessor');
+
+// Alarm dates further apart than this are different fires
+const DEFAULT_MAX_DAYS = 3;
+
+// Share of the smaller perimeter that the other one has to cover
+const DEFAULT_MIN_OVERLAP = 0.5;
+
+// Perimeters are simplified to this many degrees (about 50 m) before they are
+// kept, so two statewide datasets fit in memory
+const SIMPLIFY_TOLERANCE = 0.0005;
+
+const MATCH_METHODS = ['irwinId', 'incidentNumber', 'nameDate', 'perimeterOverlap'];
+
+// Names that say nothing about which fire it was
+const PLACEHOLDER_NAMES = new Set(['', 'UNKNOWN', 'UNNAMED', 'NONAME', 'NA']);
+
+// "Camp Fire" and "CAMP" match, "Unnamed" matches nothing
+function normalizeName(name) {
+  if (name === undefined || name === null) return null;
+
+  const normalized = String(name).toUpperCase().replace(/\bFIRE\b/g, '').replace(/[^A-Z0-9]/g, '');
+  return PLACEHOLDER_NAMES.has(normalized) ? null : normalized;
+}
+
+// IRWIN ids are GUIDs, written with and without braces in different exports
+function normalizeIrwinId(value) {
+  if (value === undefined || value === null) return null;
+
+  const id = String(value).trim().replace(/^\{|\}$/g, '').toLowerCase();
+  return id || null;
+}
+
+// Simplified (Multi)Polygon for overlap checks, or null when the feature has
+// none or is in a projected CRS that turf cannot measure
+function simplifyPerimeter(feature) {
+  const geometry = feature.geometry;
+  if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) return null;
+
+  try {
+    const bbox = turf.bbox(feature);
+    const [minX, minY, maxX, maxY] = bbox;
+    if (minX < -180 || maxX > 180 || minY < -90 || maxY > 90) return null;
+
+    const simplified = turf.simplify(turf.feature(geometry), { tolerance: SIMPLIFY_TOLERANCE });
+    return { bbox, feature: simplified, area: turf.area(simplified) };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Sink for readFireFeatures() that keeps what matching needs from every fire the
+// preprocessor would count. Fire ids match <datasetId>-fires.json.
+function createFireCollector({ datasetId, profile }) {
+  const mapFields = createFieldMapper(profile);
+  const fires = [];
+
+  return {
+    fires,
+    add(feature, featureNumber) {
+      if (!feature || !feature.properties) return true;
+
+      const record = mapFields(feature.properties);
+      const { alarmDate, year } = getFireDate(record);
+      if (!year || isNaN(year)) return true;
+
+      // Incident numbers lose their leading zeros in some exports
+      const incidentNumber = record.incidentNumber
+        ? String(record.incidentNumber).trim().toUpperCase().replace(/^0+(?=\d)/, '')
+        : '';
+      const unitId = record.unitId ? String(record.unitId).trim().toUpperCase() : '';
+
+      fires.push({
+        id: `${datasetId}-${featureNumber}`,
+        fireNumber: featureNumber,
+        name: record.name !== undefined && record.name !== null ? String(record.name).trim() : null,
+        normalizedName: normalizeName(record.name),
+        year,
+        alarmTime: alarmDate ? alarmDate.getTime() : null,
+        acres: record.acres !== undefined ? Math.round(record.acres * 100) / 100 : null,
+        irwinId: normalizeIrwinId(record.irwinId),
+        incidentKey: incidentNumber ? [year, unitId, incidentNumber].join('/') : null,
+        perimeter: simplifyPerimeter(feature)
+      });
+      return true;
+    },
+    drained: () => Promise.resolve()
+  };
+}
+
+function daysApart(a, b) {
+  return Math.abs(a.alarmTime - b.alarmTime) / MS_PER_DAY;
+}
+
+// Whether two fires' alarm dates allow them to be the same fire. Fires with
+// only a year are compared on the year alone.
+function datesAgree(a, b, maxDays) {
+  if (a.year !== b.year) return false;
+  if (a.alarmTime === null || b.alarmTime === null) return true;
+  return daysApart(a, b) <= maxDays;
+}
+
+function bboxesIntersect([aMinX, aMinY, aMaxX, aMaxY], [bMinX, bMinY, bMaxX, bMaxY]) {
+  return aMinX <= bMaxX && bMinX <= aMaxX && aMinY <= bMaxY && bMinY <= aMaxY;
+}
+
+// Intersection area as a share of the smaller perimeter, 0 when they do not overlap
+function getOverlap(a, b) {
+  if (!bboxesIntersect(a.bbox, b.bbox)) return 0;
+
+  try {
+    const intersection = turf.intersect(a.feature, b.feature);
+    if (!intersection) return 0;
+
+    const smaller = Math.min(a.area, b.area);
+    return smaller > 0 ? Math.min(1, turf.area(intersection) / smaller) : 0;
+  } catch (err) {
+    return 0;
+  }
+}
+
+// Group fires by year so candidates are only looked for among fires of the same year
+function groupByYear(fires) {
+  const byYear = new Map();
+  fires.forEach(fire => {
+    if (!byYear.has(fire.year)) byYear.set(fire.year, []);
+    byYear.get(fire.year).push(fire);
+  });
+  return byYear;
+}
+
+// Match the fires of `source` against those of `base`, both as collected by
+// createFireCollector(). Returns the matched pairs, in source order.
+function findDuplicateFires(baseFires, sourceFires, options = {}) {
+  const { maxDays = DEFAULT_MAX_DAYS, minOverlap = DEFAULT_MIN_OVERLAP } = options;
+  const matchedBase = new Set();
+  const matchedSource = new Set();
+  const pairs = [];
+
+  const addPair = (base, source, method, overlap = null) => {
+    matchedBase.add(base.id);
+    matchedSource.add(source.id);
+    pairs.push({ base, source, method, overlap });
+  };
+
+  const unmatchedBase = () => baseFires.filter(fire => !matchedBase.has(fire.id));
+  const unmatchedSource = () => sourceFires.filter(fire => !matchedSource.has(fire.id));
+
+  // Shared ids: the first unmatched base fire with the same key
+  const matchOnKey = (method, getKey) => {
+    const index = new Map();
+    unmatchedBase().forEach(fire => {
+      const key = getKey(fire);
+      if (key && !index.has(key)) index.set(key, fire);
+    });
+
+    unmatchedSource().forEach(fire => {
+      const key = getKey(fire);
+      const base = key ? index.get(key) : null;
+      if (base && !matchedBase.has(base.id)) {
+        addPair(base, fire, method);
+      }
+    });
+  };
+
+  matchOnKey('irwinId', fire => fire.irwinId);
+  matchOnKey('incidentNumber', fire => fire.incidentKey);
+
+  // Same name, both dated and the closest alarm date within maxDays
+  const byName = new Map();
+  unmatchedBase().forEach(fire => {
+    if (!fire.normalizedName || fire.alarmTime === null) return;
+    const key = `${fire.year}/${fire.normalizedName}`;
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push(fire);
+  });
+
+  unmatchedSource().forEach(fire => {
+    if (!fire.normalizedName || fire.alarmTime === null) return;
+
+    const candidates = (byName.get(`${fire.year}/${fire.normalizedName}`) || [])
+      .filter(base => !matchedBase.has(base.id) && daysApart(base, fire) <= maxDays)
+      .sort((a, b) => daysApart(a, fire) - daysApart(b, fire));
+    if (candidates.length > 0) {
+      addPair(candidates[0], fire, 'nameDate');
+    }
+  });
+
+  // Perimeters that cover at least minOverlap of the smaller one, best overlap first
+  const baseByYear = groupByYear(unmatchedBase().filter(fire => fire.perimeter));
+
+  unmatchedSource().forEach(fire => {
+    if (!fire.perimeter) return;
+
+    let best = null;
+    let bestOverlap = minOverlap;
+    (baseByYear.get(fire.year) || []).forEach(base => {
+      if (matchedBase.has(base.id) || !datesAgree(base, fire, maxDays)) return;
+
+      const overlap = getOverlap(base.perimeter, fire.perimeter);
+      if (overlap >= bestOverlap) {
+        best = base;
+        bestOverlap = overlap;
+      }
+    });
+
+    if (best) {
+      addPair(best, fire, 'perimeterOverlap', Math.round(bestOverlap * 1000) / 1000);
+    }
+  });
+
+  const sourceOrder = new Map(sourceFires.map((fire, index) => [fire.id, index]));
+  return pairs.sort((a, b) => sourceOrder.get(a.source.id) - sourceOrder.get(b.source.id));
+}
+
+// One side of a matched pair as written to the report
+function describeFire(fire) {
+  return {
+    id: fire.id,
+    name: fire.name,
+    alarmDate: fire.alarmTime !== null ? toISODate(new Date(fire.alarmTime)) : null,
+    acres: fire.acres
+  };
+}
+
+// The <base>-<source>-duplicates.json report: a summary and every matched pair
+function buildDuplicateReport(pairs, { base, source, baseFires, sourceFires, maxDays, minOverlap }) {
+  const byMethod = Object.fromEntries(MATCH_METHODS.map(method => [method, 0]));
+  const byYear = {};
+  let duplicateAcres = 0;
+
+  pairs.forEach(pair => {
+    byMethod[pair.method]++;
+    byYear[pair.source.year] = (byYear[pair.source.year] || 0) + 1;
+    duplicateAcres += pair.source.acres || 0;
+  });
+
+  return {
+    summary: {
+      baseFires: baseFires.length,
+      sourceFires: sourceFires.length,
+      duplicates: pairs.length,
+      uniqueSourceFires: sourceFires.length - pairs.length,
+      duplicateAcres: Math.round(duplicateAcres * 100) / 100,
+      byMethod,
+      byYear,
+      withoutPerimeter: {
+        base: baseFires.filter(fire => !fire.perimeter).length,
+        source: sourceFires.filter(fire => !fire.perimeter).length
+      }
+    },
+    pairs: pairs.map(pair => ({
+      year: pair.source.year,
+      method: pair.method,
+      overlap: pair.overlap,
+      base: describeFire(pair.base),
+      source: describeFire(pair.source)
+    })),
+    metadata: {
+      schemaVersion: SCHEMA_VERSIONS['duplicate-report'],
+      base,
+      source,
+      maxDays,
+      minOverlap,
+      processedAt: new Date().toISOString()
+    }
+  };
+}
+
+// Path of the report for fires of `source` already in `base`
+function getDuplicateReportFile(outDir, base, source) {
+  return path.join(outDir, `${base}-${source}-duplicates.json`);
+}
+
+// Dataset id for `source` processed without the fires it shares with `base`.
+// It is kept apart from `source` so the full dataset's statistics stay as they are.
+function getDedupedDatasetId(source, base) {
+  return `${source}-without-${base}`;
+}
+
+// Read two fire files, match the fires of the second against the first and
+// write the report. Each file is read with `baseProfile` / `sourceProfile` when
+// given, otherwise with its dataset's field mapping profile.
+async function dedupeFireFiles(baseFile, sourceFile, options = {}) {
+  const {
+    base = path.basename(baseFile, path.extname(baseFile)),
+    source = path.basename(sourceFile, path.extname(sourceFile)),
+    baseProfile,
+    sourceProfile,
+    outDir,
+    dryRun = false,
+    streaming,
+    maxDays = DEFAULT_MAX_DAYS,
+    minOverlap = DEFAULT_MIN_OVERLAP
+  } = options;
+
+  const collect = async (filePath, datasetId, fieldProfile) => {
+    const profile = fieldProfile || loadProfile(findProfileName(datasetId));
+    console.log(`Reading ${path.basename(filePath)} (field mapping profile: ${profile.name})...`);
+
+    const collector = createFireCollector({ datasetId, profile });
+    await readFireFeatures(filePath, collector, { streaming });
+    return collector.fires;
+  };
+
+  const baseFires = await collect(baseFile, base, baseProfile);
+  const sourceFires = await collect(sourceFile, source, sourceProfile);
+
+  console.log(`Matching ${sourceFires.length} ${source} fires against ${baseFires.length} ${base} fires...`);
+  const pairs = findDuplicateFires(baseFires, sourceFires, { maxDays, minOverlap });
+  const report = buildDuplicateReport(pairs, { base, source, baseFires, sourceFires, maxDays, minOverlap });
+
+  validateOutput('duplicate-report', report);
+  const outputFile = writeJSON(getDuplicateReportFile(outDir, base, source), report, { dryRun });
+
+  console.log(`Found ${report.summary.duplicates} ${source} fires already in ${base}`, report.summary.byMethod);
+  console.log(`Duplicate report saved to: ${outputFile}`);
+
+  return { report, outputFile };
+}
+
+// Fire numbers of the source fires a report lists as duplicates
+function getDuplicateFireNumbers(report) {
+  const prefix = `${report.metadata.source}-`;
+  return report.pairs.map(pair => parseInt(pair.source.id.slice(prefix.length)));
+}
+
+// Number of fires per year (as a string) that a report lists as duplicates
+function countDuplicatesByYear(report) {
+  const counts = {};
+  report.pairs.forEach(pair => {
+    const year = String(pair.year);
+    counts[year] = (counts[year] || 0) + 1;
+  });
+  return counts;
+}
+
+module.exports = {
+  DEFAULT_MAX_DAYS,
+  DEFAULT_MIN_OVERLAP,
+  MATCH_METHODS,
+  normalizeName,
+  createFireCollector,
+  findDuplicateFires,
+  buildDuplicateReport,
+  getDuplicateReportFile,
+  getDedupedDatasetId,
+  dedupeFireFiles,
+  getDuplicateFireNumbers,
+  countDuplicatesByYear
+};
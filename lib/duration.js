@@ -0,0 +1,100 @@
+// lib/duration.js - Fire duration (alarm to containment) helpers
+const { MS_PER_DAY, parseFireDate } = require('./dates');
+
+// Anything longer is treated as a data entry error rather than a real fire
+const MAX_DURATION_DAYS = 365;
+
+// Histogram bins in whole days; maxDays is inclusive, null means open-ended
+const DURATION_BINS = [
+  { bin: '0', label: 'Same day', minDays: 0, maxDays: 0 },
+  { bin: '1', label: '1 day', minDays: 1, maxDays: 1 },
+  { bin: '2-3', label: '2-3 days', minDays: 2, maxDays: 3 },
+  { bin: '4-7', label: '4-7 days', minDays: 4, maxDays: 7 },
+  { bin: '8-14', label: '1-2 weeks', minDays: 8, maxDays: 14 },
+  { bin: '15-30', label: '2-4 weeks', minDays: 15, maxDays: 30 },
+  { bin: '31-60', label: '1-2 months', minDays: 31, maxDays: 60 },
+  { bin: '61+', label: 'Over 2 months', minDays: 61, maxDays: null }
+];
+
+// Whole days from alarm to containment, or null when either date is missing or implausible
+function getDurationDays(alarmDate, containmentDate) {
+  const start = parseFireDate(alarmDate);
+  const end = parseFireDate(containmentDate);
+  if (!start || !end) return null;
+
+  const days = Math.round((end.getTime() - start.getTime()) / MS_PER_DAY);
+  if (days < 0 || days > MAX_DURATION_DAYS) return null;
+
+  return days;
+}
+
+// Durations are kept as sparse { days: fireCount } maps so they can be summed
+// across files and still give exact percentiles
+function addDuration(dayCounts, days) {
+  dayCounts[days] = (dayCounts[days] || 0) + 1;
+}
+
+function mergeDayCounts(...maps) {
+  const merged = {};
+  maps.forEach(dayCounts => {
+    Object.entries(dayCounts || {}).forEach(([days, count]) => {
+      merged[days] = (merged[days] || 0) + count;
+    });
+  });
+  return merged;
+}
+
+// Smallest duration with at least `fraction` of fires at or below it
+function percentile(sortedEntries, total, fraction) {
+  const target = Math.max(1, Math.ceil(total * fraction));
+  let seen = 0;
+
+  for (const [days, count] of sortedEntries) {
+    seen += count;
+    if (seen >= target) return days;
+  }
+
+  return null;
+}
+
+// { fires, medianDays, p90Days, meanDays } for a day count map
+function summarizeDurations(dayCounts = {}) {
+  const entries = Object.entries(dayCounts)
+    .map(([days, count]) => [parseInt(days), count])
+    .sort((a, b) => a[0] - b[0]);
+  const fires = entries.reduce((sum, [, count]) => sum + count, 0);
+
+  if (fires === 0) {
+    return { fires: 0, medianDays: null, p90Days: null, meanDays: null };
+  }
+
+  const totalDays = entries.reduce((sum, [days, count]) => sum + days * count, 0);
+
+  return {
+    fires,
+    medianDays: percentile(entries, fires, 0.5),
+    p90Days: percentile(entries, fires, 0.9),
+    meanDays: Math.round((totalDays / fires) * 10) / 10
+  };
+}
+
+// Fire counts per DURATION_BINS entry
+function toDurationHistogram(dayCounts = {}) {
+  return DURATION_BINS.map(({ bin, label, minDays, maxDays }) => ({
+    bin,
+    label,
+    fires: Object.entries(dayCounts)
+      .filter(([days]) => parseInt(days) >= minDays && (maxDays === null || parseInt(days) <= maxDays))
+      .reduce((sum, [, count]) => sum + count, 0)
+  }));
+}
+
+module.exports = {
+  DURATION_BINS,
+  MAX_DURATION_DAYS,
+  getDurationDays,
+  addDuration,
+  mergeDayCounts,
+  summarizeDurations,
+  toDurationHistogram
+};
@@ -0,0 +1,122 @@
+// lib/field-profiles.js - Declarative mappings from a source's attributes to the fields the preprocessor reads
+// A profile (profiles/<name>.json) lists, for each value, the attribute names to
+// try in order, the unit acreage is recorded in and optional value maps.
+const fs = require('fs');
+const path = require('path');
+const { validateOutput } = require('./schemas');
+const { parseFireDate } = require('./dates');
+
+const PROFILE_DIR = path.join(__dirname, '..', 'profiles');
+
+// Used for datasets no profile claims in its `datasets` list
+const DEFAULT_PROFILE = 'frap';
+
+// Acres per unit of area
+const ACRES_PER_UNIT = {
+  acres: 1,
+  hectares: 2.471053814671653,
+  'square-kilometers': 247.1053814671653,
+  'square-meters': 1 / 4046.8564224,
+  'square-miles': 640
+};
+
+// Single-value fields, passed through the profile's valueMaps when it has one for them
+const MAPPED_FIELDS = [
+  'cause', 'name', 'incidentNumber', 'agency', 'unitId', 'irwinId', 'ignitionLongitude', 'ignitionLatitude'
+];
+
+function listProfiles() {
+  return fs.readdirSync(PROFILE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'));
+}
+
+// Load a profile by name (profiles/<name>.json) or from a .json file path
+function loadProfile(nameOrPath = DEFAULT_PROFILE) {
+  const filePath = /\.json$/i.test(nameOrPath)
+    ? path.resolve(nameOrPath)
+    : path.join(PROFILE_DIR, `${nameOrPath}.json`);
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Field mapping profile not found: ${nameOrPath} (available: ${listProfiles().join(', ')})`);
+  }
+
+  return validateOutput('field-profile', JSON.parse(fs.readFileSync(filePath, 'utf8')), { file: filePath });
+}
+
+// The profile that lists datasetId in its `datasets`, otherwise DEFAULT_PROFILE
+function findProfileName(datasetId) {
+  const match = listProfiles().find(name => {
+    const { datasets = [] } = JSON.parse(fs.readFileSync(path.join(PROFILE_DIR, `${name}.json`), 'utf8'));
+    return datasets.includes(datasetId);
+  });
+  return match || DEFAULT_PROFILE;
+}
+
+// { field, value } for the first listed attribute that is present (and passes
+// `accept`, when given), or null
+function pickField(properties, names = [], accept = () => true) {
+  for (const field of names) {
+    const value = properties[field];
+    if (value !== undefined && value !== null && value !== '' && accept(value)) {
+      return { field, value };
+    }
+  }
+  return null;
+}
+
+// Build mapProperties(properties) for a loaded profile. It returns the matched
+// alarmDate, year and containmentDate as { field, value } (or null), acres
+// converted to acres, the mapped cause, name, incidentNumber, agency, unitId,
+// irwinId and ignition point values, and the profile's id attributes as { field: value }.
+function createFieldMapper(profile) {
+  const { fields, units = {}, valueMaps = {} } = profile;
+  const acresPerUnit = ACRES_PER_UNIT[units.acres || 'acres'];
+
+  return properties => {
+    const acres = pickField(properties, fields.acres, value => !isNaN(Number(value)));
+    const record = {
+      alarmDate: pickField(properties, fields.alarmDate),
+      year: pickField(properties, fields.year),
+      containmentDate: pickField(properties, fields.containmentDate),
+      acres: acres ? Number(acres.value) * acresPerUnit : undefined,
+      ids: {}
+    };
+
+    MAPPED_FIELDS.forEach(key => {
+      const match = pickField(properties, fields[key]);
+      const valueMap = valueMaps[key] || {};
+      record[key] = match && Object.prototype.hasOwnProperty.call(valueMap, match.value)
+        ? valueMap[match.value]
+        : match ? match.value : undefined;
+    });
+
+    (fields.ids || []).forEach(field => {
+      const match = pickField(properties, [field]);
+      if (match) record.ids[field] = String(match.value);
+    });
+
+    return record;
+  };
+}
+
+// Alarm date and year of a mapped record the way the preprocessor reads them:
+// the year of the alarm date, or the year field when there is no date field.
+// year is NaN when neither can be read.
+function getFireDate(record) {
+  const alarmDate = record.alarmDate ? parseFireDate(record.alarmDate.value) : null;
+  if (alarmDate) {
+    return { alarmDate, year: alarmDate.getUTCFullYear() };
+  }
+  return { alarmDate: null, year: !record.alarmDate && record.year ? parseInt(record.year.value) : NaN };
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  ACRES_PER_UNIT,
+  listProfiles,
+  loadProfile,
+  findProfileName,
+  createFieldMapper,
+  getFireDate
+};
@@ -0,0 +1,37 @@
+// lib/fire-worker.js - Worker thread entry point for lib/parallel.js
+const { parentPort, workerData } = require('worker_threads');
+const { processFireFile, processFeature, createAccumulators } = require('../preprocessor');
+const { createFieldMapper, loadProfile } = require('./field-profiles');
+
+if (workerData.task === 'file') {
+  // A whole file, with progress reported to the main thread instead of logged
+  processFireFile(workerData.filePath, {
+    ...workerData.options,
+    onProgress: progress => parentPort.postMessage({ type: 'progress', progress })
+  }).then(({ statistics, ...outputs }) => {
+    parentPort.postMessage({
+      type: 'result',
+      result: { ...outputs, featureCount: statistics.metadata.featureCount, years: statistics.years }
+    });
+  });
+} else {
+  // Ranges of features from a file the main thread is reading. The partial
+  // accumulators go back once the main thread has sent everything.
+  const accumulators = createAccumulators(workerData.accumulatorOptions);
+  const featureOptions = {
+    mapFields: createFieldMapper(workerData.profile || loadProfile()),
+    duplicates: workerData.duplicates
+  };
+
+  parentPort.on('message', message => {
+    if (message.type === 'batch') {
+      message.features.forEach((feature, index) => {
+        processFeature(feature, accumulators, message.start + index, featureOptions);
+      });
+      parentPort.postMessage({ type: 'batchDone' });
+    } else if (message.type === 'finish') {
+      parentPort.postMessage({ type: 'accumulators', accumulators });
+      parentPort.close();
+    }
+  });
+}
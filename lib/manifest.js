@@ -0,0 +1,103 @@
+// lib/manifest.js - Skip processing steps whose inputs and code have not changed
+// processed_stats/manifest.json records, per step, a hash of every input file,
+// the processor version and the output files it wrote.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { writeJSON } = require('./output');
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+const ROOT_DIR = path.join(__dirname, '..');
+const { version: PACKAGE_VERSION } = require('../package.json');
+
+// SHA-256 of one file, streamed so multi-gigabyte sources do not have to fit in memory
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// { relativePath: hash } for every input file, hashed one at a time
+async function hashInputs(filePaths) {
+  const hashes = {};
+  for (const filePath of filePaths) {
+    hashes[path.relative(ROOT_DIR, path.resolve(filePath))] = await hashFile(filePath);
+  }
+  return hashes;
+}
+
+// package version plus a short hash of the processor's own source files, so
+// any code change counts as a new processor version
+function getProcessorVersion(codeFiles) {
+  const hash = crypto.createHash('sha256');
+  codeFiles
+    .map(file => path.resolve(ROOT_DIR, file))
+    .sort()
+    .forEach(file => {
+      hash.update(path.relative(ROOT_DIR, file));
+      hash.update(fs.readFileSync(file));
+    });
+  return `${PACKAGE_VERSION}+${hash.digest('hex').slice(0, 12)}`;
+}
+
+function readManifest(outDir) {
+  const manifestPath = path.join(outDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return { manifestVersion: MANIFEST_VERSION, steps: {} };
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+// Whether a recorded step still matches its inputs, code and options and all its outputs exist
+function isUpToDate(entry, { inputs, processorVersion, options }) {
+  return Boolean(entry) &&
+    entry.processorVersion === processorVersion &&
+    JSON.stringify(entry.inputs) === JSON.stringify(inputs) &&
+    JSON.stringify(entry.options) === JSON.stringify(options) &&
+    entry.outputs.every(output => fs.existsSync(path.resolve(ROOT_DIR, output)));
+}
+
+// Run build() unless the manifest shows step `key` is already up to date. build()
+// resolves with the list of files it wrote. Resolves with { skipped, outputs }.
+async function runIncremental(key, settings, build) {
+  const { outDir, inputs: inputFiles, codeFiles, options = {}, force = false, dryRun = false } = settings;
+
+  const inputs = await hashInputs(inputFiles);
+  const processorVersion = getProcessorVersion(codeFiles);
+  const entry = readManifest(outDir).steps[key];
+
+  if (!force && isUpToDate(entry, { inputs, processorVersion, options })) {
+    console.log(`${key} is up to date, skipping (use --force to rebuild)`);
+    return { skipped: true, outputs: entry.outputs };
+  }
+
+  const outputs = (await build()).map(output => path.relative(ROOT_DIR, path.resolve(output)));
+
+  // Read again so steps that finished while this one ran, e.g. other files
+  // processed in parallel, are kept
+  const manifest = readManifest(outDir);
+  manifest.steps[key] = {
+    inputs,
+    processorVersion,
+    options,
+    outputs,
+    processedAt: new Date().toISOString()
+  };
+  writeJSON(path.join(outDir, MANIFEST_FILE), manifest, { dryRun });
+
+  return { skipped: false, outputs };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  hashFile,
+  getProcessorVersion,
+  readManifest,
+  runIncremental
+};
@@ -0,0 +1,333 @@
+// lib/merge-stats.js - Merge a supplement's statistics into a dataset's statistics
+// Merging never changes its inputs: every combined list and section is a new
+// object, so merging the same (possibly cached) files twice gives the same result.
+// Years that are in only one file are taken as they are. How years in both are
+// combined is the merge's overlap policy:
+//   sum                add the two files' counts together
+//   prefer-base        keep the base dataset's figures for the year
+//   prefer-supplement  use the supplement's figures for the year
+//   max                use whichever file recorded more fires that year (more
+//                      acres on a tie, then the base)
+// With the prefer and max policies a year comes from one file in every section;
+// a section the chosen file has nothing for that year falls back to the other.
+// Totals, the worst year and cause percentages are recomputed from the result.
+// Records tagged with tagSources() keep, in `sources`, the datasets that contributed
+// to them: a summed record lists both files' sources, a record taken from one file its own.
+const { mergeDayCounts, summarizeDurations } = require('./duration');
+const { MONTH_NAMES } = require('./dates');
+
+const OVERLAP_POLICIES = ['sum', 'prefer-base', 'prefer-supplement', 'max'];
+
+const DEFAULT_OVERLAP_POLICY = 'sum';
+
+const round = value => Math.round(value * 100) / 100;
+
+// { sources } listing the sources of both records, base first, or nothing when
+// neither record is tagged
+const combineSources = (baseEntry, newEntry) => (baseEntry.sources || newEntry.sources
+  ? { sources: Array.from(new Set([...(baseEntry.sources || []), ...(newEntry.sources || [])])) }
+  : {});
+
+// Sum two lists of { [key], fires, acres } entries into a new list, keeping
+// entries only in one list as copies
+function sumEntries(baseList = [], newList = [], key) {
+  const merged = new Map();
+
+  [...baseList, ...newList].forEach(entry => {
+    const existing = merged.get(entry[key]);
+    merged.set(entry[key], existing
+      ? { ...existing, fires: existing.fires + entry.fires, acres: round(existing.acres + entry.acres), ...combineSources(existing, entry) }
+      : { ...entry });
+  });
+
+  return Array.from(merged.values());
+}
+
+// Sum two size class lists (A-G) into a new list, in size class order
+function mergeSizeClassLists(baseList, newList) {
+  return sumEntries(baseList, newList, 'sizeClass').sort((a, b) => a.sizeClass.localeCompare(b.sizeClass));
+}
+
+// Sum two { key: value } maps (monthly or cause breakdowns) into a new map,
+// combining keys present in both with mergeValue. Months are in calendar order.
+function mergeBreakdown(baseBreakdown = {}, newBreakdown = {}, mergeValue) {
+  const merged = {};
+
+  Array.from(new Set([...Object.keys(baseBreakdown), ...Object.keys(newBreakdown)]))
+    .sort((a, b) => MONTH_NAMES.indexOf(a) - MONTH_NAMES.indexOf(b))
+    .forEach(key => {
+      merged[key] = mergeValue(baseBreakdown[key], newBreakdown[key]);
+    });
+
+  return merged;
+}
+
+// Sum two { key: sizeClassList } maps (monthly or cause breakdowns) into a new map
+function mergeSizeClassBreakdown(baseBreakdown, newBreakdown) {
+  return mergeBreakdown(baseBreakdown, newBreakdown, mergeSizeClassLists);
+}
+
+// Sum two lists of { causeId, causeName, fires, acres }, most fires first
+function mergeCauseLists(baseList, newList) {
+  return sumEntries(baseList, newList, 'causeId').sort((a, b) => b.fires - a.fires);
+}
+
+// Sum two monthly lists ([{ month, fires, acres }]) into a new list in calendar order
+function mergeMonthlyLists(baseList, newList) {
+  return sumEntries(baseList, newList, 'month')
+    .sort((a, b) => MONTH_NAMES.indexOf(a.month) - MONTH_NAMES.indexOf(b.month));
+}
+
+// Sum two weekly lists ([{ week, fires, acres }]) into a new list
+function mergeWeeklyLists(baseList, newList) {
+  return sumEntries(baseList, newList, 'week').sort((a, b) => a.week - b.week);
+}
+
+// Sum two { fires: [], acres: [] } day-of-year entries element by element
+function mergeDayOfYear(baseData, newData) {
+  const length = Math.max(baseData.fires.length, newData.fires.length);
+  const sumArrays = (a, b) => Array.from({ length }, (_, i) => round((a[i] || 0) + (b[i] || 0)));
+
+  return {
+    fires: sumArrays(baseData.fires, newData.fires),
+    acres: sumArrays(baseData.acres, newData.acres)
+  };
+}
+
+// Sum a year of cause totals and their monthly breakdown
+function mergeCausesYear(baseData, newData) {
+  return {
+    causes: mergeCauseLists(baseData.causes, newData.causes),
+    monthlyBreakdown: mergeBreakdown(baseData.monthlyBreakdown, newData.monthlyBreakdown, mergeCauseLists)
+  };
+}
+
+// Sum two lists of county, agency or unit totals, matching entries on `key`,
+// largest burned area first. Per-cause totals are summed too when the entries carry them.
+function mergeGroupLists(baseList = [], newList = [], key) {
+  const groups = new Map();
+
+  [...baseList, ...newList].forEach(entry => {
+    const existing = groups.get(entry[key]);
+
+    if (!existing) {
+      groups.set(entry[key], entry.causes ? { ...entry, causes: entry.causes.map(cause => ({ ...cause })) } : { ...entry });
+      return;
+    }
+
+    groups.set(entry[key], {
+      ...existing,
+      fires: existing.fires + entry.fires,
+      acres: round(existing.acres + entry.acres),
+      ...combineSources(existing, entry),
+      ...(existing.causes || entry.causes ? { causes: mergeCauseLists(existing.causes, entry.causes) } : {})
+    });
+  });
+
+  return Array.from(groups.values()).sort((a, b) => b.acres - a.acres);
+}
+
+// Combine two duration summaries by summing their day counts
+function mergeDurationSummaries(baseSummary = {}, newSummary = {}) {
+  const dayCounts = mergeDayCounts(baseSummary.dayCounts, newSummary.dayCounts);
+  return { ...summarizeDurations(dayCounts), dayCounts };
+}
+
+// Combine two { key: durationSummary } maps (monthly or cause breakdowns) into a new map
+function mergeDurationBreakdown(baseBreakdown, newBreakdown) {
+  return mergeBreakdown(baseBreakdown, newBreakdown, mergeDurationSummaries);
+}
+
+// How each per-year section combines a year both files have
+const YEAR_MERGERS = {
+  monthlyDataByYear: mergeMonthlyLists,
+  weeklyDataByYear: mergeWeeklyLists,
+  dayOfYearDataByYear: mergeDayOfYear,
+  causesDataByYear: mergeCausesYear,
+  countyDataByYear: (baseGroups, newGroups) => mergeGroupLists(baseGroups, newGroups, 'fips'),
+  agencyDataByYear: (baseGroups, newGroups) => mergeGroupLists(baseGroups, newGroups, 'agency'),
+  unitDataByYear: (baseGroups, newGroups) => mergeGroupLists(baseGroups, newGroups, 'unitId'),
+  sizeClassDataByYear: (baseData, newData) => ({
+    classes: mergeSizeClassLists(baseData.classes, newData.classes),
+    monthlyBreakdown: mergeSizeClassBreakdown(baseData.monthlyBreakdown, newData.monthlyBreakdown),
+    causeBreakdown: mergeSizeClassBreakdown(baseData.causeBreakdown, newData.causeBreakdown)
+  }),
+  // Summaries are recomputed from the combined day counts
+  durationDataByYear: (baseData, newData) => ({
+    ...mergeDurationSummaries(baseData, newData),
+    monthlyBreakdown: mergeDurationBreakdown(baseData.monthlyBreakdown, newData.monthlyBreakdown),
+    causeBreakdown: mergeDurationBreakdown(baseData.causeBreakdown, newData.causeBreakdown)
+  })
+};
+
+// Merge two { year: value } sections into a new object. `sources` says, for
+// each year both files have, whether to 'sum' them with mergeYear or take the
+// 'base' or 'supplement' value.
+function mergeByYear(baseByYear = {}, newByYear = {}, mergeYear, sources = {}) {
+  const merged = { ...baseByYear };
+
+  Object.entries(newByYear).forEach(([year, value]) => {
+    if (!merged[year]) {
+      merged[year] = value;
+      return;
+    }
+
+    const source = sources[year] || 'sum';
+    if (source === 'sum') {
+      merged[year] = mergeYear(merged[year], value);
+    } else if (source === 'supplement') {
+      merged[year] = value;
+    }
+  });
+
+  return merged;
+}
+
+// 'sum', 'base' or 'supplement' for each year in both yearly lists
+// ([{ year, fires, acres }]). Per-fire files follow the same choice.
+function resolveOverlap(baseYearly, newYearly, policy) {
+  const baseByYear = new Map(baseYearly.map(entry => [String(entry.year), entry]));
+  const sources = {};
+
+  newYearly.forEach(entry => {
+    const year = String(entry.year);
+    const baseEntry = baseByYear.get(year);
+    if (!baseEntry) return;
+
+    if (policy === 'sum') {
+      sources[year] = 'sum';
+    } else if (policy === 'prefer-base') {
+      sources[year] = 'base';
+    } else if (policy === 'prefer-supplement') {
+      sources[year] = 'supplement';
+    } else {
+      const newIsLarger = entry.fires > baseEntry.fires || (entry.fires === baseEntry.fires && entry.acres > baseEntry.acres);
+      sources[year] = newIsLarger ? 'supplement' : 'base';
+    }
+  });
+
+  return sources;
+}
+
+// Cause totals over every year of causesDataByYear, with each cause's share of totalFires
+function sumTopCauses(causesDataByYear, totalFires) {
+  return Object.values(causesDataByYear)
+    .reduce((causes, yearData) => mergeCauseLists(causes, yearData.causes), [])
+    .map(cause => ({
+      ...cause,
+      percentage: totalFires > 0 ? Math.round((cause.fires / totalFires) * 1000) / 10 : 0
+    }));
+}
+
+// Copy of `stats` with every yearly, monthly, cause and county/agency/unit record
+// marked as coming from `source` (a dataset id), for merging with provenance
+function tagSources(stats, source) {
+  const tag = entry => ({ ...entry, sources: [source] });
+  const tagList = (list = []) => list.map(tag);
+  const mapYears = (dataByYear, mapYear) => dataByYear && Object.fromEntries(
+    Object.entries(dataByYear).map(([year, value]) => [year, mapYear(value)])
+  );
+  const tagGroups = groups => groups.map(group => (group.causes ? { ...tag(group), causes: tagList(group.causes) } : tag(group)));
+
+  return {
+    ...stats,
+    yearlyData: tagList(stats.yearlyData),
+    monthlyDataByYear: mapYears(stats.monthlyDataByYear, tagList),
+    causesDataByYear: mapYears(stats.causesDataByYear, ({ causes, monthlyBreakdown = {}, ...rest }) => ({
+      ...rest,
+      causes: tagList(causes),
+      monthlyBreakdown: Object.fromEntries(
+        Object.entries(monthlyBreakdown).map(([month, monthCauses]) => [month, tagList(monthCauses)])
+      )
+    })),
+    countyDataByYear: mapYears(stats.countyDataByYear, tagGroups),
+    agencyDataByYear: mapYears(stats.agencyDataByYear, tagGroups),
+    unitDataByYear: mapYears(stats.unitDataByYear, tagGroups),
+    topCauses: tagList(stats.topCauses)
+  };
+}
+
+// Merge `supplement` into `base` and return the combined statistics. Neither
+// input is changed. `overlap` is one of OVERLAP_POLICIES.
+function mergeStatistics(base, supplement, { overlap = DEFAULT_OVERLAP_POLICY } = {}) {
+  if (!OVERLAP_POLICIES.includes(overlap)) {
+    throw new Error(`Unknown overlap policy "${overlap}" (expected one of: ${OVERLAP_POLICIES.join(', ')})`);
+  }
+
+  const sources = resolveOverlap(base.yearlyData, supplement.yearlyData, overlap);
+
+  const yearlyData = Object.values(
+    mergeByYear(
+      Object.fromEntries(base.yearlyData.map(entry => [String(entry.year), entry])),
+      Object.fromEntries(supplement.yearlyData.map(entry => [String(entry.year), entry])),
+      (baseEntry, newEntry) => ({
+        ...baseEntry,
+        fires: baseEntry.fires + newEntry.fires,
+        acres: round(baseEntry.acres + newEntry.acres),
+        ...combineSources(baseEntry, newEntry)
+      }),
+      sources
+    )
+  ).sort((a, b) => parseInt(a.year) - parseInt(b.year));
+
+  const sections = {};
+  Object.entries(YEAR_MERGERS).forEach(([section, mergeYear]) => {
+    if (base[section] || supplement[section]) {
+      sections[section] = mergeByYear(base[section], supplement[section], mergeYear, sources);
+    }
+  });
+
+  const totalFires = yearlyData.reduce((sum, year) => sum + year.fires, 0);
+  const totalAcres = round(yearlyData.reduce((sum, year) => sum + year.acres, 0));
+  const worst = yearlyData.reduce((max, year) => (year.acres > max.acres ? year : max), { year: null, acres: 0 });
+
+  // Cause totals follow the merged per-year causes; files without them
+  // (version 1 supplements) can only have their top causes summed
+  const topCauses = sections.causesDataByYear && Object.keys(sections.causesDataByYear).length > 0
+    ? sumTopCauses(sections.causesDataByYear, totalFires)
+    : mergeCauseLists(base.topCauses, supplement.topCauses).map(cause => ({
+      ...cause,
+      percentage: totalFires > 0 ? Math.round((cause.fires / totalFires) * 1000) / 10 : 0
+    }));
+
+  return {
+    yearlyData,
+    years: Array.from(new Set([...base.years, ...supplement.years])).sort(),
+    ...sections,
+    topCauses,
+    causeDefinitions: { ...(base.causeDefinitions || {}), ...(supplement.causeDefinitions || {}) },
+    sizeClassDefinitions: base.sizeClassDefinitions || supplement.sizeClassDefinitions,
+    agencyDefinitions: { ...(base.agencyDefinitions || {}), ...(supplement.agencyDefinitions || {}) },
+    summary: {
+      totalFires,
+      totalAcres,
+      worstYear: worst.year,
+      worstYearAcres: worst.acres
+    },
+    metadata: {
+      processedAt: new Date().toISOString(),
+      combinedFrom: [
+        ...(base.metadata?.combinedFrom || [base.metadata?.sourceFile || 'unknown']),
+        supplement.metadata?.sourceFile || 'unknown'
+      ],
+      overlapPolicy: overlap,
+      overlappingYears: Object.keys(sources).sort()
+    }
+  };
+}
+
+module.exports = {
+  OVERLAP_POLICIES,
+  DEFAULT_OVERLAP_POLICY,
+  mergeStatistics,
+  resolveOverlap,
+  tagSources,
+  sumTopCauses,
+  mergeByYear,
+  mergeSizeClassLists,
+  mergeCauseLists,
+  mergeWeeklyLists,
+  mergeDayOfYear,
+  mergeGroupLists,
+  mergeDurationSummaries
+};
@@ -0,0 +1,36 @@
+// lib/output.js - Shared helpers for writing processed statistics files
+const fs = require('fs');
+const path = require('path');
+
+// Ensure an output directory exists, creating it (and any parents) if needed
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+    console.log('Created statistics directory:', dir);
+  }
+}
+
+// Write a JSON file, or only report what would be written when dryRun is set.
+// compact skips the indentation, for large record lists.
+function writeJSON(filePath, data, { dryRun = false, compact = false } = {}) {
+  const json = compact ? JSON.stringify(data) : JSON.stringify(data, null, 2);
+  return writeText(filePath, json, { dryRun });
+}
+
+// Write an already serialized file such as NDJSON, honouring dryRun the same way
+function writeText(filePath, text, { dryRun = false } = {}) {
+  if (dryRun) {
+    console.log(`[dry-run] Would write ${filePath} (${Math.round(text.length / 1024)} KB)`);
+    return filePath;
+  }
+
+  ensureDir(path.dirname(filePath));
+  fs.writeFileSync(filePath, text);
+  return filePath;
+}
+
+module.exports = {
+  ensureDir,
+  writeJSON,
+  writeText
+};
@@ -0,0 +1,220 @@
+// lib/parallel.js - Run fire processing in worker threads
+// Whole files are processed one per worker. A single large file is read on the
+// main thread and its features are handed to a pool of workers in contiguous
+// ranges; each worker keeps partial accumulators that are merged at the end.
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_FILE = path.join(__dirname, 'fire-worker.js');
+
+// Features sent to a worker per message
+const BATCH_SIZE = 1000;
+
+// Batches queued per worker before the reader has to wait, which keeps memory
+// flat when parsing is faster than processing
+const MAX_PENDING_BATCHES = 2;
+
+// How often the consolidated progress line is printed
+const PROGRESS_INTERVAL_MS = 2000;
+
+// os.availableParallelism() is only in Node 18.14 and later
+function getDefaultWorkerCount() {
+  return os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+}
+
+// Run task(item, index) for every item with at most `limit` running at once.
+// Resolves with the results in item order.
+async function runWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+// One progress line for every file being processed, instead of each worker
+// logging on its own
+function createProgressReporter({ intervalMs = PROGRESS_INTERVAL_MS } = {}) {
+  const files = new Map();
+  let changed = false;
+
+  const print = () => {
+    if (!changed || files.size === 0) return;
+    changed = false;
+
+    const parts = [...files].map(([file, { processed, percent, done }]) => {
+      if (done) return `${file} done`;
+      return percent === undefined
+        ? `${file} ${processed} features`
+        : `${file} ${percent}% (${processed} features)`;
+    });
+    console.log(`Progress: ${parts.join(' | ')}`);
+  };
+
+  const timer = setInterval(print, intervalMs);
+  timer.unref();
+
+  return {
+    update(file, progress) {
+      files.set(file, progress);
+      changed = true;
+    },
+    done(file) {
+      files.set(file, { ...files.get(file), done: true });
+      changed = true;
+    },
+    stop() {
+      clearInterval(timer);
+      print();
+    }
+  };
+}
+
+// Process one file with processFireFile() in its own worker. Resolves with the
+// output paths and feature count.
+function processFileInWorker(filePath, options = {}, progress) {
+  const file = path.basename(filePath);
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_FILE, {
+      workerData: { task: 'file', filePath, options }
+    });
+    let result = null;
+
+    worker.on('message', message => {
+      if (message.type === 'progress') {
+        if (progress) progress.update(file, message.progress);
+      } else if (message.type === 'result') {
+        result = message.result;
+        if (progress) progress.done(file);
+      }
+    });
+
+    worker.on('error', reject);
+
+    worker.on('exit', code => {
+      if (result) {
+        resolve(result);
+      } else {
+        reject(new Error(`Worker processing ${file} exited with code ${code}`));
+      }
+    });
+  });
+}
+
+// A pool of workers that run processFeature() on ranges of features. Used like
+// the in-process sink in preprocessor.js: add() returns false once every worker
+// is busy, drained() resolves when more features can be added, and finish()
+// resolves with each worker's partial accumulators. `profile` is the loaded
+// field mapping profile the workers read features with and `duplicates` the
+// Set of fire numbers to leave out.
+function createFeaturePool({ workers = getDefaultWorkerCount(), accumulatorOptions = {}, profile, duplicates } = {}) {
+  const pool = Array.from({ length: workers }, () => ({
+    worker: new Worker(WORKER_FILE, {
+      workerData: { task: 'features', accumulatorOptions, profile, duplicates }
+    }),
+    pending: 0,
+    accumulators: null
+  }));
+
+  let batch = [];
+  let batchStart = null;
+  let failure = null;
+  let waiting = [];
+
+  const hasCapacity = () => pool.some(entry => entry.pending < MAX_PENDING_BATCHES);
+
+  const wake = () => {
+    const callbacks = waiting;
+    waiting = [];
+    callbacks.forEach(callback => callback());
+  };
+
+  const close = () => Promise.all(pool.map(({ worker }) => worker.terminate()));
+
+  pool.forEach(entry => {
+    entry.worker.on('message', message => {
+      if (message.type === 'batchDone') {
+        entry.pending--;
+        wake();
+      } else if (message.type === 'accumulators') {
+        entry.accumulators = message.accumulators;
+      }
+    });
+
+    entry.worker.on('error', err => {
+      if (!failure) failure = err;
+      wake();
+    });
+  });
+
+  // Send the current batch to the least busy worker
+  const flush = () => {
+    if (batch.length === 0) return;
+
+    const entry = pool.reduce((least, candidate) => (candidate.pending < least.pending ? candidate : least));
+    entry.pending++;
+    entry.worker.postMessage({ type: 'batch', start: batchStart, features: batch });
+
+    batch = [];
+    batchStart = null;
+  };
+
+  return {
+    // featureNumber is the feature's 1-based position in the source file;
+    // consecutive calls must pass consecutive numbers
+    add(feature, featureNumber) {
+      if (batchStart === null) batchStart = featureNumber;
+      batch.push(feature);
+
+      if (batch.length >= BATCH_SIZE) flush();
+      return !failure && hasCapacity();
+    },
+
+    drained() {
+      if (failure) return Promise.reject(failure);
+      if (hasCapacity()) return Promise.resolve();
+
+      return new Promise((resolve, reject) => {
+        waiting.push(() => (failure ? reject(failure) : resolve()));
+      });
+    },
+
+    async finish() {
+      flush();
+
+      if (failure) {
+        await close();
+        throw failure;
+      }
+
+      await Promise.all(pool.map(entry => new Promise((resolve, reject) => {
+        entry.worker.once('exit', () => (failure ? reject(failure) : resolve()));
+        entry.worker.postMessage({ type: 'finish' });
+      }))).catch(async err => {
+        await close();
+        throw err;
+      });
+
+      return pool.map(entry => entry.accumulators);
+    },
+
+    close
+  };
+}
+
+module.exports = {
+  getDefaultWorkerCount,
+  runWithConcurrency,
+  createProgressReporter,
+  processFileInWorker,
+  createFeaturePool
+};
@@ -0,0 +1,164 @@
+// lib/perimeters.js - Simplified, quantized fire perimeters as per-year TopoJSON
+// Each detail level pairs a simplification tolerance with a quantization that
+// suits it, from statewide overviews (low) to single fires (high). Files are
+// written to <outDir>/perimeters/<datasetId>/<year>-<detail>.json.
+const fs = require('fs');
+const path = require('path');
+const turf = require('@turf/turf');
+const { topology } = require('topojson-server');
+const { writeJSON } = require('./output');
+const { loadProfile, findProfileName, createFieldMapper, getFireDate } = require('./field-profiles');
+const { SCHEMA_VERSIONS, validateOutput } = require('./schemas');
+const { readFireFeatures } = require('../preprocessor');
+
+// Tolerances are in degrees: about 1 km, 100 m and 10 m
+const DETAIL_LEVELS = {
+  low: { tolerance: 0.01, quantization: 1e4 },
+  medium: { tolerance: 0.001, quantization: 1e5 },
+  high: { tolerance: 0.0001, quantization: 1e6 }
+};
+
+const DEFAULT_DETAIL = 'medium';
+
+// Name of the GeometryCollection inside each topology
+const OBJECT_NAME = 'perimeters';
+
+const PERIMETER_DIR = 'perimeters';
+
+function getPerimeterDir(outDir, datasetId) {
+  return path.join(outDir, PERIMETER_DIR, datasetId);
+}
+
+function getPerimeterFile(outDir, datasetId, year, detail) {
+  return path.join(getPerimeterDir(outDir, datasetId), `${year}-${detail}.json`);
+}
+
+// Whether every coordinate is in lon/lat range; projected perimeters are skipped
+function isLonLat(feature) {
+  try {
+    const [minX, minY, maxX, maxY] = turf.bbox(feature);
+    return minX >= -180 && maxX <= 180 && minY >= -90 && maxY <= 90;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Sink for readFireFeatures() that keeps every fire's perimeter, simplified
+// once per detail level, grouped by year. Fire ids match <datasetId>-fires.json.
+function createPerimeterCollector({ datasetId, profile }) {
+  const mapFields = createFieldMapper(profile);
+  const byYear = {};
+  let skipped = 0;
+
+  return {
+    byYear,
+    get skipped() {
+      return skipped;
+    },
+    add(feature, featureNumber) {
+      if (!feature || !feature.properties) return true;
+
+      const record = mapFields(feature.properties);
+      const { alarmDate, year } = getFireDate(record);
+      if (!year || isNaN(year)) return true;
+
+      const geometry = feature.geometry;
+      if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon') || !isLonLat(feature)) {
+        skipped++;
+        return true;
+      }
+
+      const properties = {
+        id: `${datasetId}-${featureNumber}`,
+        name: record.name !== undefined && record.name !== null ? String(record.name).trim() : null,
+        month: alarmDate ? alarmDate.getUTCMonth() + 1 : null,
+        cause: record.cause !== undefined && !isNaN(record.cause) ? parseInt(record.cause) : null,
+        acres: record.acres !== undefined ? Math.round(record.acres * 100) / 100 : null
+      };
+
+      if (!byYear[year]) {
+        byYear[year] = Object.fromEntries(Object.keys(DETAIL_LEVELS).map(detail => [detail, []]));
+      }
+
+      Object.entries(DETAIL_LEVELS).forEach(([detail, { tolerance }]) => {
+        try {
+          const simplified = turf.simplify(turf.feature(geometry), { tolerance });
+          byYear[year][detail].push({ ...simplified, properties });
+        } catch (err) {
+          // Leave out perimeters turf cannot simplify at this level
+        }
+      });
+      return true;
+    },
+    drained: () => Promise.resolve()
+  };
+}
+
+// TopoJSON for one year and detail level, with the metadata the API returns
+function buildPerimeterTopology(features, { datasetId, year, detail }) {
+  const { tolerance, quantization } = DETAIL_LEVELS[detail];
+  const perimeters = topology({ [OBJECT_NAME]: { type: 'FeatureCollection', features } }, quantization);
+
+  return {
+    ...perimeters,
+    metadata: {
+      schemaVersion: SCHEMA_VERSIONS['perimeter-topology'],
+      datasetId,
+      year: parseInt(year),
+      detail,
+      tolerance,
+      quantization,
+      fireCount: features.length,
+      processedAt: new Date().toISOString()
+    }
+  };
+}
+
+// Read a fire file and write one TopoJSON file per year and detail level.
+// Resolves with the files written.
+async function processPerimeterFile(filePath, options = {}) {
+  const {
+    datasetId = path.basename(filePath, path.extname(filePath)),
+    outDir,
+    dryRun = false,
+    streaming,
+    profile
+  } = options;
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  const fieldProfile = typeof profile === 'object' ? profile : loadProfile(profile || findProfileName(datasetId));
+  console.log(`Simplifying perimeters of ${path.basename(filePath)} (field mapping profile: ${fieldProfile.name})...`);
+
+  const collector = createPerimeterCollector({ datasetId, profile: fieldProfile });
+  await readFireFeatures(filePath, collector, { streaming });
+
+  const outputFiles = [];
+  Object.entries(collector.byYear).forEach(([year, levels]) => {
+    Object.entries(levels).forEach(([detail, features]) => {
+      const perimeters = buildPerimeterTopology(features, { datasetId, year, detail });
+      validateOutput('perimeter-topology', perimeters);
+      outputFiles.push(writeJSON(getPerimeterFile(outDir, datasetId, year, detail), perimeters, { dryRun, compact: true }));
+    });
+  });
+
+  console.log(`Wrote ${outputFiles.length} perimeter files for ${Object.keys(collector.byYear).length} years to ${getPerimeterDir(outDir, datasetId)}`);
+  if (collector.skipped > 0) {
+    console.log(`Skipped ${collector.skipped} fires without a WGS84 perimeter`);
+  }
+
+  return outputFiles;
+}
+
+module.exports = {
+  DETAIL_LEVELS,
+  DEFAULT_DETAIL,
+  OBJECT_NAME,
+  getPerimeterDir,
+  getPerimeterFile,
+  createPerimeterCollector,
+  buildPerimeterTopology,
+  processPerimeterFile
+};
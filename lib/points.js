@@ -0,0 +1,72 @@
+// lib/points.js - One point per fire for dot and density maps
+// A fire's point is its ignition point when the source records one (the
+// profile's ignitionLongitude/ignitionLatitude fields), otherwise the centroid
+// of its perimeter.
+const turf = require('@turf/turf');
+
+// About 1 m, plenty for a dot map
+const COORDINATE_DECIMALS = 5;
+
+const roundCoordinate = value => Math.round(value * 10 ** COORDINATE_DECIMALS) / 10 ** COORDINATE_DECIMALS;
+
+const isLonLat = ([lon, lat]) => isFinite(lon) && isFinite(lat) && lon >= -180 && lon <= 180 && lat >= -90 && lat <= 90;
+
+// { coordinates: [lon, lat], type: 'ignition' | 'centroid' } for a feature, or
+// null when it has neither an ignition point nor a perimeter in lon/lat
+function getFirePoint(feature, record) {
+  if (record.ignitionLongitude !== undefined && record.ignitionLatitude !== undefined) {
+    const ignition = [Number(record.ignitionLongitude), Number(record.ignitionLatitude)];
+    if (isLonLat(ignition)) {
+      return { coordinates: ignition.map(roundCoordinate), type: 'ignition' };
+    }
+  }
+
+  if (!feature.geometry) return null;
+
+  try {
+    const centroid = turf.centroid(feature).geometry.coordinates;
+    return isLonLat(centroid) ? { coordinates: centroid.map(roundCoordinate), type: 'centroid' } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Point records sorted by year, then fire number, with the fire ids the fire index uses
+function sortPoints(points, datasetId) {
+  return points
+    .slice()
+    .sort((a, b) => a.year - b.year || a.fireNumber - b.fireNumber)
+    .map(({ fireNumber, ...point }) => ({ id: `${datasetId}-${fireNumber}`, ...point }));
+}
+
+// <datasetId>-points.geojson: a FeatureCollection of Point features
+function toPointCollection(points, metadata) {
+  return {
+    type: 'FeatureCollection',
+    features: points.map(({ lon, lat, ...properties }) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [lon, lat] },
+      properties
+    })),
+    metadata
+  };
+}
+
+// <datasetId>-points.ndjson: the same records, one JSON object per line, for
+// clients that read them as a stream
+function toPointLines(points) {
+  return points.map(point => JSON.stringify(point)).join('\n') + (points.length > 0 ? '\n' : '');
+}
+
+// Whether a point record falls in [minLon, minLat, maxLon, maxLat]
+function inBBox(point, [minLon, minLat, maxLon, maxLat]) {
+  return point.lon >= minLon && point.lon <= maxLon && point.lat >= minLat && point.lat <= maxLat;
+}
+
+module.exports = {
+  getFirePoint,
+  sortPoints,
+  toPointCollection,
+  toPointLines,
+  inBBox
+};
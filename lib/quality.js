@@ -0,0 +1,192 @@
+// lib/quality.js - Data quality counts collected while preprocessing a fire dataset
+const { describeDateFormat } = require('./dates');
+
+// Number of duplicated ids listed per field in the sidecar report
+const MAX_DUPLICATE_EXAMPLES = 20;
+
+function createQualityReport() {
+  return {
+    droppedByReason: {},
+    invalidDates: {},
+    invalidDateFormats: {},
+    containmentBeforeAlarm: 0,
+    missingCause: 0,
+    unknownCauses: {},
+    missingAcres: 0,
+    zeroAcres: 0,
+    negativeAcres: 0,
+    seenIds: {},
+    duplicateIds: {}
+  };
+}
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+// A feature that never made it into the statistics
+function recordDropped(quality, reason) {
+  increment(quality.droppedByReason, reason);
+}
+
+// A date attribute that is present but cannot be parsed, counted per field and
+// per format of the rejected value (see describeDateFormat)
+function recordInvalidDate(quality, field, value) {
+  increment(quality.invalidDates, field);
+
+  if (!quality.invalidDateFormats[field]) {
+    quality.invalidDateFormats[field] = {};
+  }
+  increment(quality.invalidDateFormats[field], describeDateFormat(value));
+}
+
+function recordContainmentBeforeAlarm(quality) {
+  quality.containmentBeforeAlarm++;
+}
+
+// Missing or unrecognised CAUSE codes
+function recordCause(quality, cause, knownCauses) {
+  if (cause === undefined || cause === null || cause === '') {
+    quality.missingCause++;
+  } else if (!knownCauses[cause]) {
+    increment(quality.unknownCauses, String(cause));
+  }
+}
+
+// Reported acres that are missing, zero or negative
+function recordAcres(quality, reportedAcres) {
+  const acres = reportedAcres === undefined || reportedAcres === null || reportedAcres === ''
+    ? NaN
+    : Number(reportedAcres);
+
+  if (isNaN(acres)) {
+    quality.missingAcres++;
+  } else if (acres < 0) {
+    quality.negativeAcres++;
+  } else if (acres === 0) {
+    quality.zeroAcres++;
+  }
+}
+
+// Track the attributes that should identify a single perimeter record (the
+// field mapping profile's `ids`, e.g. OBJECTID and IRWINID) plus the
+// year/unit/incident number triple, reported as INC_NUM, which should also be unique
+function recordIds(quality, { ids: idFields = {}, unitId, incidentNumber }, year) {
+  const ids = { ...idFields };
+
+  if (incidentNumber) {
+    ids.INC_NUM = [year, unitId || '', incidentNumber].join('/');
+  }
+
+  Object.entries(ids).forEach(([field, id]) => {
+    if (!quality.seenIds[field]) {
+      quality.seenIds[field] = new Set();
+    }
+
+    if (!quality.seenIds[field].has(id)) {
+      quality.seenIds[field].add(id);
+      return;
+    }
+
+    recordDuplicate(quality, field, id);
+  });
+}
+
+function recordDuplicate(quality, field, id, count = 1) {
+  if (!quality.duplicateIds[field]) {
+    quality.duplicateIds[field] = { duplicates: 0, examples: [] };
+  }
+
+  const duplicates = quality.duplicateIds[field];
+  duplicates.duplicates += count;
+  if (duplicates.examples.length < MAX_DUPLICATE_EXAMPLES && !duplicates.examples.includes(id)) {
+    duplicates.examples.push(id);
+  }
+}
+
+function addCounts(counts, partialCounts) {
+  Object.entries(partialCounts).forEach(([key, count]) => {
+    counts[key] = (counts[key] || 0) + count;
+  });
+}
+
+// Fold a partial report, e.g. from a worker thread, into `quality`. An id that
+// both have seen counts as one more duplicate.
+function mergeQualityReports(quality, partial) {
+  addCounts(quality.droppedByReason, partial.droppedByReason);
+  addCounts(quality.invalidDates, partial.invalidDates);
+  Object.entries(partial.invalidDateFormats).forEach(([field, formats]) => {
+    quality.invalidDateFormats[field] = quality.invalidDateFormats[field] || {};
+    addCounts(quality.invalidDateFormats[field], formats);
+  });
+  addCounts(quality.unknownCauses, partial.unknownCauses);
+
+  ['containmentBeforeAlarm', 'missingCause', 'missingAcres', 'zeroAcres', 'negativeAcres'].forEach(key => {
+    quality[key] += partial[key];
+  });
+
+  Object.entries(partial.duplicateIds).forEach(([field, { duplicates, examples }]) => {
+    examples.forEach((id, index) => recordDuplicate(quality, field, id, index === 0 ? duplicates : 0));
+  });
+
+  Object.entries(partial.seenIds).forEach(([field, ids]) => {
+    if (!quality.seenIds[field]) {
+      quality.seenIds[field] = new Set(ids);
+      return;
+    }
+
+    const seen = quality.seenIds[field];
+    ids.forEach(id => {
+      if (seen.has(id)) {
+        recordDuplicate(quality, field, id);
+      } else {
+        seen.add(id);
+      }
+    });
+  });
+}
+
+// Machine-readable report. With { includeExamples: false } the duplicate id
+// examples are left out, which keeps the copy stored in the stats metadata small.
+function buildQualityReport(quality, { featureCount, includeExamples = true }) {
+  const droppedFeatures = Object.values(quality.droppedByReason).reduce((sum, count) => sum + count, 0);
+
+  const duplicateIds = {};
+  Object.entries(quality.duplicateIds).forEach(([field, { duplicates, examples }]) => {
+    duplicateIds[field] = includeExamples ? { duplicates, examples } : { duplicates };
+  });
+
+  return {
+    featureCount,
+    processedFeatures: featureCount - droppedFeatures,
+    droppedFeatures,
+    droppedByReason: { ...quality.droppedByReason },
+    invalidDates: { ...quality.invalidDates },
+    invalidDateFormats: Object.fromEntries(
+      Object.entries(quality.invalidDateFormats).map(([field, formats]) => [field, { ...formats }])
+    ),
+    containmentBeforeAlarm: quality.containmentBeforeAlarm,
+    causes: {
+      missing: quality.missingCause,
+      unknownCodes: { ...quality.unknownCauses }
+    },
+    acres: {
+      missing: quality.missingAcres,
+      zero: quality.zeroAcres,
+      negative: quality.negativeAcres
+    },
+    duplicateIds
+  };
+}
+
+module.exports = {
+  createQualityReport,
+  recordDropped,
+  recordInvalidDate,
+  recordContainmentBeforeAlarm,
+  recordCause,
+  recordAcres,
+  recordIds,
+  mergeQualityReports,
+  buildQualityReport
+};
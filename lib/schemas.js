@@ -0,0 +1,99 @@
+// lib/schemas.js - Validate processed output files (and field mapping profiles, cause schemes and the dataset registry) against the JSON Schemas in schemas/
+// Each output type has one schema per version, schemas/<type>.v<version>.schema.json.
+// Files name their version in metadata.schemaVersion; files written before
+// versioning have none and are validated as version 1.
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+
+// Version each processor writes today
+const SCHEMA_VERSIONS = {
+  'fire-stats': 2,
+  'fire-supplement': 3,
+  'temperature-correlation': 1,
+  'monthly-temperature': 1,
+  'duplicate-report': 1,
+  'perimeter-topology': 1,
+  'daily-weather': 1,
+  'cause-schemes': 1,
+  'field-profile': 1,
+  'dataset-registry': 1
+};
+
+// Problems listed in an error message; the full list is on error.problems
+const MAX_REPORTED_PROBLEMS = 10;
+
+// Thrown when a file does not match its schema, or names a version there is no schema for
+class SchemaValidationError extends Error {
+  constructor(message, { type, version, file, problems = [] }) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.type = type;
+    this.version = version;
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+// Compiled on first use, so requiring this module stays cheap
+let ajv;
+function getAjv() {
+  if (!ajv) {
+    ajv = new Ajv({ allErrors: true });
+    fs.readdirSync(SCHEMA_DIR)
+      .filter(file => file.endsWith('.schema.json'))
+      .forEach(file => ajv.addSchema(JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8'))));
+  }
+  return ajv;
+}
+
+// Version a document declares; bare arrays such as the monthly temperature stats cannot carry one
+function getSchemaVersion(data) {
+  return (data && data.metadata && data.metadata.schemaVersion) || 1;
+}
+
+// Check `data` against the schema for `type` at the version it declares and
+// return it unchanged. `file` is only used in the error message.
+function validateOutput(type, data, { file } = {}) {
+  const version = getSchemaVersion(data);
+  const schemaId = `${type}.v${version}.schema.json`;
+  const label = file ? path.basename(file) : type;
+  const validate = getAjv().getSchema(schemaId);
+
+  if (!validate) {
+    throw new SchemaValidationError(
+      `${label}: unsupported ${type} schema version ${version} (this version supports up to ${SCHEMA_VERSIONS[type]})`,
+      { type, version, file }
+    );
+  }
+
+  if (!validate(data)) {
+    const problems = validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+    const shown = problems.slice(0, MAX_REPORTED_PROBLEMS);
+    if (problems.length > shown.length) {
+      shown.push(`...and ${problems.length - shown.length} more`);
+    }
+
+    throw new SchemaValidationError(
+      `${label} does not match the ${type} schema (version ${version}):\n  ${shown.join('\n  ')}`,
+      { type, version, file, problems }
+    );
+  }
+
+  return data;
+}
+
+// Read and parse a JSON file, then validate it
+function readValidatedJSON(filePath, type) {
+  return validateOutput(type, JSON.parse(fs.readFileSync(filePath, 'utf8')), { file: filePath });
+}
+
+module.exports = {
+  SCHEMA_VERSIONS,
+  SchemaValidationError,
+  getSchemaVersion,
+  validateOutput,
+  readValidatedJSON
+};
@@ -0,0 +1,135 @@
+// lib/shapefile-source.js - Read features from a Shapefile (.shp + .dbf) or a zipped Shapefile
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const shapefile = require('shapefile');
+
+// Sidecar files the reader needs next to the .shp
+const SHAPEFILE_PARTS = ['.shp', '.dbf', '.shx', '.prj', '.cpg'];
+
+// DBF date fields come back as local-midnight Date objects; store them as
+// YYYY-MM-DD strings so they look the same as GeoJSON date properties
+function normalizeProperties(properties) {
+  if (!properties) return properties;
+
+  Object.keys(properties).forEach(key => {
+    const value = properties[key];
+    if (value instanceof Date) {
+      properties[key] = isNaN(value.getTime())
+        ? null
+        : [
+          value.getFullYear(),
+          String(value.getMonth() + 1).padStart(2, '0'),
+          String(value.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+  });
+
+  return properties;
+}
+
+// Character encoding of the DBF, taken from the optional .cpg sidecar
+function readEncoding(shpPath) {
+  const cpgPath = shpPath.replace(/\.shp$/i, '.cpg');
+  if (!fs.existsSync(cpgPath)) return undefined;
+
+  const encoding = fs.readFileSync(cpgPath, 'utf8').trim().toLowerCase();
+  return encoding === 'utf-8' || encoding === 'utf8' ? 'utf-8' : encoding || undefined;
+}
+
+// Coordinate system named in the optional .prj sidecar (WKT) as { name, projected },
+// or null when there is none
+function readProjection(shpPath) {
+  const prjPath = shpPath.replace(/\.shp$/i, '.prj');
+  if (!fs.existsSync(prjPath)) return null;
+
+  const wkt = fs.readFileSync(prjPath, 'utf8').trim();
+  const match = /^(\w+)\s*\[\s*"([^"]*)"/.exec(wkt);
+  if (!match) return null;
+
+  return { name: match[2], projected: /^PROJ(CS|CRS)$/i.test(match[1]) };
+}
+
+// Shapefiles are read as they are, so their coordinates have to be longitude and
+// latitude like GeoJSON's. Projected ones (FRAP's are in California Albers) would
+// put every fire outside California, so they are refused instead.
+function checkProjection(shpPath) {
+  const projection = readProjection(shpPath);
+  if (projection && projection.projected) {
+    throw new Error(
+      `${path.basename(shpPath)} uses the projected coordinate system ${projection.name}; only longitude/latitude ` +
+      `coordinates are supported. Reproject it to WGS84 first, e.g. ogr2ogr -t_srs EPSG:4326 out.shp ${path.basename(shpPath)}`
+    );
+  }
+}
+
+// Extract the first Shapefile found in a zip archive into a temporary directory
+function extractZip(zipPath) {
+  const zip = new AdmZip(zipPath);
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+  const shpEntry = entries.find(entry => /\.shp$/i.test(entry.entryName));
+
+  if (!shpEntry) {
+    throw new Error(`No .shp file found in ${path.basename(zipPath)}`);
+  }
+
+  const baseName = shpEntry.entryName.replace(/\.shp$/i, '');
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoviz-shp-'));
+
+  entries
+    .filter(entry => {
+      const ext = path.extname(entry.entryName).toLowerCase();
+      return entry.entryName.slice(0, -ext.length) === baseName && SHAPEFILE_PARTS.includes(ext);
+    })
+    .forEach(entry => {
+      zip.extractEntryTo(entry, tempDir, false, true);
+    });
+
+  return {
+    shpPath: path.join(tempDir, path.basename(shpEntry.entryName)),
+    cleanup: () => fs.rmSync(tempDir, { recursive: true, force: true })
+  };
+}
+
+// The .shp plus whichever sidecar files exist next to it
+function getShapefileParts(shpPath) {
+  return SHAPEFILE_PARTS
+    .map(ext => shpPath.replace(/\.shp$/i, ext))
+    .filter(partPath => fs.existsSync(partPath));
+}
+
+// Call onFeature(feature) for every record, one at a time, waiting for it when it
+// returns a promise. Resolves with the feature count.
+async function readShapefileFeatures(filePath, onFeature) {
+  const isZip = /\.zip$/i.test(filePath);
+  const { shpPath, cleanup } = isZip
+    ? extractZip(filePath)
+    : { shpPath: filePath, cleanup: () => {} };
+
+  try {
+    if (!fs.existsSync(shpPath.replace(/\.shp$/i, '.dbf'))) {
+      throw new Error(`Missing .dbf attribute file for ${path.basename(shpPath)}`);
+    }
+    checkProjection(shpPath);
+
+    const source = await shapefile.open(shpPath, undefined, { encoding: readEncoding(shpPath) });
+    let featureCount = 0;
+
+    for (let result = await source.read(); !result.done; result = await source.read()) {
+      const feature = result.value;
+      feature.properties = normalizeProperties(feature.properties);
+      await onFeature(feature);
+      featureCount++;
+    }
+
+    return featureCount;
+  } finally {
+    cleanup();
+  }
+}
+
+module.exports = {
+  getShapefileParts,
+  readShapefileFeatures
+};
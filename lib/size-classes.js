@@ -0,0 +1,24 @@
+// lib/size-classes.js - NWCG fire size classes
+// https://www.nwcg.gov/term/glossary/size-class-of-fire
+
+// Lower bound is inclusive, upper bound exclusive
+const SIZE_CLASSES = [
+  { sizeClass: 'A', label: '< 0.25 ac', minAcres: 0, maxAcres: 0.25 },
+  { sizeClass: 'B', label: '0.25 - 10 ac', minAcres: 0.25, maxAcres: 10 },
+  { sizeClass: 'C', label: '10 - 100 ac', minAcres: 10, maxAcres: 100 },
+  { sizeClass: 'D', label: '100 - 300 ac', minAcres: 100, maxAcres: 300 },
+  { sizeClass: 'E', label: '300 - 1,000 ac', minAcres: 300, maxAcres: 1000 },
+  { sizeClass: 'F', label: '1,000 - 5,000 ac', minAcres: 1000, maxAcres: 5000 },
+  { sizeClass: 'G', label: '5,000+ ac', minAcres: 5000, maxAcres: null }
+];
+
+// Size class letter for a burned area in acres
+function getSizeClass(acres) {
+  const match = SIZE_CLASSES.find(({ maxAcres }) => maxAcres === null || acres < maxAcres);
+  return match.sizeClass;
+}
+
+module.exports = {
+  SIZE_CLASSES,
+  getSizeClass
+};
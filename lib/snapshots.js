@@ -0,0 +1,171 @@
+// lib/snapshots.js - Keep a copy of the statistics written by every processing run
+// <dataset>-stats.json is overwritten on every run, so each run also writes
+// snapshots/<dataset>/<processedAt>.json, keeping the newest few. Two snapshots
+// can be diffed to see which years, months and causes changed between runs.
+// Snapshots are per dataset: a supplement is a dataset of its own with its own
+// snapshots, so a base dataset's diff does not include changes to its supplements.
+const fs = require('fs');
+const path = require('path');
+const { writeJSON } = require('./output');
+const { validateOutput } = require('./schemas');
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Snapshots kept of each dataset; older ones are deleted when a new one is saved
+const DEFAULT_KEEP_SNAPSHOTS = 10;
+
+const round = value => Math.round(value * 100) / 100;
+
+function getSnapshotDir(outDir, datasetId) {
+  return path.join(outDir, 'snapshots', datasetId);
+}
+
+// Snapshot ids are the run's processedAt with the characters file names cannot
+// hold replaced, e.g. 2025-03-30T10-30-50-266Z
+function toSnapshotId(processedAt) {
+  return processedAt.replace(/[:.]/g, '-');
+}
+
+function toProcessedAt(snapshotId) {
+  const match = /^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})(?:-(\d+))?Z$/.exec(snapshotId);
+  return match ? `${match[1]}:${match[2]}:${match[3]}${match[4] ? `.${match[4]}` : ''}Z` : null;
+}
+
+// Write a snapshot of `statistics` (a stats file or supplement) for this run
+// and delete all but the `keep` newest snapshots of the dataset.
+// Returns the snapshot file.
+function saveSnapshot(outDir, datasetId, statistics, { dryRun = false, keep = DEFAULT_KEEP_SNAPSHOTS } = {}) {
+  const file = path.join(getSnapshotDir(outDir, datasetId), `${toSnapshotId(statistics.metadata.processedAt)}.json`);
+  const outputFile = writeJSON(file, statistics, { dryRun, compact: true });
+
+  if (!dryRun) {
+    pruneSnapshots(outDir, datasetId, keep);
+  }
+  return outputFile;
+}
+
+// Delete all but the `keep` newest snapshots of the dataset. Returns the deleted files.
+function pruneSnapshots(outDir, datasetId, keep) {
+  const deleted = listSnapshots(outDir, datasetId)
+    .slice(keep)
+    .map(({ id }) => path.join(getSnapshotDir(outDir, datasetId), `${id}.json`));
+
+  deleted.forEach(file => fs.unlinkSync(file));
+  if (deleted.length > 0) {
+    console.log(`Deleted ${deleted.length} old snapshots of ${datasetId}, keeping the newest ${keep}`);
+  }
+  return deleted;
+}
+
+// [{ id, processedAt }] for every snapshot of the dataset, newest first
+function listSnapshots(outDir, datasetId) {
+  const snapshotDir = getSnapshotDir(outDir, datasetId);
+  if (!fs.existsSync(snapshotDir)) return [];
+
+  return fs.readdirSync(snapshotDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .filter(id => toProcessedAt(id) !== null)
+    .sort()
+    .reverse()
+    .map(id => ({ id, processedAt: toProcessedAt(id) }));
+}
+
+// The statistics of one snapshot, checked against their schema, or null when
+// the dataset has no such snapshot
+function readSnapshot(outDir, datasetId, snapshotId) {
+  if (toProcessedAt(snapshotId) === null) return null;
+
+  const file = path.join(getSnapshotDir(outDir, datasetId), `${snapshotId}.json`);
+  if (!fs.existsSync(file)) return null;
+
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return validateOutput(data.metadata && data.metadata.supplementFor ? 'fire-supplement' : 'fire-stats', data, { file });
+}
+
+// { fires, acres }, each { from, to, delta }, for a record in either snapshot
+function delta(fromEntry, toEntry) {
+  const from = fromEntry || { fires: 0, acres: 0 };
+  const to = toEntry || { fires: 0, acres: 0 };
+  return {
+    fires: { from: from.fires, to: to.fires, delta: to.fires - from.fires },
+    acres: { from: round(from.acres), to: round(to.acres), delta: round(to.acres - from.acres) }
+  };
+}
+
+const isChanged = entry => entry.fires.delta !== 0 || entry.acres.delta !== 0;
+
+// Deltas for every key of two { key: { fires, acres } } maps, changed ones only
+function diffByKey(fromByKey, toByKey, describe) {
+  return Array.from(new Set([...Object.keys(fromByKey), ...Object.keys(toByKey)]))
+    .map(key => ({ ...describe(key), ...delta(fromByKey[key], toByKey[key]) }))
+    .filter(isChanged);
+}
+
+const byYear = stats => Object.fromEntries((stats.yearlyData || []).map(entry => [String(entry.year), entry]));
+
+function byMonth(stats) {
+  const months = {};
+  Object.entries(stats.monthlyDataByYear || {}).forEach(([year, monthlyData]) => {
+    monthlyData.forEach(entry => {
+      months[`${year}|${entry.month}`] = entry;
+    });
+  });
+  return months;
+}
+
+const byCause = stats => Object.fromEntries((stats.topCauses || []).map(cause => [String(cause.causeId), cause]));
+
+function byYearCause(stats) {
+  const causes = {};
+  Object.entries(stats.causesDataByYear || {}).forEach(([year, yearData]) => {
+    yearData.causes.forEach(cause => {
+      causes[`${year}|${cause.causeId}`] = cause;
+    });
+  });
+  return causes;
+}
+
+// What changed between two snapshots of a dataset: the change in total fires
+// and acres, and the years, months (per year), causes (over every year) and
+// causes per year whose fires or acres differ, in fires and acres from `from` to `to`
+function diffSnapshots(fromStats, toStats) {
+  const fromCauses = byCause(fromStats);
+  const toCauses = byCause(toStats);
+  const fromYearCauses = byYearCause(fromStats);
+  const toYearCauses = byYearCause(toStats);
+
+  return {
+    summary: delta(
+      { fires: fromStats.summary.totalFires, acres: fromStats.summary.totalAcres },
+      { fires: toStats.summary.totalFires, acres: toStats.summary.totalAcres }
+    ),
+    years: diffByKey(byYear(fromStats), byYear(toStats), year => ({ year }))
+      .sort((a, b) => parseInt(a.year) - parseInt(b.year)),
+    months: diffByKey(byMonth(fromStats), byMonth(toStats), key => {
+      const [year, month] = key.split('|');
+      return { year, month };
+    }).sort((a, b) => parseInt(a.year) - parseInt(b.year) || MONTHS.indexOf(a.month) - MONTHS.indexOf(b.month)),
+    causes: diffByKey(fromCauses, toCauses, causeId => ({
+      causeId: parseInt(causeId),
+      causeName: (toCauses[causeId] || fromCauses[causeId]).causeName
+    })).sort((a, b) => Math.abs(b.fires.delta) - Math.abs(a.fires.delta)),
+    causesByYear: diffByKey(fromYearCauses, toYearCauses, key => {
+      const [year, causeId] = key.split('|');
+      return { year, causeId: parseInt(causeId), causeName: (toYearCauses[key] || fromYearCauses[key]).causeName };
+    }).sort((a, b) => parseInt(a.year) - parseInt(b.year) || Math.abs(b.fires.delta) - Math.abs(a.fires.delta))
+  };
+}
+
+module.exports = {
+  DEFAULT_KEEP_SNAPSHOTS,
+  getSnapshotDir,
+  saveSnapshot,
+  pruneSnapshots,
+  listSnapshots,
+  readSnapshot,
+  diffSnapshots
+};
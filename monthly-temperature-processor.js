@@ -2,18 +2,14 @@
 const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
+const { writeJSON } = require('./lib/output');
+const { validateOutput } = require('./lib/schemas');
 
-// Configuration
+// Defaults, used when this script is run directly
 const DATA_DIR = path.join(__dirname, 'uploads');
 const STATS_DIR = path.join(__dirname, 'processed_stats');
 const TEMP_FILE = 'temperature-data.csv'; // Temperature data file
 
-// Ensure stats directory exists
-if (!fs.existsSync(STATS_DIR)) {
-  fs.mkdirSync(STATS_DIR, { recursive: true });
-  console.log('Created statistics directory:', STATS_DIR);
-}
-
 // Parse date code similar to the previous processor
 function parseDateCode(dateCode) {
   const dateStr = dateCode.toString();
@@ -125,68 +121,82 @@ function processMonthlyTemperatures(tempData) {
 }
 
 // Create a separate file for each month's detailed data points
-function saveMonthlyDataPoints(monthlyStats) {
-  // Create directory for detailed data points
-  const detailDir = path.join(STATS_DIR, 'monthly_detail');
-  if (!fs.existsSync(detailDir)) {
-    fs.mkdirSync(detailDir, { recursive: true });
-  }
+function saveMonthlyDataPoints(monthlyStats, { outDir, dryRun }) {
+  // Directory for detailed data points
+  const detailDir = path.join(outDir, 'monthly_detail');
   
   // Save data points for each month
   monthlyStats.forEach(monthData => {
     const filename = path.join(detailDir, `${monthData.month.toLowerCase()}.json`);
-    fs.writeFileSync(filename, JSON.stringify(monthData.dataPoints, null, 2));
+    writeJSON(filename, monthData.dataPoints, { dryRun });
     console.log(`Saved ${monthData.dataPoints.length} data points for ${monthData.month}`);
   });
 }
 
-// Main processing function
-function processTemperatureData() {
-  const tempFilePath = path.join(DATA_DIR, TEMP_FILE);
-  
+// Main processing function - resolves with the summary statistics once all files are written
+function processTemperatureData(tempFilePath, { outDir = STATS_DIR, dryRun = false } = {}) {
   if (!fs.existsSync(tempFilePath)) {
-    console.error(`Temperature data file not found: ${tempFilePath}`);
-    process.exit(1);
+    return Promise.reject(new Error(`Temperature data file not found: ${tempFilePath}`));
   }
   
   const tempData = [];
   
-  fs.createReadStream(tempFilePath)
-    .pipe(csv({
-      skipLines: 4, // Skip header lines
-      headers: ['Date', 'Value', 'Anomaly']
-    }))
-    .on('data', (row) => {
-      tempData.push(row);
-    })
-    .on('end', () => {
-      console.log(`Processed ${tempData.length} temperature data points`);
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(tempFilePath)
+      .pipe(csv({
+        skipLines: 4, // Skip header lines
+        headers: ['Date', 'Value', 'Anomaly']
+      }))
+      .on('data', (row) => {
+        tempData.push(row);
+      })
+      .on('end', () => {
+        console.log(`Processed ${tempData.length} temperature data points`);
+      
+        // Process monthly temperatures
+        const monthlyStats = processMonthlyTemperatures(tempData);
       
-      // Process monthly temperatures
-      const monthlyStats = processMonthlyTemperatures(tempData);
+        // Output file path for summary statistics
+        const summaryFilename = path.join(outDir, 'monthly-temperature-stats.json');
       
-      // Output file path for summary statistics
-      const summaryFilename = path.join(STATS_DIR, 'monthly-temperature-stats.json');
+        // Create a clean version of the stats (without huge arrays of dataPoints)
+        // This keeps the API response size reasonable
+        const cleanStats = monthlyStats.map(({ month, min, q1, median, q3, max, outliers }) => ({
+          month, min, q1, median, q3, max, 
+          outlierCount: outliers.length
+        }));
       
-      // Create a clean version of the stats (without huge arrays of dataPoints)
-      // This keeps the API response size reasonable
-      const cleanStats = monthlyStats.map(({ month, min, q1, median, q3, max, outliers }) => ({
-        month, min, q1, median, q3, max, 
-        outlierCount: outliers.length
-      }));
+        // Write summary results to file, refusing to write anything that does not match the schema
+        try {
+          validateOutput('monthly-temperature', cleanStats);
+        } catch (err) {
+          reject(err);
+          return;
+        }
+        writeJSON(summaryFilename, cleanStats, { dryRun });
+        console.log(`Monthly temperature statistics saved to: ${summaryFilename}`);
       
-      // Write summary results to file
-      fs.writeFileSync(summaryFilename, JSON.stringify(cleanStats, null, 2));
-      console.log(`Monthly temperature statistics saved to: ${summaryFilename}`);
+        // Save detailed data points (with year info) to separate files
+        saveMonthlyDataPoints(monthlyStats, { outDir, dryRun });
       
-      // Save detailed data points (with year info) to separate files
-      saveMonthlyDataPoints(monthlyStats);
+        console.log('Monthly Statistics:', 
+          cleanStats.map(m => `${m.month}: ${m.median.toFixed(2)}°`)
+        );
       
-      console.log('Monthly Statistics:', 
-        cleanStats.map(m => `${m.month}: ${m.median.toFixed(2)}°`)
-      );
-    });
+        resolve(cleanStats);
+      })
+      .on('error', reject);
+  });
+}
+
+// Run the processor when executed directly
+if (require.main === module) {
+  processTemperatureData(path.join(DATA_DIR, TEMP_FILE)).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
 }
 
-// Run the processor
-processTemperatureData();
\ No newline at end of file
+module.exports = {
+  processTemperatureData
+};
@@ -1,96 +1,273 @@
-// preprocessor.js - Run this once to extract statistics from large GeoJSON files
+// preprocessor.js - Extract statistics from large GeoJSON fire perimeter files
 const fs = require('fs');
 const path = require('path');
+const JSONStream = require('JSONStream');
+const { writeJSON, writeText } = require('./lib/output');
+const { readShapefileFeatures } = require('./lib/shapefile-source');
+const { createCountyLocator } = require('./lib/county-locator');
+const { SIZE_CLASSES, getSizeClass } = require('./lib/size-classes');
+const { getDurationDays, addDuration, summarizeDurations } = require('./lib/duration');
+const { AGENCY_NAMES, normalizeAgencyCode, getAgencyName } = require('./lib/agencies');
+const {
+  computeAcres,
+  createAreaReconciliation,
+  reconcileAcres,
+  mergeAreaReconciliation,
+  summarizeAreaReconciliation,
+  buildAreaReport
+} = require('./lib/area-reconciliation');
+const {
+  createQualityReport,
+  recordDropped,
+  recordInvalidDate,
+  recordContainmentBeforeAlarm,
+  recordCause,
+  recordAcres,
+  recordIds,
+  mergeQualityReports,
+  buildQualityReport
+} = require('./lib/quality');
+const {
+  MONTH_NAMES,
+  parseFireDate,
+  getDateParts,
+  getISOWeeksInYear,
+  getDaysInYear,
+  toISODate
+} = require('./lib/dates');
+const {
+  getDefaultWorkerCount,
+  runWithConcurrency,
+  createProgressReporter,
+  processFileInWorker,
+  createFeaturePool
+} = require('./lib/parallel');
+const { SCHEMA_VERSIONS, validateOutput } = require('./lib/schemas');
+const { DEFAULT_PROFILE, loadProfile, findProfileName, createFieldMapper } = require('./lib/field-profiles');
+const { getFirePoint, sortPoints, toPointCollection, toPointLines } = require('./lib/points');
+const { getCauseNames } = require('./lib/causes');
+const { saveSnapshot } = require('./lib/snapshots');
 
-// Configuration
+// Default locations, used when this script is run directly
 const DATA_DIR = path.join(__dirname, 'uploads');
 const STATS_DIR = path.join(__dirname, 'processed_stats');
 const TARGET_FILES = ['firep23_1.geojson', 'CA_Perimeters_CAL_FIRE.geojson']; // List of GeoJSON files to process
 // Add your new data file to this list if it has a different name
 
-// Fire cause mapping (based on the PDF documentation)
-const causesMap = {
-  1: 'Lightning',
-  2: 'Equipment Use',
-  3: 'Smoking',
-  4: 'Campfire',
-  5: 'Debris',
-  6: 'Railroad',
-  7: 'Arson',
-  8: 'Playing with fire',
-  9: 'Miscellaneous',
-  10: 'Vehicle',
-  11: 'Powerline',
-  12: 'Firefighter Training',
-  13: 'Non-Firefighter Training',
-  14: 'Unknown/Unidentified',
-  15: 'Structure',
-  16: 'Aircraft',
-  17: 'Volcanic',
-  18: 'Escaped Prescribed Burn',
-  19: 'Illegal Alien Campfire'
-};
+// Files at or above this size are streamed instead of parsed in one go, and
+// their features are processed by a pool of worker threads
+const STREAMING_THRESHOLD = 500 * 1024 * 1024;
 
-// Ensure stats directory exists
-if (!fs.existsSync(STATS_DIR)) {
-  fs.mkdirSync(STATS_DIR, { recursive: true });
-  console.log('Created statistics directory:', STATS_DIR);
-}
+// Fire cause names by code, from data/cause-schemes.json
+const causesMap = getCauseNames();
+
+// Process one GeoJSON file, Shapefile (.shp) or zipped Shapefile (.zip) and
+// write <datasetId>-stats.json and the <datasetId>-fires.json index to outDir.
+// With more than one worker the file is read here and its features are processed
+// in worker threads. Resolves with the statistics object and the output paths.
+async function processFireFile(filePath, options = {}) {
+  const filename = path.basename(filePath);
+  const {
+    datasetId = path.basename(filePath, path.extname(filePath)),
+    outDir = STATS_DIR,
+    dryRun = false,
+    streaming, // true/false forces a code path; by default it is picked from the file size
+    areaTolerance, // relative difference from the perimeter area that gets reported
+    useComputedArea = false, // use the perimeter area when the reported acres are missing or zero
+    workers, // worker threads for the features; by default one per CPU for files that are streamed
+    profile, // field mapping profile name, .json path or object; by default the one listing datasetId
+    duplicates, // fire numbers to leave out, e.g. fires already counted in another dataset (see lib/dedup.js)
+    keepSnapshots, // snapshots of the dataset to keep (see lib/snapshots.js)
+    onProgress = logProgress // called with { file, processed, percent } while features are read
+  } = options;
 
-// Process each target file
-TARGET_FILES.forEach(filename => {
-  const filePath = path.join(DATA_DIR, filename);
-  
   if (!fs.existsSync(filePath)) {
-    console.error(`File not found: ${filePath}`);
-    return;
+    throw new Error(`File not found: ${filePath}`);
   }
-  
+
   console.log(`Processing ${filename}...`);
   const fileSize = fs.statSync(filePath).size;
   console.log(`File size: ${Math.round(fileSize / (1024 * 1024))} MB`);
+
+  const fieldProfile = typeof profile === 'object' ? profile : loadProfile(profile || findProfileName(datasetId));
+  console.log(`Field mapping profile: ${fieldProfile.name}`);
   
+  const startTime = Date.now();
+  const accumulatorOptions = { areaTolerance, useComputedArea };
+  const accumulators = createAccumulators(accumulatorOptions);
+
+  const workerCount = workers !== undefined
+    ? workers
+    : (fileSize >= STREAMING_THRESHOLD ? getDefaultWorkerCount() : 1);
+  const duplicateSet = duplicates ? new Set(duplicates) : undefined;
+  if (duplicateSet) {
+    console.log(`Leaving out ${duplicateSet.size} duplicate fires`);
+  }
+  
+  const sink = workerCount > 1
+    ? createFeaturePool({ workers: workerCount, accumulatorOptions, profile: fieldProfile, duplicates: duplicateSet })
+    : createFeatureSink(accumulators, { mapFields: createFieldMapper(fieldProfile), duplicates: duplicateSet });
+  if (workerCount > 1) {
+    console.log(`Processing features in ${workerCount} worker threads...`);
+  }
+
+  let featureCount;
   try {
-    // For files less than 500MB, process in one go
-    if (fileSize < 500 * 1024 * 1024) {
-      console.log('Processing file in a single operation...');
-      processGeoJSONFile(filePath, filename);
-    } else {
-      console.log('File is too large for direct processing. Using streaming approach...');
-      processLargeGeoJSONFile(filePath, filename);
-    }
+    featureCount = await readFireFeatures(filePath, sink, { streaming, onProgress });
   } catch (err) {
-    console.error(`Error processing ${filename}:`, err);
+    await sink.close();
+    throw err;
   }
-});
 
-function processGeoJSONFile(filePath, filename) {
-  const startTime = Date.now();
+  // Fold in the partial totals of each worker
+  (await sink.finish()).forEach(partial => mergeAccumulators(accumulators, partial));
+
+  const statistics = buildStatistics(accumulators, {
+    sourceFile: filename,
+    featureCount,
+    fieldProfile: fieldProfile.name
+  });
+
+  // Save the statistics to a JSON file, refusing to write anything that does not match the schema
+  validateOutput('fire-stats', statistics);
+  const outputFile = writeJSON(path.join(outDir, `${datasetId}-stats.json`), statistics, { dryRun });
+  const snapshotFile = saveSnapshot(outDir, datasetId, statistics, { dryRun, keep: keepSnapshots });
   
-  // Read and parse the GeoJSON file
-  const fileContent = fs.readFileSync(filePath, 'utf8');
-  const geoData = JSON.parse(fileContent);
+  // Save the per-fire index next to it
+  const fireIndex = buildFireIndex(accumulators, { datasetId, sourceFile: filename });
+  const fireIndexFile = writeJSON(path.join(outDir, `${datasetId}-fires.json`), fireIndex, { dryRun, compact: true });
   
-  if (!geoData.type === 'FeatureCollection' || !Array.isArray(geoData.features)) {
-    throw new Error('Invalid GeoJSON format: Expected a FeatureCollection with features array');
-  }
+  // ...and one point per fire, as GeoJSON and as NDJSON
+  const points = sortPoints(accumulators.points, datasetId);
+  const pointsMetadata = {
+    datasetId,
+    sourceFile: filename,
+    processedAt: statistics.metadata.processedAt,
+    pointCount: points.length
+  };
+  const pointsFile = writeJSON(path.join(outDir, `${datasetId}-points.geojson`),
+    toPointCollection(points, pointsMetadata), { dryRun, compact: true });
+  const pointLinesFile = writeText(path.join(outDir, `${datasetId}-points.ndjson`), toPointLines(points), { dryRun });
   
-  console.log(`Parsed GeoJSON with ${geoData.features.length} features`);
+  // ...and the list of fires whose reported acres disagree with their perimeter
+  const areaReport = buildAreaReport(accumulators.areaReconciliation, { datasetId, sourceFile: filename });
+  const areaReportFile = writeJSON(path.join(outDir, `${datasetId}-area-reconciliation.json`), areaReport, { dryRun });
   
-  // Initialize data structures for statistics
-  const yearlyStats = {};
-  const monthlyStatsByYear = {};
-  const causesStatsByYear = {}; // New structure for fire causes
+  // ...and the data quality report for this run
+  const qualityReport = {
+    ...buildQualityReport(accumulators.quality, { featureCount: statistics.metadata.featureCount }),
+    areaReconciliation: areaReport.summary,
+    metadata: {
+      datasetId,
+      sourceFile: filename,
+      processedAt: statistics.metadata.processedAt
+    }
+  };
+  const qualityReportFile = writeJSON(path.join(outDir, `${datasetId}-quality.json`), qualityReport, { dryRun });
+
+  const processingTime = (Date.now() - startTime) / 1000;
+  console.log(`Processed ${statistics.metadata.featureCount} features in ${processingTime.toFixed(2)} seconds`);
+  console.log(`Statistics saved to: ${outputFile} (snapshot: ${snapshotFile})`);
+  console.log(`Fire index saved to: ${fireIndexFile}`);
+  console.log(`Points for ${points.length} of ${fireIndex.fires.length} fires saved to: ${pointsFile} and ${pointLinesFile}`);
+  console.log(`Area reconciliation: ${areaReport.summary.discrepancies} of ${areaReport.summary.checked} perimeters differ from the reported acres by more than ${Math.round(areaReport.summary.tolerance * 100)}%`);
+  console.log(`Area reconciliation report saved to: ${areaReportFile}`);
+  console.log(`Dropped ${qualityReport.droppedFeatures} of ${qualityReport.featureCount} features`, qualityReport.droppedByReason);
+  console.log(`Quality report saved to: ${qualityReportFile}`);
+
+  return { statistics, outputFile, snapshotFile, fireIndexFile, pointsFile, pointLinesFile, areaReportFile, qualityReportFile };
+}
+
+// Running totals that processFeature() accumulates into
+function createAccumulators({ areaTolerance, useComputedArea } = {}) {
+  return {
+    yearlyStats: {},
+    monthlyStatsByYear: {},
+    weeklyStatsByWeekYear: {},
+    dayOfYearStatsByYear: {},
+    causesStatsByYear: {}, // New structure for fire causes
+    countyStatsByYear: {},
+    sizeClassStatsByYear: {},
+    durationStatsByYear: {},
+    agencyStatsByYear: {},
+    unitStatsByYear: {},
+    fires: [], // One compact record per fire, for <datasetId>-fires.json
+    points: [], // Ignition point or centroid per fire, for <datasetId>-points.geojson/.ndjson
+    areaReconciliation: createAreaReconciliation({ tolerance: areaTolerance, useComputedArea }),
+    quality: createQualityReport()
+  };
+}
+
+// Sink that runs processFeature() on this thread; createFeaturePool() in
+// lib/parallel.js is the worker thread equivalent
+function createFeatureSink(accumulators, featureOptions) {
+  return {
+    add(feature, featureNumber) {
+      processFeature(feature, accumulators, featureNumber, featureOptions);
+      return true;
+    },
+    drained: () => Promise.resolve(),
+    finish: () => Promise.resolve([]),
+    close: () => Promise.resolve()
+  };
+}
+
+// Add one worker's partial accumulators to `accumulators`. Every count is
+// summed; fires, area reconciliation and quality state are combined.
+function mergeAccumulators(accumulators, partial) {
+  const { fires, points, areaReconciliation, quality, ...counts } = partial;
   
-  // Process each feature
-  geoData.features.forEach((feature, index) => {
-    if (index % 10000 === 0) {
-      console.log(`Processed ${index} features...`);
+  Object.keys(counts).forEach(key => addCounts(accumulators[key], counts[key]));
+  fires.forEach(fire => accumulators.fires.push(fire));
+  points.forEach(point => accumulators.points.push(point));
+  mergeAreaReconciliation(accumulators.areaReconciliation, areaReconciliation);
+  mergeQualityReports(accumulators.quality, quality);
+  
+  return accumulators;
+}
+
+// Sum the numbers in `source` into `target`, copying labels such as county
+// names that target does not have yet
+function addCounts(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (typeof value === 'number') {
+      target[key] = (target[key] || 0) + value;
+    } else if (value && typeof value === 'object') {
+      if (!target[key]) {
+        target[key] = {};
+      }
+      addCounts(target[key], value);
+    } else if (!(key in target)) {
+      target[key] = value;
     }
-    
-    processFeature(feature, yearlyStats, monthlyStatsByYear, causesStatsByYear);
   });
-  
+}
+
+// Default progress output of processFireFile()
+function logProgress({ processed, percent }) {
+  if (percent === undefined) {
+    console.log(`Processed ${processed} features...`);
+  } else {
+    console.log(`Processed ${processed} features (${percent}% of file read)...`);
+  }
+}
+
+// Turn the running totals into the -stats.json structure. Both the single-pass
+// and the streaming path finish here, so they always produce the same output.
+function buildStatistics(accumulators, { sourceFile, featureCount, fieldProfile }) {
+  const {
+    yearlyStats,
+    monthlyStatsByYear,
+    causesStatsByYear,
+    countyStatsByYear,
+    sizeClassStatsByYear,
+    durationStatsByYear,
+    agencyStatsByYear,
+    unitStatsByYear,
+    weeklyStatsByWeekYear,
+    dayOfYearStatsByYear
+  } = accumulators;
+
   // Convert yearly stats to array format
   const yearlyData = Object.keys(yearlyStats)
     .sort()
@@ -101,10 +278,7 @@ function processGeoJSONFile(filePath, filename) {
     }));
   
   // Convert monthly stats to structured format
-  const months = [
-    'January', 'February', 'March', 'April', 'May', 'June',
-    'July', 'August', 'September', 'October', 'November', 'December'
-  ];
+  const months = MONTH_NAMES;
   
   const monthlyDataByYear = {};
   
@@ -119,6 +293,39 @@ function processGeoJSONFile(filePath, filename) {
     });
   });
   
+  // ISO weeks 1-52 (or 53), keyed by ISO week-year: the first days of January
+  // can belong to the last week of the previous year
+  const weeklyDataByYear = {};
+  
+  Object.keys(weeklyStatsByWeekYear).forEach(weekYear => {
+    const weeksInYear = getISOWeeksInYear(parseInt(weekYear));
+    weeklyDataByYear[weekYear] = Array.from({ length: weeksInYear }, (_, index) => {
+      const stats = weeklyStatsByWeekYear[weekYear][index + 1] || { fires: 0, acres: 0 };
+      return {
+        week: index + 1,
+        fires: stats.fires,
+        acres: Math.round(stats.acres * 100) / 100
+      };
+    });
+  });
+  
+  // Day-of-year totals as two arrays (index 0 is January 1st), which keeps
+  // 365 entries per year compact
+  const dayOfYearDataByYear = {};
+  
+  Object.keys(dayOfYearStatsByYear).forEach(year => {
+    const daysInYear = getDaysInYear(parseInt(year));
+    const fires = new Array(daysInYear).fill(0);
+    const acres = new Array(daysInYear).fill(0);
+    
+    Object.entries(dayOfYearStatsByYear[year]).forEach(([day, stats]) => {
+      fires[day - 1] = stats.fires;
+      acres[day - 1] = Math.round(stats.acres * 100) / 100;
+    });
+    
+    dayOfYearDataByYear[year] = { fires, acres };
+  });
+  
   // Convert causes stats to structured format
   const causesDataByYear = {};
   
@@ -161,6 +368,121 @@ function processGeoJSONFile(filePath, filename) {
     };
   });
   
+  // Per-cause totals of a county or agency, most fires first
+  const toCauseList = causes => Object.keys(causes)
+    .map(causeId => ({
+      causeId: parseInt(causeId),
+      causeName: causesMap[causeId] || `Unknown (${causeId})`,
+      fires: causes[causeId].fires,
+      acres: Math.round(causes[causeId].acres * 100) / 100
+    }))
+    .sort((a, b) => b.fires - a.fires);
+  
+  // Convert county stats to structured format, largest burned area first
+  const countyDataByYear = {};
+  
+  Object.keys(countyStatsByYear).forEach(year => {
+    countyDataByYear[year] = Object.values(countyStatsByYear[year])
+      .map(county => ({
+        fips: county.fips,
+        county: county.county,
+        fires: county.fires,
+        acres: Math.round(county.acres * 100) / 100,
+        causes: toCauseList(county.causes)
+      }))
+      .sort((a, b) => b.acres - a.acres);
+  });
+  
+  // Convert agency stats the same way
+  const agencyDataByYear = {};
+  
+  Object.keys(agencyStatsByYear).forEach(year => {
+    agencyDataByYear[year] = Object.keys(agencyStatsByYear[year])
+      .map(agency => ({
+        agency,
+        agencyName: getAgencyName(agency),
+        fires: agencyStatsByYear[year][agency].fires,
+        acres: Math.round(agencyStatsByYear[year][agency].acres * 100) / 100,
+        causes: toCauseList(agencyStatsByYear[year][agency].causes)
+      }))
+      .sort((a, b) => b.acres - a.acres);
+  });
+  
+  // Units are listed under the agency that reported most of their fires
+  const unitDataByYear = {};
+  
+  Object.keys(unitStatsByYear).forEach(year => {
+    unitDataByYear[year] = Object.keys(unitStatsByYear[year])
+      .map(unitId => {
+        const unit = unitStatsByYear[year][unitId];
+        const agency = Object.keys(unit.agencies)
+          .reduce((top, code) => (unit.agencies[code] > unit.agencies[top] ? code : top));
+        
+        return {
+          unitId,
+          agency,
+          fires: unit.fires,
+          acres: Math.round(unit.acres * 100) / 100
+        };
+      })
+      .sort((a, b) => b.acres - a.acres);
+  });
+  
+  // Convert size class stats, always listing every class (A-G) in order
+  const toSizeClassList = counts => SIZE_CLASSES.map(({ sizeClass }) => ({
+    sizeClass,
+    fires: counts[sizeClass] ? counts[sizeClass].fires : 0,
+    acres: counts[sizeClass] ? Math.round(counts[sizeClass].acres * 100) / 100 : 0
+  }));
+  
+  const sizeClassDataByYear = {};
+  
+  Object.keys(sizeClassStatsByYear).forEach(year => {
+    const stats = sizeClassStatsByYear[year];
+    const monthlyBreakdown = {};
+    const causeBreakdown = {};
+    
+    months.forEach(month => {
+      monthlyBreakdown[month] = toSizeClassList(stats.byMonth[month] || {});
+    });
+    
+    Object.keys(stats.byCause).forEach(causeId => {
+      causeBreakdown[causeId] = toSizeClassList(stats.byCause[causeId]);
+    });
+    
+    sizeClassDataByYear[year] = {
+      classes: toSizeClassList(stats.classes),
+      monthlyBreakdown,
+      causeBreakdown
+    };
+  });
+  
+  // Convert duration day counts into median/p90 summaries, keeping the counts
+  // themselves so merged files can recompute exact percentiles
+  const toDurationSummary = dayCounts => ({ ...summarizeDurations(dayCounts), dayCounts });
+  
+  const durationDataByYear = {};
+  
+  Object.keys(durationStatsByYear).forEach(year => {
+    const stats = durationStatsByYear[year];
+    const monthlyBreakdown = {};
+    const causeBreakdown = {};
+    
+    Object.keys(stats.byMonth).forEach(month => {
+      monthlyBreakdown[month] = toDurationSummary(stats.byMonth[month]);
+    });
+    
+    Object.keys(stats.byCause).forEach(causeId => {
+      causeBreakdown[causeId] = toDurationSummary(stats.byCause[causeId]);
+    });
+    
+    durationDataByYear[year] = {
+      ...toDurationSummary(stats.dayCounts),
+      monthlyBreakdown,
+      causeBreakdown
+    };
+  });
+  
   // Calculate summary statistics
   const totalFires = Object.values(yearlyStats).reduce((sum, stats) => sum + stats.fires, 0);
   const totalAcres = Object.values(yearlyStats).reduce((sum, stats) => sum + stats.acres, 0);
@@ -209,9 +531,18 @@ function processGeoJSONFile(filePath, filename) {
     yearlyData,
     years: Object.keys(yearlyStats).sort(),
     monthlyDataByYear,
+    weeklyDataByYear,
+    dayOfYearDataByYear,
     causesDataByYear,
+    countyDataByYear,
+    sizeClassDataByYear,
+    durationDataByYear,
+    agencyDataByYear,
+    unitDataByYear,
     topCauses,
     causeDefinitions: causesMap,
+    sizeClassDefinitions: SIZE_CLASSES,
+    agencyDefinitions: AGENCY_NAMES,
     summary: {
       totalFires,
       totalAcres,
@@ -219,278 +550,321 @@ function processGeoJSONFile(filePath, filename) {
       worstYearAcres: yearlyStats[worstYear]?.acres || 0
     },
     metadata: {
-      sourceFile: filename,
+      schemaVersion: SCHEMA_VERSIONS['fire-stats'],
+      sourceFile,
       processedAt: new Date().toISOString(),
-      featureCount: geoData.features.length
+      featureCount,
+      fieldProfile,
+      areaReconciliation: summarizeAreaReconciliation(accumulators.areaReconciliation),
+      quality: buildQualityReport(accumulators.quality, { featureCount, includeExamples: false })
     }
   };
   
-  // Save the statistics to a JSON file
-  const outputFilename = path.join(STATS_DIR, filename.replace('.geojson', '-stats.json'));
-  fs.writeFileSync(outputFilename, JSON.stringify(statistics, null, 2));
+  return statistics;
+}
+
+// The -fires.json index: every fire, largest first. Ids are the dataset plus the
+// fire's position in the source file, so they stay unique once supplements are
+// merged in and do not depend on how the file was split between workers.
+function buildFireIndex(accumulators, { datasetId, sourceFile }) {
+  const fires = accumulators.fires
+    .slice()
+    .sort((a, b) => b.acres - a.acres || a.fireNumber - b.fireNumber)
+    .map(({ fireNumber, ...fire }) => ({ id: `${datasetId}-${fireNumber}`, ...fire }));
   
-  const processingTime = (Date.now() - startTime) / 1000;
-  console.log(`Processed ${geoData.features.length} features in ${processingTime.toFixed(2)} seconds`);
-  console.log(`Statistics saved to: ${outputFilename}`);
+  return {
+    fires,
+    metadata: {
+      datasetId,
+      sourceFile,
+      processedAt: new Date().toISOString(),
+      fireCount: fires.length
+    }
+  };
 }
 
-function processLargeGeoJSONFile(filePath, filename) {
-  const startTime = Date.now();
-  console.log("Starting streaming process for large file...");
-  
-  // Initialize data structures for statistics
-  const yearlyStats = {};
-  const monthlyStatsByYear = {};
-  const causesStatsByYear = {}; // New structure for fire causes
-  
-  // Create a read stream for the file
-  const fileStream = fs.createReadStream(filePath, { encoding: 'utf8' });
-  
-  let buffer = '';
-  let featureCount = 0;
-  let inFeatures = false;
-  let openBraces = 0;
-  
-  fileStream.on('data', chunk => {
-    // Add chunk to buffer
-    buffer += chunk;
-    
-    // Process buffer for complete features
-    let featureStart = buffer.indexOf('"features":[');
-    if (featureStart !== -1 && !inFeatures) {
-      inFeatures = true;
-      buffer = buffer.slice(featureStart + 12); // Move past '"features":['
+// Read every feature of a .geojson, .shp or zipped Shapefile into sink with the
+// reader processFireFile() would pick, so feature numbers match the fire ids it
+// writes. Resolves with the number of features read.
+async function readFireFeatures(filePath, sink, { streaming, onProgress = logProgress } = {}) {
+  const filename = path.basename(filePath);
+  
+  // For files less than 500MB, process in one go
+  const useStreaming = streaming !== undefined ? streaming : fs.statSync(filePath).size >= STREAMING_THRESHOLD;
+  const report = progress => onProgress({ file: filename, ...progress });
+  
+  if (/\.(shp|zip)$/i.test(filename)) {
+    console.log('Reading Shapefile...');
+    return processShapefile(filePath, filename, sink, report);
+  }
+  if (!useStreaming) {
+    console.log('Processing file in a single operation...');
+    return processGeoJSONFile(filePath, filename, sink, report);
+  }
+  console.log('File is too large for direct processing. Using streaming approach...');
+  return processLargeGeoJSONFile(filePath, filename, sink, report);
+}
+
+// The readers below pass every feature to sink.add() with its 1-based position
+// in the file, wait on sink.drained() when it is full and resolve with the
+// number of features read.
+async function processGeoJSONFile(filePath, filename, sink, onProgress) {
+  // Read and parse the GeoJSON file
+  const fileContent = fs.readFileSync(filePath, 'utf8');
+  const geoData = JSON.parse(fileContent);
+  
+  if (geoData.type !== 'FeatureCollection' || !Array.isArray(geoData.features)) {
+    throw new Error('Invalid GeoJSON format: Expected a FeatureCollection with features array');
+  }
+  
+  const featureCount = geoData.features.length;
+  console.log(`Parsed GeoJSON with ${featureCount} features`);
+  
+  // Process each feature
+  for (let index = 0; index < featureCount; index++) {
+    if (index % 10000 === 0) {
+      onProgress({ processed: index, percent: ((index / featureCount) * 100).toFixed(1) });
     }
     
-    if (inFeatures) {
-      let pos = 0;
-      
-      while (pos < buffer.length) {
-        if (buffer[pos] === '{') {
-          openBraces++;
-        } else if (buffer[pos] === '}') {
-          openBraces--;
-          
-          // If we've completed a feature object
-          if (openBraces === 0) {
-            const featureStr = buffer.slice(0, pos + 1);
-            try {
-              const feature = JSON.parse(featureStr);
-              processFeature(feature, yearlyStats, monthlyStatsByYear, causesStatsByYear);
-              featureCount++;
-              
-              if (featureCount % 10000 === 0) {
-                console.log(`Processed ${featureCount} features...`);
-              }
-            } catch (err) {
-              // Skip malformed features
-              console.warn(`Skipping malformed feature at position ${pos}`);
-            }
-            
-            // Remove processed feature from buffer
-            buffer = buffer.slice(pos + 1);
-            pos = 0;
-            continue;
-          }
-        }
-        pos++;
-      }
+    if (!sink.add(geoData.features[index], index + 1)) {
+      await sink.drained();
     }
-  });
+  }
   
-  fileStream.on('end', () => {
-    // Convert yearly stats to array format
-    const yearlyData = Object.keys(yearlyStats)
-      .sort()
-      .map(year => ({
-        year,
-        fires: yearlyStats[year].fires,
-        acres: Math.round(yearlyStats[year].acres * 100) / 100
-      }));
-    
-    // Convert monthly stats to structured format
-    const months = [
-      'January', 'February', 'March', 'April', 'May', 'June',
-      'July', 'August', 'September', 'October', 'November', 'December'
-    ];
-    
-    const monthlyDataByYear = {};
-    
-    Object.keys(monthlyStatsByYear).forEach(year => {
-      monthlyDataByYear[year] = months.map(month => {
-        const stats = monthlyStatsByYear[year][month] || { fires: 0, acres: 0 };
-        return {
-          month,
-          fires: stats.fires,
-          acres: Math.round(stats.acres * 100) / 100
-        };
-      });
-    });
+  return featureCount;
+}
+
+// Stream features one at a time with a real JSON tokenizer, so memory stays
+// flat regardless of file size. Resolves once the whole file has been parsed.
+function processLargeGeoJSONFile(filePath, filename, sink, onProgress) {
+  return new Promise((resolve, reject) => {
+    console.log("Starting streaming process for large file...");
     
-    // Convert causes stats to structured format
-    const causesDataByYear = {};
-    
-    Object.keys(causesStatsByYear).forEach(year => {
-      // All causes for the year
-      const yearCauses = Object.keys(causesStatsByYear[year])
-        .filter(key => key !== 'byMonth') // Skip byMonth metadata
-        .map(causeId => ({
-          causeId: parseInt(causeId),
-          causeName: causesMap[causeId] || `Unknown (${causeId})`,
-          fires: causesStatsByYear[year][causeId].fires,
-          acres: Math.round(causesStatsByYear[year][causeId].acres * 100) / 100
-        }))
-        .sort((a, b) => b.fires - a.fires); // Sort by fire count in descending order
-      
-      // Monthly breakdown of causes
-      const monthlyBreakdown = {};
+    const fileSize = fs.statSync(filePath).size;
+    let featureCount = 0;
+    let settled = false;
+    let paused = false;
+    
+    const fileStream = fs.createReadStream(filePath);
+    const parser = JSONStream.parse('features.*');
+    
+    const fail = err => {
+      if (settled) return;
+      settled = true;
+      fileStream.destroy();
+      reject(err);
+    };
+    
+    parser.on('data', feature => {
+      featureCount++;
       
-      if (causesStatsByYear[year].byMonth) {
-        months.forEach(month => {
-          if (!causesStatsByYear[year].byMonth[month]) {
-            monthlyBreakdown[month] = [];
-            return;
-          }
-          
-          monthlyBreakdown[month] = Object.keys(causesStatsByYear[year].byMonth[month])
-            .map(causeId => ({
-              causeId: parseInt(causeId),
-              causeName: causesMap[causeId] || `Unknown (${causeId})`,
-              fires: causesStatsByYear[year].byMonth[month][causeId].fires,
-              acres: Math.round(causesStatsByYear[year].byMonth[month][causeId].acres * 100) / 100
-            }))
-            .sort((a, b) => b.fires - a.fires); // Sort by fire count in descending order
-        });
+      // Stop reading while the workers catch up
+      if (!sink.add(feature, featureCount) && !paused) {
+        paused = true;
+        fileStream.pause();
+        sink.drained().then(() => {
+          paused = false;
+          fileStream.resume();
+        }, fail);
       }
       
-      causesDataByYear[year] = {
-        causes: yearCauses,
-        monthlyBreakdown
-      };
+      if (featureCount % 10000 === 0) {
+        const percent = ((fileStream.bytesRead / fileSize) * 100).toFixed(1);
+        onProgress({ processed: featureCount, percent });
+      }
     });
     
-    // Calculate summary statistics
-    const totalFires = Object.values(yearlyStats).reduce((sum, stats) => sum + stats.fires, 0);
-    const totalAcres = Object.values(yearlyStats).reduce((sum, stats) => sum + stats.acres, 0);
-    
-    // Find worst fire year
-    let worstYear = null;
-    let maxAcres = 0;
+    // Everything before the features array, e.g. { type: 'FeatureCollection' }
+    parser.on('header', header => {
+      if (header.type !== 'FeatureCollection') {
+        fail(new Error('Invalid GeoJSON format: Expected a FeatureCollection with features array'));
+      }
+    });
     
-    Object.entries(yearlyStats).forEach(([year, stats]) => {
-      if (stats.acres > maxAcres) {
-        maxAcres = stats.acres;
-        worstYear = year;
+    parser.on('end', () => {
+      if (settled) return;
+      
+      // JSONStream only clears `root` once the top-level value has closed,
+      // so anything else means the file was truncated
+      if (parser.root !== null) {
+        fail(new Error(`Invalid GeoJSON in ${filename}: unexpected end of file`));
+        return;
       }
+      
+      settled = true;
+      console.log(`Streamed ${featureCount} features`);
+      resolve(featureCount);
     });
     
-    // Analyze top causes overall
-    const causesCounts = {};
-    const causesAcres = {};
+    parser.on('error', err => {
+      fail(new Error(`Invalid GeoJSON in ${filename}: ${err.message}`));
+    });
     
-    Object.values(causesStatsByYear).forEach(yearData => {
-      Object.entries(yearData).forEach(([causeId, data]) => {
-        if (causeId === 'byMonth') return; // Skip byMonth metadata
-        
-        if (!causesCounts[causeId]) {
-          causesCounts[causeId] = 0;
-          causesAcres[causeId] = 0;
-        }
-        
-        causesCounts[causeId] += data.fires;
-        causesAcres[causeId] += data.acres;
-      });
+    fileStream.on('error', err => {
+      console.error('Error reading file:', err);
+      fail(err);
     });
     
-    const topCauses = Object.keys(causesCounts)
-      .map(causeId => ({
-        causeId: parseInt(causeId),
-        causeName: causesMap[causeId] || `Unknown (${causeId})`,
-        fires: causesCounts[causeId],
-        acres: Math.round(causesAcres[causeId] * 100) / 100,
-        percentage: Math.round((causesCounts[causeId] / totalFires) * 1000) / 10
-      }))
-      .sort((a, b) => b.fires - a.fires);
-    
-    // Create the final statistics object
-    const statistics = {
-      yearlyData,
-      years: Object.keys(yearlyStats).sort(),
-      monthlyDataByYear,
-      causesDataByYear,
-      topCauses,
-      causeDefinitions: causesMap,
-      summary: {
-        totalFires,
-        totalAcres,
-        worstYear,
-        worstYearAcres: yearlyStats[worstYear]?.acres || 0
-      },
-      metadata: {
-        sourceFile: filename,
-        processedAt: new Date().toISOString(),
-        featureCount: featureCount
-      }
-    };
+    fileStream.pipe(parser);
+  });
+}
+
+// Shapefiles are read record by record, so they never need the whole file in memory
+async function processShapefile(filePath, filename, sink, onProgress) {
+  let processed = 0;
+  
+  const featureCount = await readShapefileFeatures(filePath, async feature => {
+    processed++;
     
-    // Save the statistics to a JSON file
-    const outputFilename = path.join(STATS_DIR, filename.replace('.geojson', '-stats.json'));
-    fs.writeFileSync(outputFilename, JSON.stringify(statistics, null, 2));
+    if (!sink.add(feature, processed)) {
+      await sink.drained();
+    }
     
-    const processingTime = (Date.now() - startTime) / 1000;
-    console.log(`Processed ${featureCount} features in ${processingTime.toFixed(2)} seconds`);
-    console.log(`Statistics saved to: ${outputFilename}`);
+    if (processed % 10000 === 0) {
+      onProgress({ processed });
+    }
   });
   
-  fileStream.on('error', err => {
-    console.error('Error reading file:', err);
-  });
+  console.log(`Read ${featureCount} Shapefile records`);
+  
+  return featureCount;
 }
 
-function processFeature(feature, yearlyStats, monthlyStatsByYear, causesStatsByYear) {
-  if (!feature.properties) return;
+// Mapper for the default profile, loaded on first use
+let defaultFieldMapper;
+function getDefaultFieldMapper() {
+  if (!defaultFieldMapper) {
+    defaultFieldMapper = createFieldMapper(loadProfile(DEFAULT_PROFILE));
+  }
+  return defaultFieldMapper;
+}
+
+// County lookups are built on first use so that requiring this module stays cheap
+let countyLocator;
+function locateCounty(feature) {
+  if (!countyLocator) {
+    countyLocator = createCountyLocator();
+  }
+  return countyLocator.locate(feature);
+}
+
+// Trimmed string attribute, or null when it is missing or blank
+function cleanText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+// YYYY-MM-DD (UTC) for a parseable date, otherwise null
+function toDateOnly(value) {
+  const date = parseFireDate(value);
+  return date ? toISODate(date) : null;
+}
+
+// Count one fire and its acres under group[key]
+function addFire(group, key, acres) {
+  if (!group[key]) {
+    group[key] = {
+      fires: 0,
+      acres: 0
+    };
+  }
   
-  // Extract year from properties - accommodate both old and new formats
-  let year;
-  let dateString;
-  let cause = feature.properties.CAUSE;
-  
-  // Try different date fields in order of preference
-  if (feature.properties.FireDiscov) {
-    dateString = feature.properties.FireDiscov;
-  } else if (feature.properties.ALARM_DATE) {
-    dateString = feature.properties.ALARM_DATE;
-  } else if (feature.properties.YEAR_ !== undefined) {
-    year = parseInt(feature.properties.YEAR_);
-  }
-  
-  // Parse year from date string if available
-  if (dateString && !year) {
-    const date = new Date(dateString);
-    if (!isNaN(date.getTime())) {
-      year = date.getFullYear();
-    }
+  group[key].fires++;
+  group[key].acres += acres;
+}
+
+// Add one feature to the running totals. featureNumber is its 1-based position
+// in the source file and becomes the fire's id. mapFields comes from
+// createFieldMapper() and defaults to the FRAP profile; features whose number
+// is in `duplicates` are dropped.
+function processFeature(feature, accumulators, featureNumber, { mapFields = getDefaultFieldMapper(), duplicates } = {}) {
+  const {
+    yearlyStats,
+    monthlyStatsByYear,
+    causesStatsByYear,
+    countyStatsByYear,
+    sizeClassStatsByYear,
+    durationStatsByYear,
+    agencyStatsByYear,
+    unitStatsByYear,
+    weeklyStatsByWeekYear,
+    dayOfYearStatsByYear,
+    fires,
+    points,
+    areaReconciliation,
+    quality
+  } = accumulators;
+  
+  if (duplicates && duplicates.has(featureNumber)) {
+    recordDropped(quality, 'duplicate');
+    return;
   }
   
-  if (!year || isNaN(year)) return; // Skip features without valid year data
+  if (!feature || typeof feature !== 'object') {
+    recordDropped(quality, 'malformedFeature');
+    return;
+  }
   
-  // Extract month if date is available
-  let month;
-  if (dateString) {
-    const date = new Date(dateString);
-    if (!isNaN(date.getTime())) {
-      month = date.toLocaleString('default', { month: 'long' });
+  if (!feature.properties) {
+    recordDropped(quality, 'missingProperties');
+    return;
+  }
+  
+  // Read the fields through the dataset's mapping profile, e.g. FireDiscov or
+  // ALARM_DATE for the alarm date and YEAR_ when there is no date
+  const record = mapFields(feature.properties);
+  const cause = record.cause;
+  let year;
+  let alarmDate = null;
+  
+  // Parse year from the date if available (UTC, ISO strings or epoch milliseconds)
+  if (record.alarmDate) {
+    alarmDate = parseFireDate(record.alarmDate.value);
+    if (alarmDate) {
+      year = alarmDate.getUTCFullYear();
     }
+  } else if (record.year) {
+    year = parseInt(record.year.value);
   }
   
-  // Extract acres - accommodate both old and new formats
-  let acres = 0;
-  if (feature.properties.area_acres !== undefined && !isNaN(feature.properties.area_acres)) {
-    acres = feature.properties.area_acres;
-  } else if (feature.properties.GIS_ACRES !== undefined && !isNaN(feature.properties.GIS_ACRES)) {
-    acres = feature.properties.GIS_ACRES;
+  // Skip features without valid year data, noting why
+  if (!year || isNaN(year)) {
+    if (record.alarmDate) {
+      recordInvalidDate(quality, record.alarmDate.field, record.alarmDate.value);
+      recordDropped(quality, 'invalidDate');
+    } else if (record.year) {
+      recordInvalidDate(quality, record.year.field, record.year.value);
+      recordDropped(quality, 'invalidYear');
+    } else {
+      recordDropped(quality, 'missingDate');
+    }
+    return;
   }
   
+  recordCause(quality, cause, causesMap);
+  recordIds(quality, record, year);
+  
+  // Extract month, ISO week and day of year if the date is available
+  const dateParts = alarmDate ? getDateParts(alarmDate) : null;
+  const month = dateParts ? dateParts.month : undefined;
+  
+  // Acres, already converted from the source's unit by the profile
+  let acres = record.acres !== undefined ? record.acres : 0;
+  recordAcres(quality, record.acres);
+  
+  // Check the reported acres against the perimeter, filling them in when enabled
+  acres = reconcileAcres(areaReconciliation, {
+    reportedAcres: acres,
+    computedAcres: computeAcres(feature),
+    fire: {
+      fireNumber: featureNumber,
+      name: cleanText(record.name),
+      year,
+      incidentNumber: cleanText(record.incidentNumber)
+    }
+  });
+  
   // Update yearly statistics
   if (!yearlyStats[year]) {
     yearlyStats[year] = {
@@ -501,6 +875,182 @@ function processFeature(feature, yearlyStats, monthlyStatsByYear, causesStatsByY
   yearlyStats[year].fires++;
   yearlyStats[year].acres += acres;
   
+  // Update county statistics - the whole fire goes to the county containing its perimeter
+  const county = locateCounty(feature);
+  const countyKey = county.fips || 'unassigned';
+  
+  if (!countyStatsByYear[year]) {
+    countyStatsByYear[year] = {};
+  }
+  
+  if (!countyStatsByYear[year][countyKey]) {
+    countyStatsByYear[year][countyKey] = {
+      fips: county.fips,
+      county: county.name,
+      fires: 0,
+      acres: 0,
+      causes: {}
+    };
+  }
+  
+  const countyStats = countyStatsByYear[year][countyKey];
+  countyStats.fires++;
+  countyStats.acres += acres;
+  
+  if (cause !== undefined && !isNaN(cause)) {
+    if (!countyStats.causes[cause]) {
+      countyStats.causes[cause] = {
+        fires: 0,
+        acres: 0
+      };
+    }
+    
+    countyStats.causes[cause].fires++;
+    countyStats.causes[cause].acres += acres;
+  }
+  
+  // Update agency and administrative unit statistics
+  const agency = normalizeAgencyCode(record.agency);
+  const unitId = normalizeAgencyCode(record.unitId);
+  
+  if (!agencyStatsByYear[year]) {
+    agencyStatsByYear[year] = {};
+  }
+  
+  if (!agencyStatsByYear[year][agency]) {
+    agencyStatsByYear[year][agency] = {
+      fires: 0,
+      acres: 0,
+      causes: {}
+    };
+  }
+  
+  const agencyStats = agencyStatsByYear[year][agency];
+  agencyStats.fires++;
+  agencyStats.acres += acres;
+  
+  if (cause !== undefined && !isNaN(cause)) {
+    addFire(agencyStats.causes, cause, acres);
+  }
+  
+  if (!unitStatsByYear[year]) {
+    unitStatsByYear[year] = {};
+  }
+  
+  if (!unitStatsByYear[year][unitId]) {
+    unitStatsByYear[year][unitId] = {
+      fires: 0,
+      acres: 0,
+      agencies: {}
+    };
+  }
+  
+  const unitStats = unitStatsByYear[year][unitId];
+  unitStats.fires++;
+  unitStats.acres += acres;
+  unitStats.agencies[agency] = (unitStats.agencies[agency] || 0) + 1;
+  
+  // Update NWCG size class statistics for the year, month and cause
+  const sizeClass = getSizeClass(acres);
+  
+  if (!sizeClassStatsByYear[year]) {
+    sizeClassStatsByYear[year] = {
+      classes: {},
+      byMonth: {},
+      byCause: {}
+    };
+  }
+  
+  const sizeClassStats = sizeClassStatsByYear[year];
+  addFire(sizeClassStats.classes, sizeClass, acres);
+  
+  if (month) {
+    if (!sizeClassStats.byMonth[month]) {
+      sizeClassStats.byMonth[month] = {};
+    }
+    addFire(sizeClassStats.byMonth[month], sizeClass, acres);
+  }
+  
+  if (cause !== undefined && !isNaN(cause)) {
+    if (!sizeClassStats.byCause[cause]) {
+      sizeClassStats.byCause[cause] = {};
+    }
+    addFire(sizeClassStats.byCause[cause], sizeClass, acres);
+  }
+  
+  // Update duration statistics when the fire has a usable containment date
+  const containment = record.containmentDate;
+  const durationDays = getDurationDays(alarmDate, containment ? containment.value : undefined);
+  
+  if (containment) {
+    const containmentDate = parseFireDate(containment.value);
+    if (!containmentDate) {
+      recordInvalidDate(quality, containment.field, containment.value);
+    } else if (alarmDate && containmentDate < alarmDate) {
+      recordContainmentBeforeAlarm(quality);
+    }
+  }
+  
+  if (durationDays !== null) {
+    if (!durationStatsByYear[year]) {
+      durationStatsByYear[year] = {
+        dayCounts: {},
+        byMonth: {},
+        byCause: {}
+      };
+    }
+    
+    const durationStats = durationStatsByYear[year];
+    addDuration(durationStats.dayCounts, durationDays);
+    
+    if (month) {
+      if (!durationStats.byMonth[month]) {
+        durationStats.byMonth[month] = {};
+      }
+      addDuration(durationStats.byMonth[month], durationDays);
+    }
+    
+    if (cause !== undefined && !isNaN(cause)) {
+      if (!durationStats.byCause[cause]) {
+        durationStats.byCause[cause] = {};
+      }
+      addDuration(durationStats.byCause[cause], durationDays);
+    }
+  }
+  
+  // Keep the fire's identity for the per-fire index
+  fires.push({
+    fireNumber: featureNumber,
+    name: cleanText(record.name),
+    year,
+    alarmDate: alarmDate ? toISODate(alarmDate) : null,
+    containmentDate: containment ? toDateOnly(containment.value) : null,
+    durationDays,
+    acres: Math.round(acres * 100) / 100,
+    sizeClass,
+    cause: cause !== undefined && !isNaN(cause) ? parseInt(cause) : null,
+    agency: cleanText(record.agency),
+    unitId: cleanText(record.unitId),
+    incidentNumber: cleanText(record.incidentNumber),
+    county: county.fips
+  });
+  
+  // ...and its point for the map layers
+  const point = getFirePoint(feature, record);
+  if (point) {
+    points.push({
+      fireNumber: featureNumber,
+      lon: point.coordinates[0],
+      lat: point.coordinates[1],
+      point: point.type,
+      year,
+      month: alarmDate ? alarmDate.getUTCMonth() + 1 : null,
+      cause: cause !== undefined && !isNaN(cause) ? parseInt(cause) : null,
+      acres: Math.round(acres * 100) / 100,
+      name: cleanText(record.name)
+    });
+  }
+  
   // Update monthly statistics
   if (month) {
     if (!monthlyStatsByYear[year]) {
@@ -518,6 +1068,19 @@ function processFeature(feature, yearlyStats, monthlyStatsByYear, causesStatsByY
     monthlyStatsByYear[year][month].acres += acres;
   }
   
+  // Update ISO week and day-of-year statistics
+  if (dateParts) {
+    if (!weeklyStatsByWeekYear[dateParts.weekYear]) {
+      weeklyStatsByWeekYear[dateParts.weekYear] = {};
+    }
+    addFire(weeklyStatsByWeekYear[dateParts.weekYear], dateParts.week, acres);
+    
+    if (!dayOfYearStatsByYear[year]) {
+      dayOfYearStatsByYear[year] = {};
+    }
+    addFire(dayOfYearStatsByYear[year], dateParts.dayOfYear, acres);
+  }
+  
   // Update cause statistics if available
   if (cause !== undefined && !isNaN(cause)) {
     if (!causesStatsByYear[year]) {
@@ -557,4 +1120,31 @@ function processFeature(feature, yearlyStats, monthlyStatsByYear, causesStatsByY
   }
 }
 
-console.log('All processing jobs completed.');
\ No newline at end of file
+// Process the default target files when run directly, each in its own worker thread
+async function main() {
+  const progress = createProgressReporter();
+
+  await runWithConcurrency(TARGET_FILES, getDefaultWorkerCount(), async filename => {
+    try {
+      await processFileInWorker(path.join(DATA_DIR, filename), { workers: 1 }, progress);
+    } catch (err) {
+      console.error(`Error processing ${filename}:`, err);
+    }
+  });
+
+  progress.stop();
+  console.log('All processing jobs completed.');
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  processFireFile,
+  processFeature,
+  readFireFeatures,
+  createAccumulators,
+  mergeAccumulators,
+  causesMap
+};
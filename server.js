@@ -3,6 +3,30 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
+const { DURATION_BINS, mergeDayCounts, summarizeDurations, toDurationHistogram } = require('./lib/duration');
+const { normalizeAgencyCode, getAgencyName } = require('./lib/agencies');
+const { SchemaValidationError, readValidatedJSON } = require('./lib/schemas');
+const { toPointCollection, toPointLines, inBBox } = require('./lib/points');
+const { DETAIL_LEVELS, DEFAULT_DETAIL, getPerimeterFile } = require('./lib/perimeters');
+const {
+  getDefaultCauseScheme,
+  getCauseScheme,
+  listCauseSchemes,
+  getCategoryNames,
+  regroupCauseList,
+  regroupCauseBreakdown
+} = require('./lib/causes');
+const {
+  DEFAULT_OVERLAP_POLICY,
+  mergeStatistics,
+  tagSources,
+  mergeSizeClassLists,
+  mergeWeeklyLists,
+  mergeDayOfYear,
+  mergeDurationSummaries
+} = require('./lib/merge-stats');
+const { DATASETS_FILE, readDatasetRegistry, getDataset, listDatasets, getSupplementIds, describeSources } = require('./lib/datasets');
+const { listSnapshots, readSnapshot, diffSnapshots } = require('./lib/snapshots');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
@@ -12,6 +36,11 @@ const STATS_DIR = path.join(__dirname, 'processed_stats');
 
 const CLIENT_BUILD_DIR = path.join(__dirname, 'client/build');
 
+// California counties, used to resolve the `county` filter to a FIPS code
+const CA_COUNTIES = JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'data', 'ca-counties.geojson'), 'utf8')
+).features.map(feature => feature.properties);
+
 // Debugging information
 console.log('==== Server Configuration ====');
 console.log('Current directory:', __dirname);
@@ -43,209 +72,373 @@ app.use(express.urlencoded({ extended: true, limit: '2gb' }));
 
 app.use(express.static(CLIENT_BUILD_DIR));
 
-// Function to merge statistics from multiple files
-const mergeStatistics = async (statsData, newStatsData) => {
-  // Merge yearly data
-  const combinedYearlyData = [...statsData.yearlyData];
-  
-  // Add any new years from the new data
-  newStatsData.yearlyData.forEach(newYearData => {
-    const existingYearIndex = combinedYearlyData.findIndex(year => year.year === newYearData.year);
-    if (existingYearIndex === -1) {
-      // Year doesn't exist in original data, add it
-      combinedYearlyData.push(newYearData);
-    } else {
-      // Year exists, update with combined statistics
-      combinedYearlyData[existingYearIndex].fires += newYearData.fires;
-      combinedYearlyData[existingYearIndex].acres += newYearData.acres;
-    }
-  });
+// Month names as the preprocessor writes them, in calendar order
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Response body when a dataset has not been preprocessed yet
+const STATS_NOT_FOUND = {
+  error: 'Statistics file not found',
+  message: 'The pre-processed statistics for this dataset are not available. Run the preprocessor first.'
+};
+
+// <supplementId><suffix> for each supplement of the dataset that has that file.
+// The registry lists a registered dataset's supplements (see lib/datasets.js).
+const findSupplementFiles = (datasetId, suffix) =>
+  getSupplementIds(STATS_DIR, datasetId)
+    .map(id => path.join(STATS_DIR, `${id}${suffix}`))
+    .filter(file => fs.existsSync(file));
+
+// Merged statistics per dataset id, as { key, stats }. The key lists the
+// modification times of the files they were read from, see getStatsCacheKey.
+const combinedStatsCache = new Map();
+
+// Each file with its modification time. The registry is included because it
+// lists the supplements and names the sources in `provenance`.
+const getStatsCacheKey = (files) => files
+  .map(file => `${file}@${fs.existsSync(file) ? fs.statSync(file).mtimeMs : 'missing'}`)
+  .join('|');
+
+// Read <datasetId>-stats.json and merge in any supplementary statistics files
+// (e.g., for 2024-2025 data). Resolves with null when the dataset has no stats file.
+// Yearly, monthly, cause and group records list the datasets behind them in
+// `sources`, and `provenance` names those datasets. The result is cached until
+// one of the files changes, so callers must not modify it.
+const loadCombinedStats = async (datasetId) => {
+  const statsFilePath = path.join(STATS_DIR, `${datasetId}-stats.json`);
+  
+  // Check if pre-processed stats exist
+  if (!fs.existsSync(statsFilePath)) {
+    console.error(`Statistics file not found: ${statsFilePath}`);
+    combinedStatsCache.delete(datasetId);
+    return null;
+  }
+  
+  const supplementFiles = findSupplementFiles(datasetId, '-stats.json');
+  const cacheKey = getStatsCacheKey([path.join(STATS_DIR, DATASETS_FILE), statsFilePath, ...supplementFiles]);
+  const cached = combinedStatsCache.get(datasetId);
+  
+  if (cached && cached.key === cacheKey) {
+    return cached.stats;
+  }
   
-  // Sort by year
-  combinedYearlyData.sort((a, b) => parseInt(a.year) - parseInt(b.year));
-  
-  // Merge years array
-  const combinedYears = Array.from(
-    new Set([...statsData.years, ...newStatsData.years])
-  ).sort();
-  
-  // Merge monthly data by year
-  const combinedMonthlyData = { ...statsData.monthlyDataByYear };
-  
-  Object.entries(newStatsData.monthlyDataByYear).forEach(([year, monthlyData]) => {
-    if (!combinedMonthlyData[year]) {
-      // Year doesn't exist in original data, add all months
-      combinedMonthlyData[year] = monthlyData;
-    } else {
-      // Year exists, combine monthly data
-      monthlyData.forEach((newMonthData, index) => {
-        combinedMonthlyData[year][index].fires += newMonthData.fires;
-        combinedMonthlyData[year][index].acres += newMonthData.acres;
+  // Both the stats and the supplements are checked against their JSON Schema, so
+  // a file in an unexpected shape fails here instead of rendering empty charts
+  let combinedStats = tagSources(readValidatedJSON(statsFilePath, 'fire-stats'), datasetId);
+  
+  // If we have supplement files, merge them with the main statistics
+  if (supplementFiles.length > 0) {
+    console.log(`Found ${supplementFiles.length} supplementary statistics files`);
+    
+    for (const supplementPath of supplementFiles) {
+      const supplementId = path.basename(supplementPath, '-stats.json');
+      const supplementData = tagSources(readValidatedJSON(supplementPath, 'fire-supplement'), supplementId);
+      
+      // Merge the supplement data with our combined stats. Years both files cover
+      // are combined by the overlap policy the supplement was built with.
+      combinedStats = mergeStatistics(combinedStats, supplementData, {
+        overlap: supplementData.metadata?.overlapPolicy || DEFAULT_OVERLAP_POLICY
       });
     }
-  });
+  }
   
-  // Merge causes data by year
-  const combinedCausesData = { ...(statsData.causesDataByYear || {}) };
-  
-  if (newStatsData.causesDataByYear) {
-    Object.entries(newStatsData.causesDataByYear).forEach(([year, causesData]) => {
-      if (!combinedCausesData[year]) {
-        // Year doesn't exist in original data, add all causes data
-        combinedCausesData[year] = causesData;
-      } else {
-        // Year exists, combine causes data
-        // Merge causes array
-        const existingCauses = combinedCausesData[year].causes || [];
-        const newCauses = causesData.causes || [];
-        
-        // Create a map of existing causes for easy access
-        const causesMap = new Map();
-        existingCauses.forEach(cause => {
-          causesMap.set(cause.causeId, cause);
-        });
-        
-        // Add or update causes
-        newCauses.forEach(newCause => {
-          if (causesMap.has(newCause.causeId)) {
-            // Update existing cause
-            const existingCause = causesMap.get(newCause.causeId);
-            existingCause.fires += newCause.fires;
-            existingCause.acres += newCause.acres;
-          } else {
-            // Add new cause
-            existingCauses.push(newCause);
-          }
-        });
-        
-        // Sort by fires in descending order
-        existingCauses.sort((a, b) => b.fires - a.fires);
-        
-        // Update the causes array
-        combinedCausesData[year].causes = existingCauses;
-        
-        // Merge monthly breakdown
-        if (!combinedCausesData[year].monthlyBreakdown) {
-          combinedCausesData[year].monthlyBreakdown = causesData.monthlyBreakdown || {};
-        } else if (causesData.monthlyBreakdown) {
-          Object.entries(causesData.monthlyBreakdown).forEach(([month, causes]) => {
-            if (!combinedCausesData[year].monthlyBreakdown[month]) {
-              // Month doesn't exist, add all causes
-              combinedCausesData[year].monthlyBreakdown[month] = causes;
-            } else {
-              // Month exists, merge causes
-              const existingMonthCauses = combinedCausesData[year].monthlyBreakdown[month];
-              const monthCausesMap = new Map();
-              
-              existingMonthCauses.forEach(cause => {
-                monthCausesMap.set(cause.causeId, cause);
-              });
-              
-              causes.forEach(newCause => {
-                if (monthCausesMap.has(newCause.causeId)) {
-                  // Update existing cause
-                  const existingCause = monthCausesMap.get(newCause.causeId);
-                  existingCause.fires += newCause.fires;
-                  existingCause.acres += newCause.acres;
-                } else {
-                  // Add new cause
-                  existingMonthCauses.push(newCause);
-                }
-              });
-              
-              // Sort by fires in descending order
-              existingMonthCauses.sort((a, b) => b.fires - a.fires);
-            }
-          });
-        }
-      }
-    });
+  const sourceIds = [datasetId, ...supplementFiles.map(file => path.basename(file, '-stats.json'))];
+  const stats = { ...combinedStats, provenance: describeSources(readDatasetRegistry(STATS_DIR), sourceIds) };
+  
+  combinedStatsCache.set(datasetId, { key: cacheKey, stats });
+  return stats;
+};
+
+// 500 response body for a file that could not be read. Files that do not match
+// their schema list the offending fields.
+const readErrorBody = (error, err) => {
+  if (err instanceof SchemaValidationError) {
+    return {
+      error: 'Invalid statistics file',
+      message: err.message,
+      schema: `${err.type} version ${err.version}`,
+      problems: err.problems
+    };
   }
   
-  // Combine top causes across all data
-  const combinedTopCauses = [];
-  const causeMap = new Map();
+  return { error, message: err.message };
+};
+
+// { year: [datasetId] }: which of the dataset and its supplements the fires of
+// each year come from, read from the `sources` of the merged yearly records. A
+// year both files have comes from both under `sum` and from one of them under the
+// other overlap policies, so per-fire, point and perimeter records agree with the
+// statistics. Resolves with null when the dataset has no stats file.
+const loadYearSources = async (datasetId) => {
+  const combinedStats = await loadCombinedStats(datasetId);
+  if (!combinedStats) {
+    return null;
+  }
   
-  // Add existing top causes to the map
-  if (statsData.topCauses) {
-    statsData.topCauses.forEach(cause => {
-      causeMap.set(cause.causeId, cause);
-    });
+  return Object.fromEntries(combinedStats.yearlyData.map(entry => [String(entry.year), entry.sources]));
+};
+
+// Whether the record of a fire in `year` from `sourceId` counts, by loadYearSources.
+// Records of years without statistics are kept.
+const isFromYearSource = (yearSources, sourceId, year) => {
+  const sources = yearSources && yearSources[year];
+  return !sources || sources.includes(sourceId);
+};
+
+// Read <datasetId>-fires.json plus any supplementary fire indexes into one list,
+// keeping each year's fires from the files its statistics come from.
+// Resolves with null when the dataset has no fire index.
+const loadFireIndex = async (datasetId) => {
+  const indexFilePath = path.join(STATS_DIR, `${datasetId}-fires.json`);
+  
+  if (!fs.existsSync(indexFilePath)) {
+    console.error(`Fire index not found: ${indexFilePath}`);
+    return null;
   }
   
-  // Add or update with new top causes
-  if (newStatsData.topCauses) {
-    newStatsData.topCauses.forEach(newCause => {
-      if (causeMap.has(newCause.causeId)) {
-        // Update existing cause
-        const existingCause = causeMap.get(newCause.causeId);
-        existingCause.fires += newCause.fires;
-        existingCause.acres += newCause.acres;
-      } else {
-        // Add new cause
-        causeMap.set(newCause.causeId, { ...newCause });
-      }
-    });
+  const yearSources = await loadYearSources(datasetId);
+  const supplementFiles = findSupplementFiles(datasetId, '-fires.json');
+  
+  return [[datasetId, indexFilePath], ...supplementFiles.map(file => [path.basename(file, '-fires.json'), file])]
+    .flatMap(([sourceId, file]) => JSON.parse(fs.readFileSync(file, 'utf8')).fires
+      .filter(fire => isFromYearSource(yearSources, sourceId, fire.year)));
+};
+
+// Read <datasetId>-points.ndjson plus any supplementary point files into one
+// list, keeping each year's points from the files its statistics come from.
+// Resolves with null when the dataset has no points file.
+const loadFirePoints = async (datasetId) => {
+  const pointsFilePath = path.join(STATS_DIR, `${datasetId}-points.ndjson`);
+  
+  if (!fs.existsSync(pointsFilePath)) {
+    console.error(`Fire points not found: ${pointsFilePath}`);
+    return null;
   }
   
-  // Convert map back to array
-  causeMap.forEach(cause => {
-    combinedTopCauses.push(cause);
-  });
+  const yearSources = await loadYearSources(datasetId);
+  const supplementFiles = findSupplementFiles(datasetId, '-points.ndjson');
   
-  // Sort by fires in descending order
-  combinedTopCauses.sort((a, b) => b.fires - a.fires);
+  return [[datasetId, pointsFilePath], ...supplementFiles.map(file => [path.basename(file, '-points.ndjson'), file])]
+    .flatMap(([sourceId, file]) => fs.readFileSync(file, 'utf8').split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => JSON.parse(line))
+      .filter(point => isFromYearSource(yearSources, sourceId, point.year)));
+};
+
+// perimeters/<datasetId>/<year>-<detail>.json, or the same file from one of the
+// dataset's supplements, from a file the year's statistics come from. Returns
+// null when no perimeters were processed for the year.
+const findPerimeterFile = async (datasetId, year, detail) => {
+  const yearSources = await loadYearSources(datasetId);
   
-  // Recalculate percentages
-  const totalFiresTopCauses = combinedTopCauses.reduce((sum, cause) => sum + cause.fires, 0);
-  combinedTopCauses.forEach(cause => {
-    cause.percentage = Math.round((cause.fires / totalFiresTopCauses) * 1000) / 10;
-  });
+  const filePath = [datasetId, ...getSupplementIds(STATS_DIR, datasetId)]
+    .filter(sourceId => isFromYearSource(yearSources, sourceId, year))
+    .map(sourceId => getPerimeterFile(STATS_DIR, sourceId, year, detail))
+    .find(file => fs.existsSync(file));
   
-  // Combine cause definitions
-  const combinedCauseDefinitions = {
-    ...(statsData.causeDefinitions || {}),
-    ...(newStatsData.causeDefinitions || {})
-  };
+  return filePath || null;
+};
+
+// Parse "minLon,minLat,maxLon,maxLat", or null when it is not four numbers in order
+const parseBBox = (value) => {
+  const bbox = value.split(',').map(part => parseFloat(part));
+  if (bbox.length !== 4 || bbox.some(isNaN) || bbox[0] > bbox[2] || bbox[1] > bbox[3]) {
+    return null;
+  }
+  return bbox;
+};
+
+// Parse "2020" or "2018-2020" into [start, end], or null
+const parseYearFilter = (value) => {
+  const match = /^(\d{4})(?:-(\d{4}))?$/.exec(value);
+  if (!match) return null;
   
-  // Recalculate summary statistics
-  const totalFires = combinedYearlyData.reduce((sum, year) => sum + year.fires, 0);
-  const totalAcres = combinedYearlyData.reduce((sum, year) => sum + year.acres, 0);
+  const start = parseInt(match[1]);
+  const end = match[2] ? parseInt(match[2]) : start;
+  return end >= start ? [start, end] : null;
+};
+
+// Fields /api/fires can sort on, mapped to the record property
+const FIRE_SORT_FIELDS = {
+  acres: 'acres',
+  date: 'alarmDate',
+  duration: 'durationDays',
+  name: 'name',
+  year: 'year'
+};
+
+const MAX_FIRES_PAGE_SIZE = 500;
+
+// Order two fire records on one field; fires without a value always go last
+const compareFires = (field, order) => (a, b) => {
+  const aValue = a[field];
+  const bValue = b[field];
   
-  // Find worst year
-  let worstYear = null;
-  let maxAcres = 0;
+  if (aValue === null || aValue === undefined) return bValue === null || bValue === undefined ? 0 : 1;
+  if (bValue === null || bValue === undefined) return -1;
   
-  combinedYearlyData.forEach(yearData => {
-    if (yearData.acres > maxAcres) {
-      maxAcres = yearData.acres;
-      worstYear = yearData.year;
-    }
+  const result = typeof aValue === 'string'
+    ? aValue.localeCompare(bValue)
+    : aValue - bValue;
+  return order === 'asc' ? result : -result;
+};
+
+// Per-year size class totals without the monthly and cause breakdowns
+const getSizeClassesByYear = (sizeClassDataByYear = {}) => {
+  const sizeClassesByYear = {};
+  Object.entries(sizeClassDataByYear).forEach(([year, data]) => {
+    sizeClassesByYear[year] = data.classes;
+  });
+  return sizeClassesByYear;
+};
+
+// Find a California county by FIPS code ("06037") or name ("Los Angeles")
+const findCounty = (query) => {
+  const normalized = query.trim().toLowerCase();
+  return CA_COUNTIES.find(county =>
+    county.fips === normalized || county.name.toLowerCase() === normalized
+  ) || null;
+};
+
+// Narrow combined statistics down to one county, agency or unit, in the same shape as the
+// statewide response. isMatch picks the entry out of each year's list in dataByYear.
+const filterStatsByGroup = (stats, dataByYear, isMatch) => {
+  const yearlyData = [];
+  const causesDataByYear = {};
+  const causeTotals = new Map();
+  
+  Object.keys(dataByYear).sort().forEach(year => {
+    const groupData = dataByYear[year].find(isMatch);
+    if (!groupData) return;
+    
+    yearlyData.push({
+      year,
+      fires: groupData.fires,
+      acres: groupData.acres,
+      ...(groupData.sources ? { sources: groupData.sources } : {})
+    });
+    
+    // Monthly cause breakdowns are only kept statewide, and units have no cause totals
+    const causes = groupData.causes || [];
+    causesDataByYear[year] = { causes, monthlyBreakdown: {} };
+    
+    causes.forEach(cause => {
+      const total = causeTotals.get(cause.causeId) || { ...cause, fires: 0, acres: 0, sources: undefined };
+      total.fires += cause.fires;
+      total.acres += cause.acres;
+      if (cause.sources) {
+        total.sources = Array.from(new Set([...(total.sources || []), ...cause.sources]));
+      }
+      causeTotals.set(cause.causeId, total);
+    });
   });
   
+  const totalFires = yearlyData.reduce((sum, year) => sum + year.fires, 0);
+  const totalAcres = yearlyData.reduce((sum, year) => sum + year.acres, 0);
+  const worst = yearlyData.reduce((max, year) => (year.acres > max.acres ? year : max), { year: null, acres: 0 });
+  
+  const topCauses = Array.from(causeTotals.values())
+    .sort((a, b) => b.fires - a.fires)
+    .map(cause => ({
+      ...cause,
+      acres: Math.round(cause.acres * 100) / 100,
+      percentage: totalFires > 0 ? Math.round((cause.fires / totalFires) * 1000) / 10 : 0
+    }));
+  
   return {
-    yearlyData: combinedYearlyData,
-    years: combinedYears,
-    monthlyDataByYear: combinedMonthlyData,
-    causesDataByYear: combinedCausesData,
-    topCauses: combinedTopCauses,
-    causeDefinitions: combinedCauseDefinitions,
+    yearlyData,
+    years: yearlyData.map(year => year.year),
     summary: {
       totalFires,
       totalAcres,
-      worstYear,
-      worstYearAcres: maxAcres
+      worstYear: worst.year,
+      worstYearAcres: worst.acres
     },
-    metadata: {
-      processedAt: new Date().toISOString(),
-      combinedFrom: [
-        statsData.metadata?.sourceFile || 'unknown',
-        newStatsData.metadata?.sourceFile || 'unknown'
-      ]
-    }
+    causesDataByYear,
+    topCauses,
+    causeDefinitions: stats.causeDefinitions || {}
+  };
+};
+
+const filterStatsByCounty = (stats, county) => ({
+  county: { fips: county.fips, name: county.name },
+  ...filterStatsByGroup(stats, stats.countyDataByYear, entry => entry.fips === county.fips)
+});
+
+const filterStatsByAgency = (stats, agency) => ({
+  agency: { agency, agencyName: getAgencyName(agency) },
+  ...filterStatsByGroup(stats, stats.agencyDataByYear, entry => entry.agency === agency)
+});
+
+const filterStatsByUnit = (stats, unitId) => ({
+  unit: { unitId },
+  ...filterStatsByGroup(stats, stats.unitDataByYear, entry => entry.unitId === unitId)
+});
+
+// Whether any year of a { year: groupList } section has an entry matching isMatch
+const hasGroup = (dataByYear, isMatch) =>
+  Object.values(dataByYear || {}).some(groups => groups.some(isMatch));
+
+// Regroup every per-cause section of combined statistics into the categories of
+// a cause scheme (see lib/causes.js). The calfire scheme returns them unchanged.
+const applyCauseScheme = (stats, scheme) => {
+  if (scheme.fallback === null) return stats;
+  
+  const regroupGroups = dataByYear => dataByYear && Object.fromEntries(
+    Object.entries(dataByYear).map(([year, groups]) => [
+      year,
+      groups.map(group => (group.causes ? { ...group, causes: regroupCauseList(group.causes, scheme) } : group))
+    ])
+  );
+  
+  const causesDataByYear = {};
+  Object.entries(stats.causesDataByYear || {}).forEach(([year, { causes, monthlyBreakdown = {} }]) => {
+    causesDataByYear[year] = {
+      causes: regroupCauseList(causes, scheme),
+      monthlyBreakdown: Object.fromEntries(
+        Object.entries(monthlyBreakdown).map(([month, monthCauses]) => [month, regroupCauseList(monthCauses, scheme)])
+      )
+    };
+  });
+  
+  const totalFires = stats.summary ? stats.summary.totalFires : 0;
+  const topCauses = regroupCauseList(stats.topCauses, scheme).map(cause => ({
+    ...cause,
+    percentage: totalFires > 0 ? Math.round((cause.fires / totalFires) * 1000) / 10 : 0
+  }));
+  
+  const regroupYears = (dataByYear, merge) => dataByYear && Object.fromEntries(
+    Object.entries(dataByYear).map(([year, yearData]) => [
+      year,
+      { ...yearData, causeBreakdown: regroupCauseBreakdown(yearData.causeBreakdown, scheme, merge) }
+    ])
+  );
+  
+  return {
+    ...stats,
+    causesDataByYear,
+    topCauses,
+    countyDataByYear: regroupGroups(stats.countyDataByYear),
+    agencyDataByYear: regroupGroups(stats.agencyDataByYear),
+    unitDataByYear: regroupGroups(stats.unitDataByYear),
+    sizeClassDataByYear: regroupYears(stats.sizeClassDataByYear, mergeSizeClassLists),
+    durationDataByYear: regroupYears(stats.durationDataByYear, mergeDurationSummaries),
+    causeDefinitions: getCategoryNames(scheme)
   };
 };
 
+// Cause scheme named by the causeScheme query parameter, the default scheme when
+// there is none, or null when it names no scheme
+const findCauseScheme = (query) => getCauseScheme(query.causeScheme || getDefaultCauseScheme());
+
+// 400 response body for an unknown causeScheme
+const unknownCauseScheme = (query) => ({
+  error: 'Unknown cause scheme',
+  message: `"${query.causeScheme}" is not a cause scheme. Available: ${listCauseSchemes().map(scheme => scheme.id).join(', ')}`
+});
+
 // Debugging info for directory
 console.log('Current directory:', __dirname);
 console.log('Stats directory path:', STATS_DIR);
@@ -305,44 +498,90 @@ app.get('/api/styling/options', (req, res) => {
   });
 });
 
+// API endpoint to get the cause classification schemes: the raw cause codes with
+// their descriptions, and each scheme's categories and the codes they group
+app.get('/api/causes/schemes', (req, res) => {
+  try {
+    res.json({
+      defaultScheme: getDefaultCauseScheme(),
+      schemes: listCauseSchemes()
+    });
+  } catch (err) {
+    console.error('Error reading cause schemes:', err);
+    res.status(500).json(readErrorBody('Error reading cause schemes', err));
+  }
+});
+
 // API endpoint to get yearly statistics with support for Fire Cause Analysis
 app.get('/api/stats/yearly', async (req, res) => {
   try {
     const datasetId = req.query.dataset || 'firep23_1';
     
-    // Build the path to the statistics file
-    const statsFilePath = path.join(STATS_DIR, `${datasetId}-stats.json`);
+    if (['county', 'agency', 'unit'].filter(key => req.query[key]).length > 1) {
+      return res.status(400).json({ error: 'Only one of county, agency or unit can be given' });
+    }
     
-    // Check if pre-processed stats exist
-    if (!fs.existsSync(statsFilePath)) {
-      console.error(`Statistics file not found: ${statsFilePath}`);
-      return res.status(404).json({ 
-        error: 'Statistics file not found',
-        message: 'The pre-processed statistics for this dataset are not available. Run the preprocessor first.'
-      });
+    const causeScheme = findCauseScheme(req.query);
+    if (!causeScheme) {
+      return res.status(400).json(unknownCauseScheme(req.query));
     }
     
     try {
-      // Read the pre-processed statistics file
-      const statsData = JSON.parse(fs.readFileSync(statsFilePath, 'utf8'));
+      // Read the pre-processed statistics, merged with any supplements, with
+      // causes grouped by the requested scheme
+      const loadedStats = await loadCombinedStats(datasetId);
       
-      // Check if there are any supplementary statistics files (e.g., for 2024-2025 data)
-      const supplementFiles = fs.readdirSync(STATS_DIR)
-        .filter(file => file.startsWith(`${datasetId}-supplement-`) && file.endsWith('-stats.json'));
+      if (!loadedStats) {
+        return res.status(404).json(STATS_NOT_FOUND);
+      }
       
-      let combinedStats = statsData;
+      const combinedStats = applyCauseScheme(loadedStats, causeScheme);
       
-      // If we have supplement files, merge them with the main statistics
-      if (supplementFiles.length > 0) {
-        console.log(`Found ${supplementFiles.length} supplementary statistics files`);
+      // Optionally narrow the response down to a single county
+      if (req.query.county) {
+        const county = findCounty(req.query.county);
         
-        for (const supplementFile of supplementFiles) {
-          const supplementPath = path.join(STATS_DIR, supplementFile);
-          const supplementData = JSON.parse(fs.readFileSync(supplementPath, 'utf8'));
-          
-          // Merge the supplement data with our combined stats
-          combinedStats = await mergeStatistics(combinedStats, supplementData);
+        if (!county) {
+          return res.status(404).json({
+            error: 'County not found',
+            message: `"${req.query.county}" is not a California county name or FIPS code.`
+          });
         }
+        
+        if (!combinedStats.countyDataByYear) {
+          return res.status(404).json({
+            error: 'County statistics not available',
+            message: 'This dataset was processed without county data. Re-run the preprocessor to add it.'
+          });
+        }
+        
+        return res.json({ causeScheme: causeScheme.id, ...filterStatsByCounty(combinedStats, county), provenance: combinedStats.provenance });
+      }
+      
+      // ...or to a single responsible agency (CDF, USF, ...) or administrative unit
+      if (req.query.agency || req.query.unit) {
+        const field = req.query.agency ? 'agency' : 'unit';
+        const code = normalizeAgencyCode(req.query[field]);
+        const dataByYear = field === 'agency' ? combinedStats.agencyDataByYear : combinedStats.unitDataByYear;
+        
+        if (!dataByYear) {
+          return res.status(404).json({
+            error: 'Agency statistics not available',
+            message: 'This dataset was processed without agency data. Re-run the preprocessor to add it.'
+          });
+        }
+        
+        if (field === 'agency') {
+          if (!hasGroup(dataByYear, entry => entry.agency === code)) {
+            return res.status(404).json({ error: 'Agency not found', message: `No fires are recorded for agency "${code}".` });
+          }
+          return res.json({ causeScheme: causeScheme.id, ...filterStatsByAgency(combinedStats, code), provenance: combinedStats.provenance });
+        }
+        
+        if (!hasGroup(dataByYear, entry => entry.unitId === code)) {
+          return res.status(404).json({ error: 'Unit not found', message: `No fires are recorded for unit "${code}".` });
+        }
+        return res.json({ causeScheme: causeScheme.id, ...filterStatsByUnit(combinedStats, code), provenance: combinedStats.provenance });
       }
       
       // Return yearly statistics with cause data
@@ -353,15 +592,18 @@ app.get('/api/stats/yearly', async (req, res) => {
         // Include cause data:
         causesDataByYear: combinedStats.causesDataByYear || {},
         topCauses: combinedStats.topCauses || [],
-        causeDefinitions: combinedStats.causeDefinitions || {}
+        causeDefinitions: combinedStats.causeDefinitions || {},
+        causeScheme: causeScheme.id,
+        // NWCG size classes per year; monthly and cause breakdowns come from /api/stats/monthly
+        sizeClassesByYear: getSizeClassesByYear(combinedStats.sizeClassDataByYear),
+        sizeClassDefinitions: combinedStats.sizeClassDefinitions || [],
+        // Names of the datasets listed in each record's `sources`
+        provenance: combinedStats.provenance
       });
       
     } catch (err) {
       console.error(`Error reading statistics file for ${datasetId}:`, err);
-      res.status(500).json({ 
-        error: 'Error reading statistics file',
-        message: err.message 
-      });
+      res.status(500).json(readErrorBody('Error reading statistics file', err));
     }
   } catch (err) {
     console.error('Server error in yearly stats endpoint:', err);
@@ -379,49 +621,25 @@ app.get('/api/stats/monthly', async (req, res) => {
       return res.status(400).json({ error: 'Year parameter required' });
     }
     
-    // Build the path to the statistics file
-    const statsFilePath = path.join(STATS_DIR, `${datasetId}-stats.json`);
-    
-    // Check if pre-processed stats exist
-    if (!fs.existsSync(statsFilePath)) {
-      console.error(`Statistics file not found: ${statsFilePath}`);
-      return res.status(404).json({ 
-        error: 'Statistics file not found',
-        message: 'The pre-processed statistics for this dataset are not available. Run the preprocessor first.'
-      });
-    }
-    
     try {
-      // Read the pre-processed statistics file
-      const statsData = JSON.parse(fs.readFileSync(statsFilePath, 'utf8'));
-      
-      // Check if there are any supplementary statistics files (e.g., for 2024-2025 data)
-      const supplementFiles = fs.readdirSync(STATS_DIR)
-        .filter(file => file.startsWith(`${datasetId}-supplement-`) && file.endsWith('-stats.json'));
+      // Read the pre-processed statistics, merged with any supplements
+      const combinedStats = await loadCombinedStats(datasetId);
       
-      let combinedStats = statsData;
-      
-      // If we have supplement files, merge them with the main statistics
-      if (supplementFiles.length > 0) {
-        console.log(`Found ${supplementFiles.length} supplementary statistics files`);
-        
-        for (const supplementFile of supplementFiles) {
-          const supplementPath = path.join(STATS_DIR, supplementFile);
-          const supplementData = JSON.parse(fs.readFileSync(supplementPath, 'utf8'));
-          
-          // Merge the supplement data with our combined stats
-          combinedStats = await mergeStatistics(combinedStats, supplementData);
-        }
+      if (!combinedStats) {
+        return res.status(404).json(STATS_NOT_FOUND);
       }
       
       // Get monthly data for the requested year
       const monthlyData = combinedStats.monthlyDataByYear[year] || [];
+      const sizeClasses = (combinedStats.sizeClassDataByYear || {})[year] || null;
       
       // If no data for this year, return empty results
       if (monthlyData.length === 0) {
         return res.json({
           monthlyData: [],
           year,
+          sizeClasses,
+          provenance: combinedStats.provenance,
           summary: {
             totalFires: 0,
             totalAcres: 0,
@@ -444,6 +662,8 @@ app.get('/api/stats/monthly', async (req, res) => {
       res.json({
         monthlyData,
         year,
+        sizeClasses,
+        provenance: combinedStats.provenance,
         summary: {
           totalFires,
           totalAcres,
@@ -454,17 +674,602 @@ app.get('/api/stats/monthly', async (req, res) => {
       
     } catch (err) {
       console.error(`Error reading statistics file for ${datasetId}:`, err);
+      res.status(500).json(readErrorBody('Error reading statistics file', err));
+    }
+  } catch (err) {
+    console.error('Server error in monthly stats endpoint:', err);
+    res.status(500).json({ error: 'Server error', message: err.message });
+  }
+});
+
+// API endpoint to get ISO-week and day-of-year fire totals for one year,
+// or summed over every year when no year is given
+app.get('/api/stats/seasonality', async (req, res) => {
+  try {
+    const datasetId = req.query.dataset || 'firep23_1';
+    const year = req.query.year;
+    
+    try {
+      const combinedStats = await loadCombinedStats(datasetId);
+      
+      if (!combinedStats) {
+        return res.status(404).json(STATS_NOT_FOUND);
+      }
+      
+      if (!combinedStats.weeklyDataByYear || !combinedStats.dayOfYearDataByYear) {
+        return res.status(404).json({
+          error: 'Seasonality data not available',
+          message: 'These statistics were processed without weekly and day-of-year data. Re-run the preprocessor.'
+        });
+      }
+      
+      const weeklyYears = year ? [year] : Object.keys(combinedStats.weeklyDataByYear);
+      const dailyYears = year ? [year] : Object.keys(combinedStats.dayOfYearDataByYear);
+      
+      const weeklyData = weeklyYears
+        .map(yearKey => combinedStats.weeklyDataByYear[yearKey])
+        .filter(Boolean)
+        .reduce((total, weeks) => mergeWeeklyLists(total, weeks), []);
+      
+      const dayOfYearData = dailyYears
+        .map(yearKey => combinedStats.dayOfYearDataByYear[yearKey])
+        .filter(Boolean)
+        .reduce(mergeDayOfYear, { fires: [], acres: [] });
+      
+      res.json({
+        year: year || null,
+        // Weeks are keyed by ISO week-year, so early January can fall in the previous year's week 52/53
+        weeklyData,
+        // Index 0 is January 1st
+        dayOfYearData,
+        years: dailyYears.sort()
+      });
+      
+    } catch (err) {
+      console.error(`Error reading statistics file for ${datasetId}:`, err);
+      res.status(500).json(readErrorBody('Error reading statistics file', err));
+    }
+  } catch (err) {
+    console.error('Server error in seasonality endpoint:', err);
+    res.status(500).json({ error: 'Server error', message: err.message });
+  }
+});
+
+// API endpoint to get fire duration (alarm to containment) statistics,
+// optionally narrowed to one cause and with monthly detail for one year
+app.get('/api/stats/duration', async (req, res) => {
+  try {
+    const datasetId = req.query.dataset || 'firep23_1';
+    const year = req.query.year;
+    const cause = req.query.cause;
+    
+    if (cause !== undefined && isNaN(parseInt(cause))) {
+      return res.status(400).json({ error: 'Cause parameter must be a numeric cause code' });
+    }
+    
+    // `cause` is a category id of this scheme
+    const causeScheme = findCauseScheme(req.query);
+    if (!causeScheme) {
+      return res.status(400).json(unknownCauseScheme(req.query));
+    }
+    
+    try {
+      const loadedStats = await loadCombinedStats(datasetId);
+      
+      if (!loadedStats) {
+        return res.status(404).json(STATS_NOT_FOUND);
+      }
+      
+      const combinedStats = applyCauseScheme(loadedStats, causeScheme);
+      
+      if (!combinedStats.durationDataByYear) {
+        return res.status(404).json({
+          error: 'Duration data not available',
+          message: 'These statistics were processed without duration data. Re-run the preprocessor.'
+        });
+      }
+      
+      const causeId = cause !== undefined ? String(parseInt(cause)) : null;
+      const causeDefinitions = combinedStats.causeDefinitions || {};
+      
+      // Whole-year or single-cause durations for a year
+      const pickDurations = yearData => {
+        if (!yearData) return null;
+        return causeId !== null ? yearData.causeBreakdown[causeId] || null : yearData;
+      };
+      
+      const yearlyDurations = Object.keys(combinedStats.durationDataByYear)
+        .sort((a, b) => parseInt(a) - parseInt(b))
+        .map(yearKey => {
+          const durations = pickDurations(combinedStats.durationDataByYear[yearKey]);
+          if (!durations) return null;
+          const { fires, medianDays, p90Days, meanDays } = durations;
+          return { year: yearKey, fires, medianDays, p90Days, meanDays };
+        })
+        .filter(Boolean);
+      
+      // Histogram and breakdowns cover the requested year, or every year when none is given
+      const yearData = year ? combinedStats.durationDataByYear[year] : null;
+      const selected = year
+        ? [pickDurations(yearData)]
+        : Object.values(combinedStats.durationDataByYear).map(pickDurations);
+      const dayCounts = mergeDayCounts(...selected.filter(Boolean).map(durations => durations.dayCounts));
+      
+      const monthlyDurations = yearData
+        ? MONTHS
+          .filter(month => yearData.monthlyBreakdown[month])
+          .map(month => {
+            const { fires, medianDays, p90Days, meanDays } = yearData.monthlyBreakdown[month];
+            return { month, fires, medianDays, p90Days, meanDays };
+          })
+        : [];
+      
+      const causeDurations = yearData && causeId === null
+        ? Object.keys(yearData.causeBreakdown)
+          .map(id => {
+            const { fires, medianDays, p90Days, meanDays } = yearData.causeBreakdown[id];
+            return {
+              causeId: parseInt(id),
+              causeName: causeDefinitions[id] || 'Unknown',
+              fires,
+              medianDays,
+              p90Days,
+              meanDays
+            };
+          })
+          .sort((a, b) => b.fires - a.fires)
+        : [];
+      
+      res.json({
+        year: year || null,
+        causeScheme: causeScheme.id,
+        cause: causeId !== null ? { causeId: parseInt(causeId), causeName: causeDefinitions[causeId] || 'Unknown' } : null,
+        yearlyDurations,
+        summary: summarizeDurations(dayCounts),
+        histogram: toDurationHistogram(dayCounts),
+        monthlyDurations,
+        causeDurations,
+        bins: DURATION_BINS
+      });
+    
+    } catch (err) {
+      console.error(`Error reading statistics file for ${datasetId}:`, err);
+      res.status(500).json(readErrorBody('Error reading statistics file', err));
+    }
+  } catch (err) {
+    console.error('Server error in duration stats endpoint:', err);
+    res.status(500).json({ error: 'Server error', message: err.message });
+  }
+});
+
+// API endpoint to get each agency's share of fires and acres per year,
+// plus the administrative units for one year when `year` is given
+app.get('/api/stats/agencies', async (req, res) => {
+  try {
+    const datasetId = req.query.dataset || 'firep23_1';
+    const year = req.query.year;
+    
+    try {
+      const combinedStats = await loadCombinedStats(datasetId);
+      
+      if (!combinedStats) {
+        return res.status(404).json(STATS_NOT_FOUND);
+      }
+      
+      if (!combinedStats.agencyDataByYear) {
+        return res.status(404).json({
+          error: 'Agency statistics not available',
+          message: 'This dataset was processed without agency data. Re-run the preprocessor to add it.'
+        });
+      }
+      
+      const toShare = (value, total) => (total > 0 ? Math.round((value / total) * 1000) / 10 : 0);
+      const agencyTotals = new Map();
+      
+      const yearlyShares = Object.keys(combinedStats.agencyDataByYear)
+        .sort((a, b) => parseInt(a) - parseInt(b))
+        .map(yearKey => {
+          const agencies = combinedStats.agencyDataByYear[yearKey];
+          const totalFires = agencies.reduce((sum, agency) => sum + agency.fires, 0);
+          const totalAcres = agencies.reduce((sum, agency) => sum + agency.acres, 0);
+          
+          agencies.forEach(({ agency, agencyName, fires, acres }) => {
+            const total = agencyTotals.get(agency) || { agency, agencyName, fires: 0, acres: 0 };
+            total.fires += fires;
+            total.acres += acres;
+            agencyTotals.set(agency, total);
+          });
+          
+          return {
+            year: yearKey,
+            totalFires,
+            totalAcres: Math.round(totalAcres * 100) / 100,
+            agencies: agencies.map(({ agency, agencyName, fires, acres }) => ({
+              agency,
+              agencyName,
+              fires,
+              acres,
+              firesShare: toShare(fires, totalFires),
+              acresShare: toShare(acres, totalAcres)
+            }))
+          };
+        });
+      
+      const allFires = Array.from(agencyTotals.values()).reduce((sum, agency) => sum + agency.fires, 0);
+      const allAcres = Array.from(agencyTotals.values()).reduce((sum, agency) => sum + agency.acres, 0);
+      
+      const agencies = Array.from(agencyTotals.values())
+        .sort((a, b) => b.acres - a.acres)
+        .map(agency => ({
+          ...agency,
+          acres: Math.round(agency.acres * 100) / 100,
+          firesShare: toShare(agency.fires, allFires),
+          acresShare: toShare(agency.acres, allAcres)
+        }));
+      
+      res.json({
+        agencies,
+        yearlyShares,
+        year: year || null,
+        units: year ? (combinedStats.unitDataByYear || {})[year] || [] : [],
+        agencyDefinitions: combinedStats.agencyDefinitions || {}
+      });
+      
+    } catch (err) {
+      console.error(`Error reading statistics file for ${datasetId}:`, err);
+      res.status(500).json(readErrorBody('Error reading statistics file', err));
+    }
+  } catch (err) {
+    console.error('Server error in agency stats endpoint:', err);
+    res.status(500).json({ error: 'Server error', message: err.message });
+  }
+});
+
+// API endpoint to list individual fires, filtered, sorted and paginated
+// e.g. /api/fires?year=2020&sort=acres&order=desc&pageSize=20 for the 20 largest fires of 2020
+app.get('/api/fires', async (req, res) => {
+  try {
+    const datasetId = req.query.dataset || 'firep23_1';
+    const { year, cause, sizeClass, minAcres, maxAcres, county, name } = req.query;
+    const sort = req.query.sort || 'acres';
+    const order = req.query.order || (sort === 'name' ? 'asc' : 'desc');
+    const page = req.query.page !== undefined ? parseInt(req.query.page) : 1;
+    const pageSize = req.query.pageSize !== undefined ? parseInt(req.query.pageSize) : 50;
+    
+    if (!FIRE_SORT_FIELDS[sort]) {
+      return res.status(400).json({ error: `Sort must be one of: ${Object.keys(FIRE_SORT_FIELDS).join(', ')}` });
+    }
+    
+    if (order !== 'asc' && order !== 'desc') {
+      return res.status(400).json({ error: 'Order must be asc or desc' });
+    }
+    
+    if (isNaN(page) || page < 1 || isNaN(pageSize) || pageSize < 1 || pageSize > MAX_FIRES_PAGE_SIZE) {
+      return res.status(400).json({ error: `Page must be 1 or more and pageSize between 1 and ${MAX_FIRES_PAGE_SIZE}` });
+    }
+    
+    const numericFilters = { year, cause, minAcres, maxAcres };
+    const invalidFilter = Object.keys(numericFilters)
+      .find(key => numericFilters[key] !== undefined && isNaN(parseFloat(numericFilters[key])));
+    
+    if (invalidFilter) {
+      return res.status(400).json({ error: `${invalidFilter} must be a number` });
+    }
+    
+    let countyFilter = null;
+    if (county) {
+      countyFilter = findCounty(county);
+      if (!countyFilter) {
+        return res.status(404).json({ error: 'County not found', message: `No California county matches "${county}"` });
+      }
+    }
+    
+    try {
+      const allFires = await loadFireIndex(datasetId);
+      
+      if (!allFires) {
+        return res.status(404).json({
+          error: 'Fire index not found',
+          message: 'The per-fire index for this dataset is not available. Run the preprocessor first.'
+        });
+      }
+      
+      const sizeClasses = sizeClass ? sizeClass.toUpperCase().split(',') : null;
+      const nameQuery = name ? name.trim().toLowerCase() : null;
+      
+      const fires = allFires
+        .filter(fire =>
+          (year === undefined || fire.year === parseInt(year)) &&
+          (cause === undefined || fire.cause === parseInt(cause)) &&
+          (!sizeClasses || sizeClasses.includes(fire.sizeClass)) &&
+          (minAcres === undefined || fire.acres >= parseFloat(minAcres)) &&
+          (maxAcres === undefined || fire.acres <= parseFloat(maxAcres)) &&
+          (!countyFilter || fire.county === countyFilter.fips) &&
+          (!nameQuery || (fire.name && fire.name.toLowerCase().includes(nameQuery)))
+        )
+        .sort(compareFires(FIRE_SORT_FIELDS[sort], order));
+      
+      const start = (page - 1) * pageSize;
+      
+      res.json({
+        fires: fires.slice(start, start + pageSize),
+        page,
+        pageSize,
+        total: fires.length,
+        totalPages: Math.ceil(fires.length / pageSize),
+        sort,
+        order
+      });
+      
+    } catch (err) {
+      console.error(`Error reading fire index for ${datasetId}:`, err);
       res.status(500).json({ 
-        error: 'Error reading statistics file',
+        error: 'Error reading fire index',
         message: err.message 
       });
     }
   } catch (err) {
-    console.error('Server error in monthly stats endpoint:', err);
+    console.error('Server error in fires endpoint:', err);
+    res.status(500).json({ error: 'Server error', message: err.message });
+  }
+});
+
+// API endpoint to get one point per fire (ignition point or perimeter centroid)
+// for dot and density maps, as GeoJSON or, with format=ndjson, one record per line
+app.get('/api/fires/points', async (req, res) => {
+  try {
+    const datasetId = req.query.dataset || 'firep23_1';
+    const format = req.query.format || 'geojson';
+    
+    if (format !== 'geojson' && format !== 'ndjson') {
+      return res.status(400).json({ error: 'Format must be geojson or ndjson' });
+    }
+    
+    const years = req.query.year !== undefined ? parseYearFilter(req.query.year) : null;
+    if (req.query.year !== undefined && !years) {
+      return res.status(400).json({ error: 'Year must be a year such as 2020 or a range such as 2018-2020' });
+    }
+    
+    const bbox = req.query.bbox !== undefined ? parseBBox(req.query.bbox) : null;
+    if (req.query.bbox !== undefined && !bbox) {
+      return res.status(400).json({ error: 'bbox must be minLon,minLat,maxLon,maxLat' });
+    }
+    
+    try {
+      const allPoints = await loadFirePoints(datasetId);
+      
+      if (!allPoints) {
+        return res.status(404).json({
+          error: 'Fire points not found',
+          message: 'The fire points for this dataset are not available. Run the preprocessor first.'
+        });
+      }
+      
+      const points = allPoints.filter(point =>
+        (!years || (point.year >= years[0] && point.year <= years[1])) &&
+        (!bbox || inBBox(point, bbox))
+      );
+      
+      if (format === 'ndjson') {
+        res.type('application/x-ndjson');
+        return res.send(toPointLines(points));
+      }
+      
+      res.type('application/geo+json');
+      res.send(JSON.stringify(toPointCollection(points, { datasetId, pointCount: points.length })));
+      
+    } catch (err) {
+      console.error(`Error reading fire points for ${datasetId}:`, err);
+      res.status(500).json({ 
+        error: 'Error reading fire points',
+        message: err.message 
+      });
+    }
+  } catch (err) {
+    console.error('Server error in fire points endpoint:', err);
+    res.status(500).json({ error: 'Server error', message: err.message });
+  }
+});
+
+// API endpoint to get one year of simplified fire perimeters as TopoJSON, at
+// detail=low, medium or high (see lib/perimeters.js)
+app.get('/api/geometry/perimeters', async (req, res) => {
+  try {
+    const datasetId = req.query.dataset || 'firep23_1';
+    const detail = req.query.detail || DEFAULT_DETAIL;
+    const year = parseInt(req.query.year);
+    
+    if (!req.query.year || isNaN(year)) {
+      return res.status(400).json({ error: 'Year parameter is required and must be a number' });
+    }
+    
+    if (!DETAIL_LEVELS[detail]) {
+      return res.status(400).json({ error: `Detail must be one of: ${Object.keys(DETAIL_LEVELS).join(', ')}` });
+    }
+    
+    try {
+      const filePath = await findPerimeterFile(datasetId, year, detail);
+      
+      if (!filePath) {
+        return res.status(404).json({
+          error: 'Perimeters not found',
+          message: `No perimeters for ${year} in this dataset. Run "geoviz process perimeters" first.`
+        });
+      }
+      
+      res.json(readValidatedJSON(filePath, 'perimeter-topology'));
+      
+    } catch (err) {
+      console.error(`Error reading perimeters for ${datasetId} ${year}:`, err);
+      res.status(500).json(readErrorBody('Error reading perimeters', err));
+    }
+  } catch (err) {
+    console.error('Server error in perimeters endpoint:', err);
     res.status(500).json({ error: 'Server error', message: err.message });
   }
 });
 
+// API endpoint to list the datasets in the registry (processed_stats/datasets.json)
+// and the one the dashboard shows by default
+app.get('/api/datasets', (req, res) => {
+  try {
+    const registry = readDatasetRegistry(STATS_DIR);
+    
+    res.json({
+      defaultDataset: registry.defaultDataset,
+      datasets: listDatasets(registry)
+    });
+  } catch (err) {
+    console.error('Error reading dataset registry:', err);
+    res.status(500).json(readErrorBody('Server error', err));
+  }
+});
+
+// API endpoint to get one registered dataset, with the ids of its supplements
+app.get('/api/datasets/:id', (req, res) => {
+  try {
+    const dataset = getDataset(readDatasetRegistry(STATS_DIR), req.params.id);
+    
+    if (!dataset) {
+      return res.status(404).json({
+        error: 'Dataset not found',
+        message: `No dataset "${req.params.id}" is registered in datasets.json. Process it with "geoviz process fires" to add it.`
+      });
+    }
+    
+    res.json(dataset);
+  } catch (err) {
+    console.error('Error reading dataset registry:', err);
+    res.status(500).json(readErrorBody('Server error', err));
+  }
+});
+
+// API endpoint to list the snapshots kept of a dataset's statistics, one per
+// processing run, newest first
+app.get('/api/datasets/:id/snapshots', (req, res) => {
+  try {
+    const datasetId = req.params.id;
+    
+    res.json({ datasetId, snapshots: listSnapshots(STATS_DIR, datasetId) });
+  } catch (err) {
+    console.error('Error listing snapshots:', err);
+    res.status(500).json({ error: 'Server error', message: err.message });
+  }
+});
+
+// API endpoint to compare two snapshots of a dataset: the change in fires and
+// acres per year, per month, per cause and per cause and year. `to` defaults to
+// the newest snapshot and `from` to the one before `to`. Only the dataset's own
+// runs are compared; `supplements` lists the supplements merged into it, which
+// keep snapshots of their own under their ids.
+app.get('/api/datasets/:id/diff', (req, res) => {
+  try {
+    const datasetId = req.params.id;
+    const snapshots = listSnapshots(STATS_DIR, datasetId);
+    const toId = req.query.to || (snapshots[0] && snapshots[0].id);
+    const toIndex = snapshots.findIndex(snapshot => snapshot.id === toId);
+    const fromId = req.query.from || (toIndex >= 0 && snapshots[toIndex + 1] && snapshots[toIndex + 1].id);
+    
+    if (!fromId || !toId) {
+      return res.status(404).json({
+        error: 'Not enough snapshots',
+        message: 'A diff needs two snapshots of this dataset. Process it again to create another.'
+      });
+    }
+    
+    try {
+      const fromStats = readSnapshot(STATS_DIR, datasetId, fromId);
+      const toStats = readSnapshot(STATS_DIR, datasetId, toId);
+      const missing = [fromStats ? null : fromId, toStats ? null : toId].filter(Boolean);
+      
+      if (missing.length > 0) {
+        return res.status(404).json({
+          error: 'Snapshot not found',
+          message: `No snapshot ${missing.join(' or ')} for dataset "${datasetId}". See /api/datasets/${datasetId}/snapshots.`
+        });
+      }
+      
+      res.json({
+        datasetId,
+        from: { id: fromId, processedAt: fromStats.metadata.processedAt },
+        to: { id: toId, processedAt: toStats.metadata.processedAt },
+        supplements: getSupplementIds(STATS_DIR, datasetId),
+        ...diffSnapshots(fromStats, toStats)
+      });
+    } catch (err) {
+      console.error(`Error reading snapshots for ${datasetId}:`, err);
+      res.status(500).json(readErrorBody('Error reading snapshot', err));
+    }
+  } catch (err) {
+    console.error('Server error in snapshot diff endpoint:', err);
+    res.status(500).json({ error: 'Server error', message: err.message });
+  }
+});
+
+// API endpoint to get the data quality report written by the last preprocessing run,
+// so the dashboard totals can be checked against what was dropped or looked suspicious
+app.get('/api/datasets/:id/quality', (req, res) => {
+  try {
+    const datasetId = req.params.id;
+    const qualityFilePath = path.join(STATS_DIR, `${datasetId}-quality.json`);
+    const statsFilePath = path.join(STATS_DIR, `${datasetId}-stats.json`);
+    
+    if (fs.existsSync(qualityFilePath)) {
+      return res.json(JSON.parse(fs.readFileSync(qualityFilePath, 'utf8')));
+    }
+    
+    // Fall back to the copy in the stats metadata (without duplicate id examples)
+    if (fs.existsSync(statsFilePath)) {
+      const statsData = JSON.parse(fs.readFileSync(statsFilePath, 'utf8'));
+      
+      if (statsData.metadata && statsData.metadata.quality) {
+        return res.json({
+          ...statsData.metadata.quality,
+          areaReconciliation: statsData.metadata.areaReconciliation || null,
+          metadata: {
+            datasetId,
+            sourceFile: statsData.metadata.sourceFile,
+            processedAt: statsData.metadata.processedAt
+          }
+        });
+      }
+    }
+    
+    res.status(404).json({
+      error: 'Quality report not found',
+      message: 'No quality report is available for this dataset. Re-run the preprocessor to create one.'
+    });
+  } catch (err) {
+    console.error('Error reading quality report:', err);
+    res.status(500).json({ error: 'Server error', message: err.message });
+  }
+});
+
+// API endpoint to get the cross-dataset duplicate reports (from geoviz dedup)
+// that list this dataset as the base or the source
+app.get('/api/datasets/:id/duplicates', (req, res) => {
+  try {
+    const datasetId = req.params.id;
+    
+    const reports = fs.readdirSync(STATS_DIR)
+      .filter(file => file.endsWith('-duplicates.json'))
+      .map(file => readValidatedJSON(path.join(STATS_DIR, file), 'duplicate-report'))
+      .filter(report => report.metadata.base === datasetId || report.metadata.source === datasetId);
+    
+    if (reports.length === 0) {
+      return res.status(404).json({
+        error: 'Duplicate report not found',
+        message: 'No duplicate report includes this dataset. Run "geoviz dedup" to create one.'
+      });
+    }
+    
+    res.json({ reports });
+  } catch (err) {
+    console.error('Error reading duplicate reports:', err);
+    res.status(500).json(readErrorBody('Server error', err));
+  }
+});
+
 // API endpoint to get temperature-fire correlation data
 app.get('/api/temperature-fire', (req, res) => {
   try {
@@ -478,15 +1283,12 @@ app.get('/api/temperature-fire', (req, res) => {
       });
     }
     
-    const statsData = JSON.parse(fs.readFileSync(statsFilePath, 'utf8'));
+    const statsData = readValidatedJSON(statsFilePath, 'temperature-correlation');
     res.json(statsData);
   } catch (err) {
     console.error('Error retrieving temperature-fire correlation data:', err);
     
-    res.status(500).json({
-      error: 'Server error',
-      message: err.message
-    });
+    res.status(500).json(readErrorBody('Server error', err));
   }
 });
 
@@ -503,15 +1305,12 @@ app.get('/api/temperature/monthly-stats', (req, res) => {
       });
     }
     
-    const monthlyTempStats = JSON.parse(fs.readFileSync(statsFilePath, 'utf8'));
+    const monthlyTempStats = readValidatedJSON(statsFilePath, 'monthly-temperature');
     res.json(monthlyTempStats);
   } catch (err) {
     console.error('Error retrieving monthly temperature statistics:', err);
     
-    res.status(500).json({
-      error: 'Server error',
-      message: err.message
-    });
+    res.status(500).json(readErrorBody('Server error', err));
   }
 });
 
@@ -546,6 +1345,47 @@ app.get('/api/weather-csv', (req, res) => {
   }
 });
 
+// API endpoint to get daily fire starts and acres joined with the weather CSV,
+// optionally limited to year=2020 or 2018-2020, or to start/end dates (YYYY-MM-DD)
+app.get('/api/weather/daily', (req, res) => {
+  try {
+    const datasetId = req.query.dataset || 'firep23_1';
+    const statsFilePath = path.join(STATS_DIR, `${datasetId}-daily-weather.json`);
+    
+    const years = req.query.year !== undefined ? parseYearFilter(req.query.year) : null;
+    if (req.query.year !== undefined && !years) {
+      return res.status(400).json({ error: 'Year must be a year such as 2020 or a range such as 2018-2020' });
+    }
+    
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value);
+    if ((req.query.start !== undefined && !isDate(req.query.start)) || (req.query.end !== undefined && !isDate(req.query.end))) {
+      return res.status(400).json({ error: 'start and end must be dates such as 2020-08-15' });
+    }
+    
+    if (!fs.existsSync(statsFilePath)) {
+      console.error(`Daily weather data not found: ${statsFilePath}`);
+      return res.status(404).json({
+        error: 'Daily weather data not found',
+        message: 'Please run "geoviz process weather" for this dataset first'
+      });
+    }
+    
+    const dailyWeather = readValidatedJSON(statsFilePath, 'daily-weather');
+    const days = dailyWeather.days.filter(day => {
+      const year = parseInt(day.date.slice(0, 4));
+      return (!years || (year >= years[0] && year <= years[1])) &&
+        (!req.query.start || day.date >= req.query.start) &&
+        (!req.query.end || day.date <= req.query.end);
+    });
+    
+    res.json({ ...dailyWeather, days });
+  } catch (err) {
+    console.error('Error retrieving daily weather data:', err);
+    
+    res.status(500).json(readErrorBody('Server error', err));
+  }
+});
+
 app.get('/api/test', (req, res) => {
   res.json({
     status: 'ok',
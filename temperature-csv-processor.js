@@ -2,38 +2,14 @@
 const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
+const { writeJSON } = require('./lib/output');
+const { SCHEMA_VERSIONS, validateOutput, readValidatedJSON } = require('./lib/schemas');
 
-// Configuration
+// Defaults, used when this script is run directly
 const DATA_DIR = path.join(__dirname, 'uploads');
 const STATS_DIR = path.join(__dirname, 'processed_stats');
 const TEMP_FILE = 'temperature-data.csv'; // Temperature data file
-const FIRE_STATS_FILE = 'firep23_1-stats.json'; // Your existing fire stats file
-
-// Ensure stats directory exists
-if (!fs.existsSync(STATS_DIR)) {
-  fs.mkdirSync(STATS_DIR, { recursive: true });
-  console.log('Created statistics directory:', STATS_DIR);
-}
-
-// First, check if the files exist
-const tempFilePath = path.join(DATA_DIR, TEMP_FILE);
-const fireStatsPath = path.join(STATS_DIR, FIRE_STATS_FILE);
-
-if (!fs.existsSync(tempFilePath)) {
-  console.error(`Temperature data file not found: ${tempFilePath}`);
-  process.exit(1);
-}
-
-if (!fs.existsSync(fireStatsPath)) {
-  console.error(`Fire stats file not found: ${fireStatsPath}`);
-  console.error('Please run the fire data processor first');
-  process.exit(1);
-}
-
-console.log('Processing temperature and fire correlation...');
-
-// Load fire statistics data
-const fireStats = JSON.parse(fs.readFileSync(fireStatsPath, 'utf8'));
+const FIRE_DATASET = 'firep23_1'; // Your existing fire stats dataset
 
 // Improved date parsing function for temperature data
 function parseDateCode(dateCode) {
@@ -77,169 +53,212 @@ function parseDateCode(dateCode) {
   };
 }
 
-// Process temperature data
-const tempData = [];
-const yearlyTempData = {};
+// Correlate a temperature CSV with <fireDataset>-stats.json and write
+// temperature-fire-correlation.json. Resolves with the statistics object.
+function processTemperatureCorrelation(tempFilePath, options = {}) {
+  const {
+    fireDataset = FIRE_DATASET,
+    outDir = STATS_DIR,
+    dryRun = false
+  } = options;
+  const fireStatsFile = `${fireDataset}-stats.json`;
+  const fireStatsPath = path.join(outDir, fireStatsFile);
+
+  // First, check if the files exist
+  if (!fs.existsSync(tempFilePath)) {
+    return Promise.reject(new Error(`Temperature data file not found: ${tempFilePath}`));
+  }
+
+  if (!fs.existsSync(fireStatsPath)) {
+    return Promise.reject(new Error(`Fire stats file not found: ${fireStatsPath}. Please run the fire data processor first`));
+  }
+
+  console.log('Processing temperature and fire correlation...');
+
+  // Load fire statistics data
+  let fireStats;
+  try {
+    fireStats = readValidatedJSON(fireStatsPath, 'fire-stats');
+  } catch (err) {
+    return Promise.reject(err);
+  }
+
+  // Process temperature data
+  const tempData = [];
+  const yearlyTempData = {};
 
-fs.createReadStream(tempFilePath)
-  .pipe(csv({
-    skipLines: 4, // Skip the header lines
-    headers: ['Date', 'Value', 'Anomaly']
-  }))
-  .on('data', (row) => {
-    // Make sure we have a valid date and temperature value
-    if (row.Date && row.Value && !isNaN(parseFloat(row.Value))) {
-      const dateCode = parseInt(row.Date);
-      const dateInfo = parseDateCode(dateCode);
-      const tempValue = parseFloat(row.Value);
-      const anomaly = parseFloat(row.Anomaly || 0);
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(tempFilePath)
+      .pipe(csv({
+        skipLines: 4, // Skip the header lines
+        headers: ['Date', 'Value', 'Anomaly']
+      }))
+      .on('data', (row) => {
+        // Make sure we have a valid date and temperature value
+        if (row.Date && row.Value && !isNaN(parseFloat(row.Value))) {
+          const dateCode = parseInt(row.Date);
+          const dateInfo = parseDateCode(dateCode);
+          const tempValue = parseFloat(row.Value);
+          const anomaly = parseFloat(row.Anomaly || 0);
       
-      // Store individual data point
-      tempData.push({
-        dateCode,
-        year: dateInfo.year,
-        month: dateInfo.month,
-        tempValue,
-        anomaly
-      });
+          // Store individual data point
+          tempData.push({
+            dateCode,
+            year: dateInfo.year,
+            month: dateInfo.month,
+            tempValue,
+            anomaly
+          });
       
-      // Aggregate temperatures by year
-      if (!yearlyTempData[dateInfo.year]) {
-        yearlyTempData[dateInfo.year] = {
-          tempValues: [],
-          anomalyValues: []
-        };
-      }
+          // Aggregate temperatures by year
+          if (!yearlyTempData[dateInfo.year]) {
+            yearlyTempData[dateInfo.year] = {
+              tempValues: [],
+              anomalyValues: []
+            };
+          }
       
-      yearlyTempData[dateInfo.year].tempValues.push(tempValue);
-      yearlyTempData[dateInfo.year].anomalyValues.push(anomaly);
-    }
-  })
-  .on('end', () => {
-    console.log(`Processed ${tempData.length} temperature data points`);
-    console.log(`Years with temperature data: ${Object.keys(yearlyTempData).sort().join(', ')}`);
+          yearlyTempData[dateInfo.year].tempValues.push(tempValue);
+          yearlyTempData[dateInfo.year].anomalyValues.push(anomaly);
+        }
+      })
+      .on('end', () => {
+        console.log(`Processed ${tempData.length} temperature data points`);
+        console.log(`Years with temperature data: ${Object.keys(yearlyTempData).sort().join(', ')}`);
     
-    // Calculate yearly temperature averages
-    const yearlyAverages = {};
-    Object.entries(yearlyTempData).forEach(([year, data]) => {
-      if (data.tempValues.length > 0) {
-        yearlyAverages[year] = {
-          avgTemp: data.tempValues.reduce((sum, val) => sum + val, 0) / data.tempValues.length,
-          avgAnomaly: data.anomalyValues.reduce((sum, val) => sum + val, 0) / data.anomalyValues.length
-        };
-      }
-    });
+        // Calculate yearly temperature averages
+        const yearlyAverages = {};
+        Object.entries(yearlyTempData).forEach(([year, data]) => {
+          if (data.tempValues.length > 0) {
+            yearlyAverages[year] = {
+              avgTemp: data.tempValues.reduce((sum, val) => sum + val, 0) / data.tempValues.length,
+              avgAnomaly: data.anomalyValues.reduce((sum, val) => sum + val, 0) / data.anomalyValues.length
+            };
+          }
+        });
     
-    // Get fire data by year from the fire stats
-    const yearlyFireData = {};
-    fireStats.yearlyData.forEach(yearData => {
-      // Make sure we're using strings consistently for year comparison
-      yearlyFireData[yearData.year.toString()] = {
-        fires: yearData.fires,
-        acres: yearData.acres
-      };
-    });
+        // Get fire data by year from the fire stats
+        const yearlyFireData = {};
+        fireStats.yearlyData.forEach(yearData => {
+          // Make sure we're using strings consistently for year comparison
+          yearlyFireData[yearData.year.toString()] = {
+            fires: yearData.fires,
+            acres: yearData.acres
+          };
+        });
     
-    console.log(`Years with fire data: ${Object.keys(yearlyFireData).sort().join(', ')}`);
+        console.log(`Years with fire data: ${Object.keys(yearlyFireData).sort().join(', ')}`);
     
-    // Merge temperature and fire data
-    const mergedYearlyData = [];
+        // Merge temperature and fire data
+        const mergedYearlyData = [];
     
-    // Find years present in both datasets
-    const commonYears = Object.keys(yearlyAverages).filter(year => yearlyFireData[year]);
+        // Find years present in both datasets
+        const commonYears = Object.keys(yearlyAverages).filter(year => yearlyFireData[year]);
     
-    console.log(`Years common to both datasets: ${commonYears.sort().join(', ')}`);
+        console.log(`Years common to both datasets: ${commonYears.sort().join(', ')}`);
     
-    commonYears.forEach(year => {
-      mergedYearlyData.push({
-        year: parseInt(year),
-        avgTemp: yearlyAverages[year].avgTemp,
-        avgAnomaly: yearlyAverages[year].avgAnomaly,
-        fires: yearlyFireData[year].fires,
-        acres: yearlyFireData[year].acres,
-        acresPerFire: yearlyFireData[year].acres / yearlyFireData[year].fires
-      });
-    });
+        commonYears.forEach(year => {
+          mergedYearlyData.push({
+            year: parseInt(year),
+            avgTemp: yearlyAverages[year].avgTemp,
+            avgAnomaly: yearlyAverages[year].avgAnomaly,
+            fires: yearlyFireData[year].fires,
+            acres: yearlyFireData[year].acres,
+            acresPerFire: yearlyFireData[year].acres / yearlyFireData[year].fires
+          });
+        });
     
-    // Sort by year
-    mergedYearlyData.sort((a, b) => a.year - b.year);
+        // Sort by year
+        mergedYearlyData.sort((a, b) => a.year - b.year);
     
-    // Normalize values for correlation analysis
-    const normalizedData = normalizeData(mergedYearlyData);
+        // Normalize values for correlation analysis
+        const normalizedData = normalizeData(mergedYearlyData);
     
-    // Calculate correlations
-    const tempToFiresCorrelation = calculateCorrelation(
-      normalizedData.map(d => d.normalizedTemp),
-      normalizedData.map(d => d.normalizedFires)
-    );
+        // Calculate correlations
+        const tempToFiresCorrelation = calculateCorrelation(
+          normalizedData.map(d => d.normalizedTemp),
+          normalizedData.map(d => d.normalizedFires)
+        );
     
-    const tempToAcresCorrelation = calculateCorrelation(
-      normalizedData.map(d => d.normalizedTemp),
-      normalizedData.map(d => d.normalizedAcres)
-    );
+        const tempToAcresCorrelation = calculateCorrelation(
+          normalizedData.map(d => d.normalizedTemp),
+          normalizedData.map(d => d.normalizedAcres)
+        );
     
-    const anomalyToFiresCorrelation = calculateCorrelation(
-      normalizedData.map(d => d.normalizedAnomaly),
-      normalizedData.map(d => d.normalizedFires)
-    );
+        const anomalyToFiresCorrelation = calculateCorrelation(
+          normalizedData.map(d => d.normalizedAnomaly),
+          normalizedData.map(d => d.normalizedFires)
+        );
     
-    // Generate visualization data
-    const scatterplotData = normalizedData.map(d => ({
-      year: d.year,
-      tempValue: d.normalizedTemp,
-      fireCount: d.normalizedFires,
-      acres: d.normalizedAcres,
-      anomaly: d.normalizedAnomaly
-    }));
+        // Generate visualization data
+        const scatterplotData = normalizedData.map(d => ({
+          year: d.year,
+          tempValue: d.normalizedTemp,
+          fireCount: d.normalizedFires,
+          acres: d.normalizedAcres,
+          anomaly: d.normalizedAnomaly
+        }));
     
-    // Calculate regression lines
-    const tempToFiresRegression = calculateRegression(
-      normalizedData.map(d => d.normalizedTemp),
-      normalizedData.map(d => d.normalizedFires)
-    );
+        // Calculate regression lines
+        const tempToFiresRegression = calculateRegression(
+          normalizedData.map(d => d.normalizedTemp),
+          normalizedData.map(d => d.normalizedFires)
+        );
     
-    // Create output statistics
-    const statistics = {
-      correlations: {
-        temperatureToFires: {
-          value: tempToFiresCorrelation,
-          interpretation: getCorrelationInterpretation(tempToFiresCorrelation)
-        },
-        temperatureToAcres: {
-          value: tempToAcresCorrelation,
-          interpretation: getCorrelationInterpretation(tempToAcresCorrelation)
-        },
-        anomalyToFires: {
-          value: anomalyToFiresCorrelation,
-          interpretation: getCorrelationInterpretation(anomalyToFiresCorrelation)
-        }
-      },
-      mergedYearlyData,
-      normalizedData,
-      years: commonYears.map(y => parseInt(y)),
-      scatterplotData,
-      regressionData: {
-        tempToFires: tempToFiresRegression
-      },
-      metadata: {
-        temperatureSource: TEMP_FILE,
-        fireDataSource: FIRE_STATS_FILE,
-        processedAt: new Date().toISOString(),
-        yearsAnalyzed: commonYears.length,
-        yearRange: `${Math.min(...commonYears.map(y => parseInt(y)))}-${Math.max(...commonYears.map(y => parseInt(y)))}`
-      }
-    };
+        // Create output statistics
+        const statistics = {
+          correlations: {
+            temperatureToFires: {
+              value: tempToFiresCorrelation,
+              interpretation: getCorrelationInterpretation(tempToFiresCorrelation)
+            },
+            temperatureToAcres: {
+              value: tempToAcresCorrelation,
+              interpretation: getCorrelationInterpretation(tempToAcresCorrelation)
+            },
+            anomalyToFires: {
+              value: anomalyToFiresCorrelation,
+              interpretation: getCorrelationInterpretation(anomalyToFiresCorrelation)
+            }
+          },
+          mergedYearlyData,
+          normalizedData,
+          years: commonYears.map(y => parseInt(y)),
+          scatterplotData,
+          regressionData: {
+            tempToFires: tempToFiresRegression
+          },
+          metadata: {
+            schemaVersion: SCHEMA_VERSIONS['temperature-correlation'],
+            temperatureSource: path.basename(tempFilePath),
+            fireDataSource: fireStatsFile,
+            processedAt: new Date().toISOString(),
+            yearsAnalyzed: commonYears.length,
+            yearRange: `${Math.min(...commonYears.map(y => parseInt(y)))}-${Math.max(...commonYears.map(y => parseInt(y)))}`
+          }
+        };
     
-    // Save to output file
-    const outputFilename = path.join(STATS_DIR, 'temperature-fire-correlation.json');
-    fs.writeFileSync(outputFilename, JSON.stringify(statistics, null, 2));
+        // Save to output file, refusing to write anything that does not match the schema
+        const outputFilename = path.join(outDir, 'temperature-fire-correlation.json');
+        try {
+          validateOutput('temperature-correlation', statistics);
+        } catch (err) {
+          reject(err);
+          return;
+        }
+        writeJSON(outputFilename, statistics, { dryRun });
     
-    console.log(`Found ${commonYears.length} years of overlap between temperature and fire data`);
-    console.log(`Temperature to Fires correlation: ${tempToFiresCorrelation.toFixed(3)} (${getCorrelationInterpretation(tempToFiresCorrelation)})`);
-    console.log(`Temperature to Acres correlation: ${tempToAcresCorrelation.toFixed(3)} (${getCorrelationInterpretation(tempToAcresCorrelation)})`);
-    console.log(`Anomaly to Fires correlation: ${anomalyToFiresCorrelation.toFixed(3)} (${getCorrelationInterpretation(anomalyToFiresCorrelation)})`);
-    console.log(`Results saved to: ${outputFilename}`);
+        console.log(`Found ${commonYears.length} years of overlap between temperature and fire data`);
+        console.log(`Temperature to Fires correlation: ${tempToFiresCorrelation.toFixed(3)} (${getCorrelationInterpretation(tempToFiresCorrelation)})`);
+        console.log(`Temperature to Acres correlation: ${tempToAcresCorrelation.toFixed(3)} (${getCorrelationInterpretation(tempToAcresCorrelation)})`);
+        console.log(`Anomaly to Fires correlation: ${anomalyToFiresCorrelation.toFixed(3)} (${getCorrelationInterpretation(anomalyToFiresCorrelation)})`);
+        console.log(`Results saved to: ${outputFilename}`);
+
+        resolve(statistics);
+      })
+      .on('error', reject);
   });
+}
 
 // Normalize data for meaningful correlation analysis
 function normalizeData(data) {
@@ -340,4 +359,15 @@ function getCorrelationInterpretation(correlation) {
   if (absCorrelation >= 0.4) return "Moderate";
   if (absCorrelation >= 0.2) return "Weak";
   return "Very weak or no correlation";
-}
\ No newline at end of file
+}
+// Run the processor when executed directly
+if (require.main === module) {
+  processTemperatureCorrelation(path.join(DATA_DIR, TEMP_FILE)).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  processTemperatureCorrelation
+};
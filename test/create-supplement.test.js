@@ -0,0 +1,51 @@
+// test/create-supplement.test.js - Supplements of one dataset must not cover the same years
+// The source dataset is test/fixtures/fires.geojson, which has fires in 2020, 2021 and 2022.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { processFireFile } = require('../preprocessor');
+const { createSupplement } = require('../create-supplement');
+const { readDatasetRegistry, getSupplementIds } = require('../lib/datasets');
+
+// A statistics directory holding the processed source dataset, removed after the test
+async function createOutDir(t) {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoviz-supplement-'));
+  t.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+  await processFireFile(path.join(__dirname, 'fixtures', 'fires.geojson'), { datasetId: 'source', outDir });
+  return outDir;
+}
+
+const build = (outDir, years, options = {}) =>
+  createSupplement({ source: 'source', base: 'base', years, outDir, ...options });
+
+test('a supplement with fires in years another supplement of the base has is refused', async t => {
+  const outDir = await createOutDir(t);
+  build(outDir, [2020, 2021]);
+
+  assert.throws(() => build(outDir, [2021, 2022]), /base-supplement-2020-2021 already has fires in 2021-2022 for base/);
+  assert.deepEqual(getSupplementIds(outDir, 'base'), ['base-supplement-2020-2021']);
+  assert.equal(fs.existsSync(path.join(outDir, 'base-supplement-2021-2022-stats.json')), false);
+});
+
+test('replace removes the overlapping supplement first', async t => {
+  const outDir = await createOutDir(t);
+  build(outDir, [2020, 2021]);
+  build(outDir, [2021, 2022], { replace: true });
+
+  assert.deepEqual(getSupplementIds(outDir, 'base'), ['base-supplement-2021-2022']);
+  assert.equal(readDatasetRegistry(outDir).datasets['base-supplement-2020-2021'], undefined);
+  assert.equal(fs.existsSync(path.join(outDir, 'base-supplement-2020-2021-stats.json')), false);
+  assert.equal(fs.existsSync(path.join(outDir, 'base-supplement-2020-2021-fires.json')), false);
+});
+
+test('supplements for separate years, or rebuilt for the same range, are allowed', async t => {
+  const outDir = await createOutDir(t);
+  build(outDir, [2020, 2020]);
+  build(outDir, [2021, 2022]);
+  build(outDir, [2021, 2022]);
+
+  assert.deepEqual(getSupplementIds(outDir, 'base'), ['base-supplement-2020-2020', 'base-supplement-2021-2022']);
+});
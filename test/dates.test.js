@@ -0,0 +1,91 @@
+// test/dates.test.js - Date formats parseFireDate accepts, in UTC, and how rejected ones are reported
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFireDate, describeDateFormat } = require('../lib/dates');
+const { createQualityReport, recordInvalidDate, mergeQualityReports, buildQualityReport } = require('../lib/quality');
+
+const parsed = value => {
+  const date = parseFireDate(value);
+  return date && date.toISOString();
+};
+
+test('epoch milliseconds are accepted as numbers and numeric strings', () => {
+  assert.equal(parsed(1593561600000), '2020-07-01T00:00:00.000Z');
+  assert.equal(parsed('1593561600000'), '2020-07-01T00:00:00.000Z');
+  assert.equal(parsed(new Date(Date.UTC(2020, 6, 1))), '2020-07-01T00:00:00.000Z');
+});
+
+test('ISO dates are accepted, in UTC unless they carry an offset', () => {
+  assert.equal(parsed('2020-07-01'), '2020-07-01T00:00:00.000Z');
+  assert.equal(parsed('2020/07/01'), '2020-07-01T00:00:00.000Z');
+  assert.equal(parsed('2020-07-01T13:45:30.5'), '2020-07-01T13:45:30.500Z');
+  assert.equal(parsed('2020-07-01 13:45Z'), '2020-07-01T13:45:00.000Z');
+  assert.equal(parsed('2020-07-01T00:00:00-07:00'), '2020-07-01T07:00:00.000Z');
+  assert.equal(parsed('2020-07-01T00:00:00+0530'), '2020-06-30T18:30:00.000Z');
+});
+
+test('MM/DD/YYYY dates are accepted in UTC, with 24-hour or AM/PM times', () => {
+  assert.equal(parsed('07/01/2020'), '2020-07-01T00:00:00.000Z');
+  assert.equal(parsed('7/1/2020'), '2020-07-01T00:00:00.000Z');
+  assert.equal(parsed('12/31/2020 23:59:59'), '2020-12-31T23:59:59.000Z');
+  assert.equal(parsed('7/1/2020 12:00:00 AM'), '2020-07-01T00:00:00.000Z');
+  assert.equal(parsed('7/1/2020 1:30 PM'), '2020-07-01T13:30:00.000Z');
+  assert.equal(parsed('7/1/2020 12:15 PM'), '2020-07-01T12:15:00.000Z');
+  assert.equal(parsed('07/01/2020 00:00 -0700'), '2020-07-01T07:00:00.000Z');
+});
+
+test('RFC 2822 dates are accepted, with or without the weekday', () => {
+  assert.equal(parsed('Tue, 01 Jul 2020 00:00:00 GMT'), '2020-07-01T00:00:00.000Z');
+  assert.equal(parsed('Wed, 1 Jul 2020 18:30:00 +0000'), '2020-07-01T18:30:00.000Z');
+  assert.equal(parsed('01 Jul 2020 00:00 -0700'), '2020-07-01T07:00:00.000Z');
+  assert.equal(parsed('1 jul 2020'), '2020-07-01T00:00:00.000Z');
+});
+
+test('other formats and impossible dates are rejected', () => {
+  [
+    '01.07.2020',
+    '2020-7-1',
+    '20200701',
+    'July 1, 2020',
+    'Tue Jul 01 2020 00:00:00 GMT-0700 (Pacific Daylight Time)',
+    '01 Jul 2020 00:00 PDT',
+    '01 Foo 2020',
+    '2020-02-31',
+    '02/30/2021',
+    '13/01/2020',
+    '7/1/2020 13:00 PM',
+    '2020-07-01T24:00:00',
+    'unknown',
+    NaN,
+    new Date('invalid')
+  ].forEach(value => assert.equal(parseFireDate(value), null, String(value)));
+});
+
+test('missing values are not dates', () => {
+  [undefined, null, '', '   '].forEach(value => assert.equal(parseFireDate(value), null));
+});
+
+test('rejected values are described by their format', () => {
+  assert.equal(describeDateFormat('01.07.2020'), '99.99.9999');
+  assert.equal(describeDateFormat(' July 1, 2020 '), 'aaaa 9, 9999');
+  assert.equal(describeDateFormat(NaN), 'number');
+  assert.equal(describeDateFormat(new Date('invalid')), 'Invalid Date');
+});
+
+test('the quality report counts invalid dates per field and format', () => {
+  const quality = createQualityReport();
+  recordInvalidDate(quality, 'ALARM_DATE', '01.07.2020');
+  recordInvalidDate(quality, 'ALARM_DATE', '15.08.2021');
+  recordInvalidDate(quality, 'CONT_DATE', 'July 3, 2020');
+
+  const partial = createQualityReport();
+  recordInvalidDate(partial, 'ALARM_DATE', 'n/a');
+  mergeQualityReports(quality, partial);
+
+  const report = buildQualityReport(quality, { featureCount: 4 });
+  assert.deepEqual(report.invalidDates, { ALARM_DATE: 3, CONT_DATE: 1 });
+  assert.deepEqual(report.invalidDateFormats, {
+    ALARM_DATE: { '99.99.9999': 2, 'a/a': 1 },
+    CONT_DATE: { 'aaaa 9, 9999': 1 }
+  });
+});
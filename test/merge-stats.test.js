@@ -0,0 +1,147 @@
+// test/merge-stats.test.js - Overlap policies and invariants of lib/merge-stats.js
+// The fixtures share 2021: the base has 2 fires (100 acres) that year, the
+// supplement 4 fires (50 acres). 2020 is only in the base, 2022 only in the supplement.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { OVERLAP_POLICIES, mergeStatistics } = require('../lib/merge-stats');
+
+const readFixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+const loadInputs = () => ({
+  base: deepFreeze(readFixture('base-stats.json')),
+  supplement: deepFreeze(readFixture('supplement-stats.json'))
+});
+
+const yearTotals = stats => Object.fromEntries(stats.yearlyData.map(entry => [entry.year, [entry.fires, entry.acres]]));
+
+const causeTotals = stats => Object.fromEntries(stats.topCauses.map(cause => [cause.causeName, [cause.fires, cause.percentage]]));
+
+// Everything but the time of the merge
+const withoutProcessedAt = ({ metadata: { processedAt, ...metadata }, ...stats }) => ({ ...stats, metadata });
+
+test('sum adds both files\' figures for an overlapping year', () => {
+  const { base, supplement } = loadInputs();
+  const merged = mergeStatistics(base, supplement, { overlap: 'sum' });
+
+  assert.deepEqual(yearTotals(merged), { 2020: [3, 300], 2021: [6, 150], 2022: [1, 500] });
+  assert.deepEqual(merged.monthlyDataByYear['2021'].map(entry => entry.month), ['June', 'July']);
+  assert.deepEqual(Object.keys(merged.causesDataByYear['2021'].monthlyBreakdown), ['June', 'July']);
+  assert.deepEqual(merged.causesDataByYear['2021'].causes.map(cause => cause.causeName), ['Equipment Use', 'Lightning']);
+  assert.deepEqual(merged.metadata.overlappingYears, ['2021']);
+  assert.equal(merged.metadata.overlapPolicy, 'sum');
+});
+
+test('sum is the default policy', () => {
+  const { base, supplement } = loadInputs();
+
+  assert.deepEqual(
+    withoutProcessedAt(mergeStatistics(base, supplement)),
+    withoutProcessedAt(mergeStatistics(base, supplement, { overlap: 'sum' }))
+  );
+});
+
+test('prefer-base keeps the base file\'s figures for an overlapping year', () => {
+  const { base, supplement } = loadInputs();
+  const merged = mergeStatistics(base, supplement, { overlap: 'prefer-base' });
+
+  assert.deepEqual(yearTotals(merged), { 2020: [3, 300], 2021: [2, 100], 2022: [1, 500] });
+  assert.deepEqual(merged.monthlyDataByYear['2021'], base.monthlyDataByYear['2021']);
+  assert.deepEqual(merged.causesDataByYear['2021'], base.causesDataByYear['2021']);
+});
+
+test('prefer-supplement uses the supplement\'s figures for an overlapping year', () => {
+  const { base, supplement } = loadInputs();
+  const merged = mergeStatistics(base, supplement, { overlap: 'prefer-supplement' });
+
+  assert.deepEqual(yearTotals(merged), { 2020: [3, 300], 2021: [4, 50], 2022: [1, 500] });
+  assert.deepEqual(merged.monthlyDataByYear['2021'], supplement.monthlyDataByYear['2021']);
+  assert.deepEqual(merged.causesDataByYear['2021'], supplement.causesDataByYear['2021']);
+});
+
+test('max takes the file with more fires in an overlapping year', () => {
+  const { base, supplement } = loadInputs();
+  const merged = mergeStatistics(base, supplement, { overlap: 'max' });
+
+  assert.deepEqual(yearTotals(merged), { 2020: [3, 300], 2021: [4, 50], 2022: [1, 500] });
+  assert.deepEqual(merged.causesDataByYear['2021'], supplement.causesDataByYear['2021']);
+});
+
+test('max breaks a tie in fires on acres, then keeps the base', () => {
+  const { base, supplement } = loadInputs();
+  const withYear2021 = (fires, acres) => ({
+    ...supplement,
+    yearlyData: supplement.yearlyData.map(entry => (entry.year === '2021' ? { ...entry, fires, acres } : entry))
+  });
+
+  assert.deepEqual(yearTotals(mergeStatistics(base, withYear2021(2, 150), { overlap: 'max' }))['2021'], [2, 150]);
+  assert.deepEqual(yearTotals(mergeStatistics(base, withYear2021(2, 100), { overlap: 'max' }))['2021'], [2, 100]);
+  assert.deepEqual(
+    mergeStatistics(base, withYear2021(2, 100), { overlap: 'max' }).causesDataByYear['2021'],
+    base.causesDataByYear['2021']
+  );
+});
+
+test('an unknown policy is rejected', () => {
+  const { base, supplement } = loadInputs();
+
+  assert.throws(() => mergeStatistics(base, supplement, { overlap: 'min' }), /Unknown overlap policy "min"/);
+});
+
+test('summary totals and cause percentages are recomputed from the merged years', () => {
+  const expected = {
+    sum: { summary: [10, 950], causes: { Lightning: [5, 50], 'Equipment Use': [4, 40], Arson: [1, 10] } },
+    'prefer-base': { summary: [6, 900], causes: { Lightning: [5, 83.3], Arson: [1, 16.7] } },
+    'prefer-supplement': { summary: [8, 850], causes: { 'Equipment Use': [4, 50], Lightning: [3, 37.5], Arson: [1, 12.5] } },
+    max: { summary: [8, 850], causes: { 'Equipment Use': [4, 50], Lightning: [3, 37.5], Arson: [1, 12.5] } }
+  };
+
+  OVERLAP_POLICIES.forEach(overlap => {
+    const { base, supplement } = loadInputs();
+    const merged = mergeStatistics(base, supplement, { overlap });
+
+    assert.deepEqual([merged.summary.totalFires, merged.summary.totalAcres], expected[overlap].summary, overlap);
+    assert.equal(merged.summary.worstYear, '2022', overlap);
+    assert.equal(merged.summary.worstYearAcres, 500, overlap);
+    assert.deepEqual(causeTotals(merged), expected[overlap].causes, overlap);
+  });
+});
+
+test('merging does not change its inputs', () => {
+  OVERLAP_POLICIES.forEach(overlap => {
+    const base = readFixture('base-stats.json');
+    const supplement = readFixture('supplement-stats.json');
+    const merged = mergeStatistics(base, supplement, { overlap });
+
+    assert.deepEqual(base, readFixture('base-stats.json'), overlap);
+    assert.deepEqual(supplement, readFixture('supplement-stats.json'), overlap);
+
+    // lib/ is not in strict mode, so writes to frozen inputs are dropped
+    // silently; a merge that relied on them would come out different
+    const frozen = loadInputs();
+    assert.deepEqual(
+      withoutProcessedAt(mergeStatistics(frozen.base, frozen.supplement, { overlap })),
+      withoutProcessedAt(merged),
+      overlap
+    );
+  });
+});
+
+test('merging the same inputs twice gives the same result', () => {
+  OVERLAP_POLICIES.forEach(overlap => {
+    const { base, supplement } = loadInputs();
+    const first = mergeStatistics(base, supplement, { overlap });
+    const second = mergeStatistics(base, supplement, { overlap });
+
+    assert.deepEqual(withoutProcessedAt(second), withoutProcessedAt(first), overlap);
+  });
+});